@@ -30,6 +30,17 @@ const main = async () => {
         files: [
             path.join(SRC_DIR, 'index.js'),
             path.join(SRC_DIR, 'apify_api_error.js'),
+            path.join(SRC_DIR, 'authentication_error.js'),
+            path.join(SRC_DIR, 'forbidden_error.js'),
+            path.join(SRC_DIR, 'not_found_error.js'),
+            path.join(SRC_DIR, 'rate_limit_error.js'),
+            path.join(SRC_DIR, 'server_error.js'),
+            path.join(SRC_DIR, 'validation_error.js'),
+            path.join(SRC_DIR, 'network_error.js'),
+            path.join(SRC_DIR, 'timeout_error.js'),
+            path.join(SRC_DIR, 'abort_error.js'),
+            path.join(SRC_DIR, 'circuit_open_error.js'),
+            path.join(SRC_DIR, 'unmatched_request_error.js'),
         ],
     });
 
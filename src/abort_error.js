@@ -0,0 +1,23 @@
+/**
+ * Thrown when an operation of a resource client is cancelled using
+ * the `AbortSignal` provided in the `signal` option. The error is named
+ * `AbortError`, the same as errors thrown by the `fetch` API, so it can be
+ * recognized the same way: `err.name === 'AbortError'`.
+ *
+ * @property {*} [cause]
+ *  The abort reason of the signal, if the environment supports it.
+ * @hideconstructor
+ */
+class AbortError extends Error {
+    /**
+     * @param {AbortSignal} [signal]
+     */
+    constructor(signal) {
+        super('The operation was aborted.');
+        this.name = 'AbortError';
+        this.code = 'aborted';
+        if (signal && signal.reason !== undefined) this.cause = signal.reason;
+    }
+}
+
+module.exports = AbortError;
@@ -0,0 +1,135 @@
+const KeepAliveAgent = require('agentkeepalive');
+const { HttpProxyAgent, HttpsProxyAgent } = require('hpagent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+
+const HTTP_PROXY_PROTOCOLS = ['http:', 'https:'];
+const SOCKS_PROXY_PROTOCOLS = ['socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+
+/**
+ * Options of agentkeepalive that the HTTP proxy agents, which extend the plain Node.js agents, don't have.
+ */
+const KEEP_ALIVE_ONLY_OPTIONS = ['freeSocketTimeout', 'freeSocketKeepAliveTimeout', 'socketActiveTTL'];
+
+/**
+ * The SOCKS proxy agent opens a new socket for each request, so only the timeout applies to it.
+ */
+const SOCKS_AGENT_OPTIONS = ['timeout'];
+
+/**
+ * Creates the agents used by the axios http adapter in Node.js.
+ *
+ * Without a proxy, we want to keep sockets alive for better performance.
+ * It's important to set the user's timeout also here and not only
+ * on the axios instance, because even though this timeout
+ * is for inactive sockets, sometimes the platform would take
+ * long to process requests and the socket would time-out
+ * while waiting for the response.
+ *
+ * The proxy URL falls back to the HTTPS_PROXY or HTTP_PROXY environment variable,
+ * based on the protocol of the API base URL, unless the API host matches NO_PROXY.
+ * The proxy agents get the same `agentOptions`, and options they can't apply throw
+ * instead of being ignored.
+ *
+ * @param {object} options
+ * @param {string} options.baseUrl
+ * @param {number} options.timeoutMillis
+ * @param {string} [options.proxyUrl]
+ * @param {object} [options.agentOptions]
+ * @return {{httpAgent: http.Agent, httpsAgent: https.Agent}}
+ * @private
+ */
+function createAgents(options) {
+    const {
+        baseUrl,
+        timeoutMillis,
+        proxyUrl = getProxyUrlFromEnv(baseUrl),
+        agentOptions,
+    } = options;
+    const agentOpts = {
+        timeout: timeoutMillis,
+        ...agentOptions,
+    };
+
+    if (!proxyUrl) {
+        return {
+            httpAgent: new KeepAliveAgent(agentOpts),
+            httpsAgent: new KeepAliveAgent.HttpsAgent(agentOpts),
+        };
+    }
+
+    const { protocol } = new URL(proxyUrl);
+    if (SOCKS_PROXY_PROTOCOLS.includes(protocol)) {
+        assertAgentOptionsSupported(agentOptions, (option) => SOCKS_AGENT_OPTIONS.includes(option), 'SOCKS');
+        const agent = new SocksProxyAgent(proxyUrl, agentOpts);
+        return { httpAgent: agent, httpsAgent: agent };
+    }
+    if (HTTP_PROXY_PROTOCOLS.includes(protocol)) {
+        assertAgentOptionsSupported(agentOptions, (option) => !KEEP_ALIVE_ONLY_OPTIONS.includes(option), 'HTTP');
+        const proxyAgentOpts = {
+            keepAlive: true,
+            ...agentOpts,
+            proxy: proxyUrl,
+        };
+        return {
+            httpAgent: new HttpProxyAgent(proxyAgentOpts),
+            httpsAgent: new HttpsProxyAgent(proxyAgentOpts),
+        };
+    }
+    throw new Error(`Proxy URL protocol "${protocol}" is not supported. Use http, https or socks.`);
+}
+
+/**
+ * @param {object} [agentOptions]
+ * @param {function(string): boolean} isSupported
+ * @param {string} proxyType
+ * @private
+ */
+function assertAgentOptionsSupported(agentOptions = {}, isSupported, proxyType) {
+    const unsupported = Object.keys(agentOptions).filter((option) => !isSupported(option));
+    if (unsupported.length) {
+        throw new Error(`Agent options ${unsupported.join(', ')} are not supported with ${proxyType} proxies.`);
+    }
+}
+
+/**
+ * Lowercase variables take precedence, same as in curl and axios.
+ * @param {string} baseUrl
+ * @return {string|undefined}
+ * @private
+ */
+function getProxyUrlFromEnv(baseUrl) {
+    const { env } = process;
+    const { protocol, hostname, port } = new URL(baseUrl);
+    const proxyUrl = protocol === 'https:'
+        ? env.https_proxy || env.HTTPS_PROXY
+        : env.http_proxy || env.HTTP_PROXY;
+    if (!proxyUrl) return;
+
+    const noProxy = env.no_proxy || env.NO_PROXY;
+    const defaultPort = protocol === 'https:' ? '443' : '80';
+    if (noProxy && isExcludedFromProxy(noProxy, hostname, port || defaultPort)) return;
+    return proxyUrl;
+}
+
+/**
+ * NO_PROXY is a comma or space separated list of hosts, optionally with ports.
+ * Hosts match their subdomains too and `*` matches all hosts.
+ * @param {string} noProxy
+ * @param {string} hostname
+ * @param {string} port
+ * @return {boolean}
+ * @private
+ */
+function isExcludedFromProxy(noProxy, hostname, port) {
+    return noProxy.split(/[\s,]+/).filter(Boolean).some((entry) => {
+        if (entry === '*') return true;
+        const [entryHost, entryPort] = entry.toLowerCase().split(':');
+        if (entryPort && entryPort !== port) return false;
+        const domain = entryHost.replace(/^\*?\./, '');
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+    });
+}
+
+module.exports = {
+    createAgents,
+};
@@ -1,14 +1,18 @@
+const REQUEST_ID_HEADER = 'x-request-id';
+
 /**
- * Examples of capturing groups for "...at ActorCollectionClient._list (/Users/..."
- * 0: "at ActorCollectionClient._list ("
- * 1: undefined
- * 2: "ActorCollectionClient"
- * 3: undefined
- * 4: "list"
- * @type {RegExp}
- * @private
+ * Response headers that help to debug the error. Other headers are not kept,
+ * because they are of little use and they would bloat the logs.
  */
-const CLIENT_METHOD_REGEX = /at( async)? ([A-Za-z]+(Collection)?Client)\._?([A-Za-z]+) \(/;
+const DEBUG_HEADERS = [
+    'content-type',
+    'date',
+    'retry-after',
+    REQUEST_ID_HEADER,
+    'x-ratelimit-limit',
+    'x-ratelimit-remaining',
+    'x-ratelimit-reset',
+];
 
 /**
  * An `ApifyApiError` is thrown for successful HTTP requests that reach the API,
@@ -17,11 +21,18 @@ const CLIENT_METHOD_REGEX = /at( async)? ([A-Za-z]+(Collection)?Client)\._?([A-Z
  * errors, which are thrown immediately, because a correction by the user is
  * needed.
  *
+ * Common errors are thrown as subclasses, so they can be recognized with `instanceof`
+ * instead of comparing the `statusCode` or `type`: {@link ValidationError},
+ * {@link AuthenticationError}, {@link ForbiddenError}, {@link NotFoundError},
+ * {@link RateLimitError} and {@link ServerError}. Responses with other status codes
+ * are thrown as a plain `ApifyApiError`. The `name` of the subclasses is `ApifyApiError` too.
+ *
  * @property {string} message
  *  Error message returned by the API.
- * @property {string} clientMethod
- *  The invoked resource client and the method. Known issue: Sometimes it displays
- *  as undefined because it can't be parsed from a stack trace.
+ * @property {string} className
+ *  Name of the class of the error, e.g. `NotFoundError`, which is not mangled in minified bundles.
+ * @property {string} [clientMethod]
+ *  The invoked resource client and the method, e.g. `TaskClient.start`.
  * @property {number} statusCode
  *  HTTP status code of the error.
  * @property {string} type
@@ -32,17 +43,30 @@ const CLIENT_METHOD_REGEX = /at( async)? ([A-Za-z]+(Collection)?Client)\._?([A-Z
  *  HTTP method of the API call.
  * @property {string} path
  *  Full path of the API endpoint (URL excluding origin).
+ * @property {string} [requestId]
+ *  ID of the request assigned by the API, to be included in bug reports.
  * @property {string} originalStack
  *  Original stack trace of the exception. It is replaced
  *  by a more informative stack with API call information.
+ * @property {object<string, string>} headers
+ *  Response headers that help to debug the error, e.g. `retry-after` or `date`.
+ * @property {RetryHistoryEntry[]} retryHistory
+ *  Failures of the previous attempts of the API call, from the first one.
+ *  Empty when the error was thrown by the first attempt.
+ * @property {number} [elapsedMillis]
+ *  Time from the start of the API call, including all the retries, until the error was thrown.
  * @hideconstructor
  */
 class ApifyApiError extends Error {
     /**
      * @param {AxiosResponse} response
      * @param {number} attempt
+     * @param {string} [clientMethod]
+     *  Set by the HttpClient from the options of the call.
+     * @param {string} [className]
+     *  Set by the subclasses.
      */
-    constructor(response, attempt) {
+    constructor(response, attempt, clientMethod, className = 'ApifyApiError') {
         let message;
         let type;
         if (response.data && response.data.error) {
@@ -60,16 +84,60 @@ class ApifyApiError extends Error {
         }
         super(message);
 
-        this.name = this.constructor.name;
-        this.clientMethod = this._extractClientAndMethodFromStack();
+        this.name = 'ApifyApiError';
+        this.className = className;
+        this.clientMethod = clientMethod;
         this.statusCode = response.status;
         this.type = type;
         this.attempt = attempt;
         this.httpMethod = response.config && response.config.method;
         this.path = this._safelyParsePathFromResponse(response);
+        this.requestId = response.headers && response.headers[REQUEST_ID_HEADER];
 
         this.originalStack = this.stack.slice(this.stack.indexOf('\n'));
         this.stack = this._createApiStack();
+
+        // The following properties are not included in the stack, because they are too verbose.
+        this.headers = this._pickDebugHeaders(response.headers);
+        // Filled in by the HttpClient once the API call fails.
+        this.retryHistory = [];
+        this.elapsedMillis = undefined;
+    }
+
+    /**
+     * Returns a plain object with the properties of the error, without the stacks,
+     * so that structured loggers can serialize the error as JSON.
+     * @return {object}
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            className: this.className,
+            message: this.message,
+            clientMethod: this.clientMethod,
+            statusCode: this.statusCode,
+            type: this.type,
+            attempt: this.attempt,
+            httpMethod: this.httpMethod,
+            path: this.path,
+            requestId: this.requestId,
+            headers: this.headers,
+            retryHistory: this.retryHistory,
+            elapsedMillis: this.elapsedMillis,
+        };
+    }
+
+    /**
+     * @param {object} [headers]
+     * @return {object<string, string>}
+     * @private
+     */
+    _pickDebugHeaders(headers = {}) {
+        const debugHeaders = {};
+        DEBUG_HEADERS.forEach((name) => {
+            if (headers[name] !== undefined) debugHeaders[name] = headers[name];
+        });
+        return debugHeaders;
     }
 
     /**
@@ -88,15 +156,6 @@ class ApifyApiError extends Error {
         return url.pathname + url.search;
     }
 
-    /**
-     * @return {string}
-     * @private
-     */
-    _extractClientAndMethodFromStack() {
-        const match = this.stack.match(CLIENT_METHOD_REGEX);
-        if (match) return `${match[2]}.${match[4]}`;
-    }
-
     /**
      * Creates a better looking and more informative stack that will be printed
      * out when API errors are thrown.
@@ -104,12 +163,14 @@ class ApifyApiError extends Error {
      * Example:
      *
      * ApifyApiError: Actor task was not found
+     *   className: NotFoundError
      *   clientMethod: TaskClient.start
      *   statusCode: 404
      *   type: record-not-found
      *   attempt: 1
      *   httpMethod: post
      *   path: /v2/actor-tasks/user~my-task/runs
+     *   requestId: Fz8vC6gEbwpkNqtaT
      *
      * @return {string}
      * @private
@@ -133,3 +194,17 @@ class ApifyApiError extends Error {
 }
 
 module.exports = ApifyApiError;
+
+/**
+ * @typedef {object} RetryHistoryEntry
+ * @property {number} attempt
+ *  Number of the failed attempt.
+ * @property {Date} failedAt
+ * @property {number} [statusCode]
+ *  HTTP status code of the response, missing for network errors.
+ * @property {string} [type]
+ *  Type of the API error, or the code of the network error, e.g. `ECONNRESET`.
+ * @property {string} message
+ * @property {number} delayMillis
+ *  Delay before the next attempt.
+ */
@@ -0,0 +1,18 @@
+const ApifyApiError = require('./apify_api_error');
+
+/**
+ * Thrown when the token is missing or not valid (HTTP 401).
+ * @hideconstructor
+ */
+class AuthenticationError extends ApifyApiError {
+    /**
+     * @param {AxiosResponse} response
+     * @param {number} attempt
+     * @param {string} [clientMethod]
+     */
+    constructor(response, attempt, clientMethod) {
+        super(response, attempt, clientMethod, 'AuthenticationError');
+    }
+}
+
+module.exports = AuthenticationError;
@@ -3,6 +3,8 @@
  * @property {object} options
  * @property {string} options.baseUrl
  * @property {string} options.resourcePath
+ * @property {string} [options.clientName]
+ *  Name of the resource client class, e.g. `ActorClient`.
  * @property {ApifyClient} options.apifyClient
  * @property {HttpClient} options.httpClient
  * @property {string} [options.id]
@@ -23,6 +25,7 @@ class ApiClient {
             apifyClient,
             httpClient,
             resourcePath,
+            clientName,
             id,
             params = {},
         } = options;
@@ -31,6 +34,7 @@ class ApiClient {
         this.safeId = id && this._toSafeId(id);
         this.baseUrl = baseUrl;
         this.resourcePath = resourcePath;
+        this.clientName = clientName;
         this.url = id
             ? `${baseUrl}/${resourcePath}/${this.safeId}`
             : `${baseUrl}/${resourcePath}`;
@@ -72,6 +76,18 @@ class ApiClient {
         return { ...this.params, ...endpointParams };
     }
 
+    /**
+     * Names the resource client method that makes the API call in the statistics and traces.
+     * The name is provided explicitly, because parsing it from the stack trace is slow
+     * and doesn't work with minified code.
+     * @param {string} method
+     * @return {string}
+     * @private
+     */
+    _clientMethod(method) {
+        return `${this.clientName}.${method}`;
+    }
+
     /**
      * @param {string} id
      * @return {string}
@@ -1,9 +1,11 @@
 const { ACT_JOB_TERMINAL_STATUSES } = require('@apify/consts');
 const ApiClient = require('./api_client');
+const { splitCallOptions } = require('../call_options');
 const {
     pluckData,
     parseDateFields,
     catchNotFoundOrThrow,
+    sleep,
 } = require('../utils');
 
 /**
@@ -14,6 +16,23 @@ const {
  */
 const MAX_WAIT_FOR_FINISH = 999999;
 
+/**
+ * How many seconds before the request timeout the API should
+ * respond to a waitForFinish request, so that long polling
+ * does not time out the request itself.
+ * @type {number}
+ */
+const WAIT_FOR_FINISH_TIMEOUT_MARGIN_SECS = 2;
+
+/**
+ * How long to wait between requests when the request timeout
+ * is too short for the API to hold the waitForFinish request.
+ * @type {number}
+ */
+const MIN_POLL_INTERVAL_MILLIS = 250;
+
+const NOT_MODIFIED_STATUS_CODE = 304;
+
 /**
  * Resource client.
  *
@@ -23,50 +42,100 @@ const MAX_WAIT_FOR_FINISH = 999999;
 class ResourceClient extends ApiClient {
     /**
      * @param {object} [options]
+     *  Query parameters and {@link CallOptions}.
      * @return {Promise<?object>}
      * @private
      */
     async _get(options = {}) {
+        const { callOptions, otherOptions } = splitCallOptions(options);
         const requestOpts = {
             url: this._url(),
             method: 'GET',
-            params: this._params(options),
+            params: this._params(otherOptions),
+            clientMethod: this._clientMethod('get'),
+            ...callOptions,
         };
         try {
-            const response = await this.httpClient.call(requestOpts);
-            return parseDateFields(pluckData(response.data));
+            const data = this.apifyClient.responseCache
+                ? await this._callWithCache(requestOpts)
+                : (await this.httpClient.call(requestOpts)).data;
+            return parseDateFields(pluckData(data));
         } catch (err) {
             return catchNotFoundOrThrow(err);
         }
     }
 
     /**
+     * Returns the response data from the cache while it's fresh. Stale data
+     * with an ETag is revalidated, so that the API doesn't need to send it again.
+     * @param {object} requestOpts
+     * @return {Promise<*>}
+     * @private
+     */
+    async _callWithCache(requestOpts) {
+        const cache = this.apifyClient.responseCache;
+        const key = cache.getKey(requestOpts.url, requestOpts.params, await this.httpClient.getTokenHash());
+        const entry = await cache.get(key);
+        if (entry && cache.isFresh(entry, this.resourcePath)) return entry.data;
+
+        if (entry && entry.etag) {
+            requestOpts.headers = { ...requestOpts.headers, 'if-none-match': entry.etag };
+        }
+        const response = await this.httpClient.call(requestOpts);
+        const isNotModified = response.status === NOT_MODIFIED_STATUS_CODE;
+        await cache.set(key, this.url, {
+            data: isNotModified ? entry.data : response.data,
+            etag: response.headers.etag || (isNotModified ? entry.etag : null),
+        });
+        return isNotModified ? entry.data : response.data;
+    }
+
+    /**
+     * @return {Promise<void>}
+     * @private
+     */
+    async _invalidateCache() {
+        const cache = this.apifyClient.responseCache;
+        if (cache) await cache.invalidate(this.url);
+    }
+
+    /**
+     * @param {object} newFields
+     * @param {CallOptions} [options]
      * @return {Promise<object>}
      * @private
      */
-    async _update(newFields) {
+    async _update(newFields, options = {}) {
         const response = await this.httpClient.call({
             url: this._url(),
             method: 'PUT',
             params: this._params(),
             data: newFields,
+            clientMethod: this._clientMethod('update'),
+            ...options,
         });
+        await this._invalidateCache();
         return parseDateFields(pluckData(response.data));
     }
 
     /**
+     * @param {CallOptions} [options]
      * @return {Promise<void>}
      * @private
      */
-    async _delete() {
+    async _delete(options = {}) {
         try {
             await this.httpClient.call({
                 url: this._url(),
                 method: 'DELETE',
                 params: this._params(),
+                clientMethod: this._clientMethod('delete'),
+                ...options,
             });
         } catch (err) {
             return catchNotFoundOrThrow(err);
+        } finally {
+            await this._invalidateCache();
         }
     }
 
@@ -76,14 +145,22 @@ class ResourceClient extends ApiClient {
      *
      * @param {object} [options]
      * @param {number} [options.waitSecs]
+     * @param {AbortSignal} [options.signal]
      * @returns {Promise<object>}
      * @private
      */
     async _waitForFinish(options = {}) {
+        const { callOptions, otherOptions } = splitCallOptions(options);
         const {
             waitSecs = MAX_WAIT_FOR_FINISH,
-        } = options;
+        } = otherOptions;
         const waitMillis = waitSecs * 1000;
+        const timeoutMillis = callOptions.timeoutSecs !== undefined
+            ? callOptions.timeoutSecs * 1000
+            : this.httpClient.timeoutMillis;
+        const maxWaitForFinish = timeoutMillis
+            ? Math.max(0, Math.floor(timeoutMillis / 1000) - WAIT_FOR_FINISH_TIMEOUT_MARGIN_SECS)
+            : Infinity;
         let job;
 
         const startedAt = Date.now();
@@ -97,12 +174,14 @@ class ResourceClient extends ApiClient {
         do {
             const millisSinceStart = Date.now() - startedAt;
             const remainingWaitSeconds = Math.round((waitMillis - millisSinceStart) / 1000);
-            const waitForFinish = Math.max(0, remainingWaitSeconds);
+            const waitForFinish = Math.min(maxWaitForFinish, Math.max(0, remainingWaitSeconds));
 
             const requestOpts = {
                 url: this._url(),
                 method: 'GET',
                 params: this._params({ waitForFinish }),
+                clientMethod: this._clientMethod('waitForFinish'),
+                ...callOptions,
             };
             try {
                 const response = await this.httpClient.call(requestOpts);
@@ -113,7 +192,9 @@ class ResourceClient extends ApiClient {
 
             // It might take some time for database replicas to get up-to-date,
             // so getRun() might return null. Wait a little bit and try it again.
-            if (!job) await new Promise((resolve) => setTimeout(resolve, 250));
+            if (!job) await sleep(250, callOptions.signal);
+            // The API responds immediately to waitForFinish=0, so poll at a sane rate instead.
+            else if (maxWaitForFinish === 0 && shouldRepeat()) await sleep(MIN_POLL_INTERVAL_MILLIS, callOptions.signal);
         } while ((shouldRepeat()));
 
         if (!job) {
@@ -1,4 +1,6 @@
 const ApiClient = require('./api_client');
+const { splitCallOptions } = require('../call_options');
+const { iterateOffsetPages } = require('../pagination');
 const {
     pluckData,
     parseDateFields,
@@ -12,39 +14,72 @@ const {
 class ResourceCollectionClient extends ApiClient {
     /**
      * @param {object} [options]
+     *  Query parameters and {@link CallOptions}.
+     * @param {string} [clientMethod='list']
+     *  The public method that lists the resources.
      * @return {Promise<object>}
      * @private
      */
-    async _list(options = {}) {
+    async _list(options = {}, clientMethod = 'list') {
+        const { callOptions, otherOptions } = splitCallOptions(options);
         const response = await this.httpClient.call({
             url: this._url(),
             method: 'GET',
-            params: this._params(options),
+            params: this._params(otherOptions),
+            clientMethod: this._clientMethod(clientMethod),
+            ...callOptions,
         });
         return parseDateFields(pluckData(response.data));
     }
 
+    /**
+     * @param {object} [options]
+     *  Query parameters, {@link CallOptions} and the options of `iterateOffsetPages()`.
+     * @param {function(object): *} [getItemKey]
+     *  Identifies the items for `driftFree`, for collections of items without `id`.
+     * @return {AsyncIterableIterator<object>}
+     * @private
+     */
+    _iterate(options = {}, getItemKey) {
+        const {
+            offset,
+            limit,
+            pageSize,
+            prefetch,
+            driftFree,
+            ...listOptions
+        } = options;
+        const fetchPage = (pageOffset, pageLimit) => {
+            return this._list({ ...listOptions, offset: pageOffset, limit: pageLimit }, 'iterate');
+        };
+        return iterateOffsetPages(fetchPage, { offset, limit, pageSize, prefetch, driftFree, getItemKey });
+    }
+
     /**
      * @param {object} resource
+     * @param {CallOptions} [options]
      * @return {Promise<object>}
      * @private
      */
-    async _create(resource) {
+    async _create(resource, options = {}) {
         const response = await this.httpClient.call({
             url: this._url(),
             method: 'POST',
             params: this._params(),
             data: resource,
+            clientMethod: this._clientMethod('create'),
+            ...options,
         });
         return parseDateFields(pluckData(response.data));
     }
 
     /**
      * @param {string} [name]
+     * @param {CallOptions} [options]
      * @return {Promise<object>}
      * @private
      */
-    async _getOrCreate(name = '') {
+    async _getOrCreate(name = '', options = {}) {
         // The default value of '' allows creating unnamed
         // resources by passing the name= parameter with
         // no value. It's useful and later will be supported
@@ -53,6 +88,8 @@ class ResourceCollectionClient extends ApiClient {
             url: this._url(),
             method: 'POST',
             params: this._params({ name }),
+            clientMethod: this._clientMethod('getOrCreate'),
+            ...options,
         });
         return parseDateFields(pluckData(response.data));
     }
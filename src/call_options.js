@@ -0,0 +1,71 @@
+const ow = require('ow').default;
+
+/**
+ * Shape of the options that all public methods of resource clients accept
+ * in addition to their own options. They don't change what is requested from
+ * the API, only how the HTTP requests are made.
+ * @type {object}
+ * @private
+ */
+const CALL_OPTIONS_SHAPE = {
+    signal: ow.optional.object.validate((signal) => ({
+        validator: isAbortSignal(signal),
+        message: (label) => `Expected ${label} to be an AbortSignal`,
+    })),
+    timeoutSecs: ow.optional.number,
+    maxRetries: ow.optional.number,
+    minDelayBetweenRetriesMillis: ow.optional.number,
+    priority: ow.optional.number,
+};
+
+/**
+ * Separates the call options from the other options of a method,
+ * which are usually sent to the API as query parameters.
+ * @param {object} [options]
+ * @return {{callOptions: CallOptions, otherOptions: object}}
+ * @private
+ */
+function splitCallOptions(options = {}) {
+    const callOptions = {};
+    const otherOptions = {};
+    Object.entries(options).forEach(([key, value]) => {
+        if (key in CALL_OPTIONS_SHAPE) callOptions[key] = value;
+        else otherOptions[key] = value;
+    });
+    return { callOptions, otherOptions };
+}
+
+/**
+ * Duck typing instead of instanceof, because it also supports
+ * AbortController polyfills in older versions of Node.js.
+ * @param {*} signal
+ * @return {boolean}
+ * @private
+ */
+function isAbortSignal(signal) {
+    return typeof signal.aborted === 'boolean'
+        && typeof signal.addEventListener === 'function'
+        && typeof signal.removeEventListener === 'function';
+}
+
+module.exports = {
+    CALL_OPTIONS_SHAPE,
+    splitCallOptions,
+};
+
+/**
+ * @typedef {object} CallOptions
+ * @property {AbortSignal} [signal]
+ *  Cancels the operation, including pending retries and polling, once the signal is aborted.
+ *  The returned promise is then rejected with an `AbortError`.
+ * @property {number} [timeoutSecs]
+ *  Overrides the `timeoutSecs` option of `ApifyClient` for the requests made by this call.
+ * @property {number} [maxRetries]
+ *  Overrides the `maxRetries` option of `ApifyClient` for the requests made by this call.
+ * @property {number} [minDelayBetweenRetriesMillis]
+ *  Overrides the `minDelayBetweenRetriesMillis` option of `ApifyClient` for the requests made by this call.
+ * @property {number} [priority=0]
+ *  When the `maxConcurrentRequests` option of `ApifyClient` is used, the requests of calls
+ *  with a higher priority are sent before the queued requests with a lower priority,
+ *  e.g. `-1` for bulk uploads that should not delay interactive calls.
+ */
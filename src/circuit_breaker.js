@@ -0,0 +1,167 @@
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open',
+};
+
+/**
+ * Stops sending requests to the API when too many of them fail, so that
+ * a sustained outage doesn't get multiplied by the retries of every call.
+ *
+ * The circuit starts closed and opens when the ratio of failed requests
+ * in the last `windowMillis` reaches `failureRatio`. While open, requests fail
+ * fast with a `CircuitOpenError`. After `openDurationMillis` the circuit becomes
+ * half-open and lets a single probe request through. The circuit closes when
+ * the probe succeeds and opens again when it fails.
+ *
+ * Only network errors, timeouts and 5xx responses count as failures,
+ * because other errors don't mean that the API is unavailable.
+ * @private
+ */
+class CircuitBreaker {
+    /**
+     * @param {object} options
+     * @param {number} [options.failureRatio=0.5]
+     * @param {number} [options.minimumRequests=10]
+     * @param {number} [options.windowMillis=60000]
+     * @param {number} [options.openDurationMillis=30000]
+     * @param {Statistics} stats
+     */
+    constructor(options, stats) {
+        const {
+            failureRatio = 0.5,
+            minimumRequests = 10,
+            windowMillis = 60000,
+            openDurationMillis = 30000,
+        } = options;
+
+        this.failureRatio = failureRatio;
+        this.minimumRequests = minimumRequests;
+        this.windowMillis = windowMillis;
+        this.openDurationMillis = openDurationMillis;
+
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.openedAt = null;
+        this.timesOpened = 0;
+        this.probe = null;
+        // Results of requests in the window as { finishedAt, isFailure }.
+        this.results = [];
+
+        this.stats = stats;
+        this.stats.circuitBreaker = {
+            state: this.state,
+            timesOpened: 0,
+            rejectedRequests: 0,
+        };
+    }
+
+    /**
+     * Returns a permit when a request may be sent, or null when it may not.
+     * In the half-open state, only the first request gets a permit, as a probe.
+     * The permit must be passed to `recordResult()` or `recordCancellation()`
+     * once the request finishes.
+     * @return {?CircuitPermit}
+     */
+    requestPermit() {
+        if (this.state === CIRCUIT_STATES.OPEN && this.getRemainingOpenMillis() === 0) {
+            this._setState(CIRCUIT_STATES.HALF_OPEN);
+        }
+
+        let permit = null;
+        if (this.state === CIRCUIT_STATES.CLOSED) {
+            permit = { timesOpened: this.timesOpened, isProbe: false };
+        } else if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.probe) {
+            permit = { timesOpened: this.timesOpened, isProbe: true };
+            this.probe = permit;
+        }
+
+        if (!permit) this.stats.circuitBreaker.rejectedRequests++;
+        return permit;
+    }
+
+    /**
+     * Only the result of the probe decides whether the half-open circuit closes or opens again.
+     * Results of requests that were sent before the circuit opened are ignored,
+     * e.g. of long polling requests, because the circuit has already reacted to the outage.
+     * @param {CircuitPermit} permit
+     * @param {boolean} isFailure
+     */
+    recordResult(permit, isFailure) {
+        if (permit.isProbe) {
+            if (permit !== this.probe) return;
+            this.probe = null;
+            if (isFailure) this._open();
+            else this._close();
+            return;
+        }
+        if (permit.timesOpened !== this.timesOpened) return;
+
+        const now = Date.now();
+        this.results.push({ finishedAt: now, isFailure });
+        this.results = this.results.filter(({ finishedAt }) => finishedAt > now - this.windowMillis);
+
+        if (isFailure && this.results.length >= this.minimumRequests) {
+            const failures = this.results.filter((result) => result.isFailure).length;
+            if (failures / this.results.length >= this.failureRatio) this._open();
+        }
+    }
+
+    /**
+     * Cancelled requests tell nothing about the API,
+     * but a cancelled probe must not block the circuit forever.
+     * @param {CircuitPermit} permit
+     */
+    recordCancellation(permit) {
+        if (permit === this.probe) this.probe = null;
+    }
+
+    /**
+     * @return {number}
+     */
+    getRemainingOpenMillis() {
+        if (this.state !== CIRCUIT_STATES.OPEN) return 0;
+        return Math.max(0, this.openedAt + this.openDurationMillis - Date.now());
+    }
+
+    /**
+     * @private
+     */
+    _open() {
+        this.openedAt = Date.now();
+        this.results = [];
+        this.timesOpened++;
+        this.stats.circuitBreaker.timesOpened = this.timesOpened;
+        this._setState(CIRCUIT_STATES.OPEN);
+    }
+
+    /**
+     * @private
+     */
+    _close() {
+        this.openedAt = null;
+        this.results = [];
+        this._setState(CIRCUIT_STATES.CLOSED);
+    }
+
+    /**
+     * @param {string} state
+     * @private
+     */
+    _setState(state) {
+        this.state = state;
+        this.stats.circuitBreaker.state = state;
+    }
+}
+
+module.exports = {
+    CIRCUIT_STATES,
+    CircuitBreaker,
+};
+
+/**
+ * @typedef {object} CircuitPermit
+ * @property {number} timesOpened
+ *  How many times the circuit had opened when the request was sent.
+ * @property {boolean} isProbe
+ * @private
+ */
@@ -0,0 +1,23 @@
+/**
+ * Thrown instead of sending a request while the circuit breaker is open,
+ * because too many recent requests failed due to an API outage.
+ * See the `circuitBreaker` option of `ApifyClient`.
+ *
+ * @property {number} retryAfterMillis
+ *  Time after which the circuit breaker lets a probe request through.
+ * @hideconstructor
+ */
+class CircuitOpenError extends Error {
+    /**
+     * @param {number} retryAfterMillis
+     */
+    constructor(retryAfterMillis) {
+        super(`The circuit breaker is open because too many API requests failed recently. `
+            + `Requests will be allowed again in ${Math.ceil(retryAfterMillis / 1000)}s.`);
+        this.name = 'CircuitOpenError';
+        this.code = 'circuit-open';
+        this.retryAfterMillis = retryAfterMillis;
+    }
+}
+
+module.exports = CircuitOpenError;
@@ -0,0 +1,102 @@
+const AbortError = require('./abort_error');
+const LatencyHistogram = require('./latency_histogram');
+
+/**
+ * Limits the number of requests of an ApifyClient that are in flight at once.
+ * The requests over the limit wait in a queue, ordered by their priority
+ * and then by the order of arrival, so that interactive calls with a higher priority
+ * overtake bulk work that was queued before them.
+ * @private
+ */
+class ConcurrencyLimiter {
+    /**
+     * @param {number} maxConcurrentRequests
+     * @param {Statistics} stats
+     */
+    constructor(maxConcurrentRequests, stats) {
+        this.maxConcurrentRequests = maxConcurrentRequests;
+        this.activeRequests = 0;
+        // Sorted by the priority in descending order, then by the order of arrival.
+        this.queue = [];
+
+        this.stats = stats;
+        this.stats.concurrency = {
+            activeRequests: 0,
+            queueLength: 0,
+            maxQueueLength: 0,
+            queuedRequests: 0,
+            queueWait: new LatencyHistogram(),
+        };
+    }
+
+    /**
+     * Resolves once the request may be sent. Every successful call must be followed
+     * by a call of `release()` when the request is done.
+     * @param {object} [options]
+     * @param {number} [options.priority=0]
+     * @param {AbortSignal} [options.signal]
+     *  Removes the request from the queue and rejects with an `AbortError`.
+     * @return {Promise<void>}
+     */
+    async acquire(options = {}) {
+        const { priority = 0, signal } = options;
+        if (signal && signal.aborted) throw new AbortError(signal);
+        if (this.activeRequests < this.maxConcurrentRequests && !this.queue.length) {
+            this._setActiveRequests(this.activeRequests + 1);
+            return;
+        }
+
+        await new Promise((resolve, reject) => {
+            const entry = { priority, queuedAt: Date.now() };
+            const onAbort = () => {
+                this.queue.splice(this.queue.indexOf(entry), 1);
+                this._updateQueueLength();
+                reject(new AbortError(signal));
+            };
+            entry.start = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                this.stats.concurrency.queueWait.observe(Date.now() - entry.queuedAt);
+                resolve();
+            };
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            const index = this.queue.findIndex((queued) => queued.priority < priority);
+            this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+            this.stats.concurrency.queuedRequests++;
+            this._updateQueueLength();
+        });
+    }
+
+    /**
+     * Hands the slot of a finished request over to the first request in the queue.
+     */
+    release() {
+        const next = this.queue.shift();
+        if (!next) {
+            this._setActiveRequests(this.activeRequests - 1);
+            return;
+        }
+        this._updateQueueLength();
+        next.start();
+    }
+
+    /**
+     * @param {number} activeRequests
+     * @private
+     */
+    _setActiveRequests(activeRequests) {
+        this.activeRequests = activeRequests;
+        this.stats.concurrency.activeRequests = activeRequests;
+    }
+
+    /**
+     * @private
+     */
+    _updateQueueLength() {
+        const { concurrency } = this.stats;
+        concurrency.queueLength = this.queue.length;
+        concurrency.maxQueueLength = Math.max(concurrency.maxQueueLength, this.queue.length);
+    }
+}
+
+module.exports = ConcurrencyLimiter;
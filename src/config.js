@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ENV_VARS } = require('@apify/consts');
+const { isNode } = require('./utils');
+
+/**
+ * The options of `ApifyClient` that can be set by environment variables and config files.
+ * Only scalar options are supported, because the others, e.g. agents or cache stores,
+ * can't be represented by strings or JSON. The numbers are parsed from the strings.
+ */
+const ENV_VARS_BY_OPTION = {
+    token: ENV_VARS.TOKEN,
+    baseUrl: ENV_VARS.API_BASE_URL,
+    maxRetries: 'APIFY_CLIENT_MAX_RETRIES',
+    minDelayBetweenRetriesMillis: 'APIFY_CLIENT_MIN_DELAY_BETWEEN_RETRIES_MILLIS',
+    timeoutSecs: 'APIFY_CLIENT_TIMEOUT_SECS',
+    maxConcurrentRequests: 'APIFY_CLIENT_MAX_CONCURRENT_REQUESTS',
+};
+
+const NUMBER_OPTIONS = ['maxRetries', 'minDelayBetweenRetriesMillis', 'timeoutSecs', 'maxConcurrentRequests'];
+
+const CONFIG_PATH_ENV_VAR = 'APIFY_CLIENT_CONFIG_PATH';
+
+/**
+ * Same as the file with the credentials of the Apify CLI,
+ * so that the token of a logged in user is picked up.
+ * @return {string}
+ * @private
+ */
+function getDefaultConfigPath() {
+    return path.join(os.homedir(), '.apify', 'auth.json');
+}
+
+/**
+ * Reads the options of `ApifyClient` from the environment variables.
+ * @param {object<string, string>} env
+ * @return {ConfigLayer}
+ * @private
+ */
+function readEnvOptions(env) {
+    const layer = { label: 'environment variables', options: {}, sources: {} };
+    Object.entries(ENV_VARS_BY_OPTION).forEach(([option, envVar]) => {
+        const value = env[envVar];
+        if (value === undefined || value === '') return;
+        layer.options[option] = NUMBER_OPTIONS.includes(option) ? parseNumber(value) : value;
+        layer.sources[option] = `env:${envVar}`;
+    });
+    return layer;
+}
+
+/**
+ * Reads the options of `ApifyClient` from a JSON file. The fields that are not options,
+ * e.g. the username stored by the Apify CLI, are ignored, but options that can't be set
+ * by config files throw.
+ * @param {object<string, string>} env
+ * @param {string} [configPath]
+ *  Missing files fail only when the path was provided explicitly.
+ * @param {string[]} optionNames
+ *  All the options of `ApifyClient`.
+ * @return {ConfigLayer}
+ * @private
+ */
+function readConfigFile(env, configPath, optionNames) {
+    if (!isNode()) return { label: 'config file', options: {}, sources: {} };
+
+    const explicitPath = configPath || env[CONFIG_PATH_ENV_VAR];
+    const filePath = path.resolve(explicitPath || getDefaultConfigPath());
+    const layer = { label: `config file ${filePath}`, options: {}, sources: {} };
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT' && !explicitPath) return layer;
+        throw new Error(`Config file ${filePath} could not be read.\nCause: ${err.message}`);
+    }
+
+    let config;
+    try {
+        config = JSON.parse(content);
+    } catch (err) {
+        throw new Error(`Config file ${filePath} is not valid JSON.\nCause: ${err.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Config file ${filePath} must contain a JSON object.`);
+    }
+    const configOptions = Object.keys(ENV_VARS_BY_OPTION);
+    const unsupportedOptions = optionNames.filter((option) => {
+        return config[option] !== undefined && !configOptions.includes(option);
+    });
+    if (unsupportedOptions.length) {
+        throw new Error(`Config file ${filePath} contains options that can't be set by config files: `
+            + `${unsupportedOptions.join(', ')}. Only ${configOptions.join(', ')} are supported.`);
+    }
+    configOptions.forEach((option) => {
+        if (config[option] === undefined) return;
+        layer.options[option] = config[option];
+        layer.sources[option] = `file:${filePath}`;
+    });
+    return layer;
+}
+
+/**
+ * Merges the layers of options, the later layers take precedence.
+ * @param {ConfigLayer[]} layers
+ * @return {{options: object, sources: object<string, string>}}
+ * @private
+ */
+function mergeConfigLayers(layers) {
+    return layers.reduce((merged, layer) => ({
+        options: { ...merged.options, ...layer.options },
+        sources: { ...merged.sources, ...layer.sources },
+    }), { options: {}, sources: {} });
+}
+
+/**
+ * Invalid numbers are kept as strings, so that the validation of the options reports them.
+ * @param {string} value
+ * @return {number|string}
+ * @private
+ */
+function parseNumber(value) {
+    const number = Number(value);
+    return value.trim() && !Number.isNaN(number) ? number : value;
+}
+
+/**
+ * @typedef {object} ConfigLayer
+ * @property {string} label
+ *  Describes the source in validation errors.
+ * @property {object} options
+ * @property {object<string, string>} sources
+ *  The source of each option, e.g. `env:APIFY_TOKEN`.
+ * @private
+ */
+
+module.exports = {
+    mergeConfigLayers,
+    readConfigFile,
+    readEnvOptions,
+};
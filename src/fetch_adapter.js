@@ -0,0 +1,129 @@
+const buildFullPath = require('axios/lib/core/buildFullPath');
+const buildURL = require('axios/lib/helpers/buildURL');
+const createError = require('axios/lib/core/createError');
+const { Readable } = require('stream');
+const {
+    isNode,
+    isStream,
+} = require('./utils');
+
+/**
+ * An axios adapter that sends requests using the WHATWG `fetch` API instead of
+ * Node.js http or browser XHR. It's useful in environments where `fetch` is the
+ * only way of making HTTP requests, such as edge runtimes or service workers.
+ *
+ * Because it plugs into axios, all the interceptors, retries and response parsing
+ * work the same way as with the default axios adapters. The errors it throws
+ * also mimic axios errors, so that HttpClient can classify them.
+ *
+ * @param {object} config
+ * @return {Promise<object>}
+ */
+async function fetchAdapter(config) {
+    const url = buildURL(buildFullPath(config.baseURL, config.url), config.params, config.paramsSerializer);
+    const method = config.method.toUpperCase();
+    const headers = normalizeRequestHeaders(config.headers);
+    const request = { url, method, headers };
+
+    const controller = new AbortController();
+    let isTimedOut = false;
+    let timeout;
+    if (config.timeout) {
+        timeout = setTimeout(() => {
+            isTimedOut = true;
+            controller.abort();
+        }, config.timeout);
+    }
+
+    let cancellation;
+    if (config.cancelToken) {
+        config.cancelToken.promise.then((cancel) => {
+            cancellation = cancel;
+            controller.abort();
+        });
+    }
+
+    const init = {
+        method,
+        headers,
+        body: config.data,
+        signal: controller.signal,
+    };
+    // Node.js fetch refuses to send a streamed body without this.
+    if (isStream(config.data)) init.duplex = 'half';
+
+    try {
+        const response = await fetch(url, init);
+        return {
+            data: await readResponseData(response, config.responseType),
+            status: response.status,
+            statusText: response.statusText,
+            headers: parseResponseHeaders(response.headers),
+            config,
+            request,
+        };
+    } catch (err) {
+        // Axios identifies cancelled requests by this object.
+        if (cancellation) throw cancellation;
+        if (isTimedOut) {
+            throw createError(`timeout of ${config.timeout}ms exceeded`, config, 'ECONNABORTED', request);
+        }
+        // Having the config and request attached marks the error as a network error.
+        const code = err.code || (err.cause && err.cause.code);
+        throw createError(err.message, config, code, request);
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * @param {Response} response
+ * @param {string} responseType
+ * @return {Promise<*>}
+ * @private
+ */
+async function readResponseData(response, responseType) {
+    if (responseType === 'stream') {
+        // Keep the same interface as the axios http adapter in Node.js.
+        return isNode() && Readable.fromWeb
+            ? Readable.fromWeb(response.body)
+            : response.body;
+    }
+    if (responseType === 'text') return response.text();
+
+    // The default axios adapters return a Buffer in Node.js
+    // and an ArrayBuffer in browsers for 'arraybuffer'.
+    const arrayBuffer = await response.arrayBuffer();
+    return isNode() ? Buffer.from(arrayBuffer) : arrayBuffer;
+}
+
+/**
+ * Removes headers without a value, because fetch would send them as 'undefined'.
+ * @param {object} headers
+ * @return {object}
+ * @private
+ */
+function normalizeRequestHeaders(headers = {}) {
+    return Object.entries(headers).reduce((normalized, [key, value]) => {
+        if (value !== undefined && value !== null) normalized[key] = String(value);
+        return normalized;
+    }, {});
+}
+
+/**
+ * Converts fetch Headers to a plain object with lower-cased keys, same as axios.
+ * @param {Headers} headers
+ * @return {object}
+ * @private
+ */
+function parseResponseHeaders(headers) {
+    const parsed = {};
+    headers.forEach((value, key) => {
+        parsed[key.toLowerCase()] = value;
+    });
+    return parsed;
+}
+
+module.exports = {
+    fetchAdapter,
+};
@@ -0,0 +1,18 @@
+const ApifyApiError = require('./apify_api_error');
+
+/**
+ * Thrown when the token does not grant access to the resource (HTTP 403).
+ * @hideconstructor
+ */
+class ForbiddenError extends ApifyApiError {
+    /**
+     * @param {AxiosResponse} response
+     * @param {number} attempt
+     * @param {string} [clientMethod]
+     */
+    constructor(response, attempt, clientMethod) {
+        super(response, attempt, clientMethod, 'ForbiddenError');
+    }
+}
+
+module.exports = ForbiddenError;
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const buildFullPath = require('axios/lib/core/buildFullPath');
+const buildURL = require('axios/lib/helpers/buildURL');
+const { PassThrough, Readable } = require('stream');
+const UnmatchedRequestError = require('./unmatched_request_error');
+const { isStream } = require('./utils');
+const { version } = require('../package.json');
+
+const HAR_MODES = {
+    RECORD: 'record',
+    REPLAY: 'replay',
+};
+
+const REDACTED_VALUE = '***';
+const TEXT_CONTENT_TYPE_REGEX = /^(text\/|application\/(json|xml|javascript)|[^;]*\+(json|xml))/i;
+
+/**
+ * Wraps an axios adapter, so that the API traffic is recorded to a HAR file
+ * or replayed from it. The recorded requests don't include the token and
+ * the recorded bodies are kept byte for byte, so buffers and streams
+ * are replayed the same as they were received.
+ * See http://www.softwareishard.com/blog/har-12-spec/
+ * @param {function} adapter
+ * @param {object} options
+ * @param {string} options.mode
+ *  Either `record` or `replay`.
+ * @param {string} options.path
+ * @return {function}
+ * @private
+ */
+function createHarAdapter(adapter, { mode, path }) {
+    return mode === HAR_MODES.RECORD
+        ? createRecordingAdapter(adapter, path)
+        : createReplayAdapter(path);
+}
+
+/**
+ * The file is rewritten after each response, so that it's complete
+ * even when the process does not end gracefully, e.g. in a failed test.
+ * @param {function} adapter
+ * @param {string} path
+ * @return {function}
+ * @private
+ */
+function createRecordingAdapter(adapter, path) {
+    const entries = [];
+    const addEntry = (entry) => {
+        entries.push(entry);
+        fs.writeFileSync(path, JSON.stringify(createHar(entries), null, 2));
+    };
+
+    return async (config) => {
+        const startedAt = new Date();
+        const response = await adapter(config);
+        const createEntry = (body) => ({
+            startedDateTime: startedAt.toISOString(),
+            time: Date.now() - startedAt.getTime(),
+            request: createHarRequest(config),
+            response: createHarResponse(response, body),
+            cache: {},
+            timings: { send: 0, wait: Date.now() - startedAt.getTime(), receive: 0 },
+        });
+
+        if (!isStream(response.data)) {
+            addEntry(createEntry(response.data ? Buffer.from(response.data) : Buffer.alloc(0)));
+            return response;
+        }
+
+        // The stream is recorded while the user consumes it.
+        const chunks = [];
+        const stream = new PassThrough();
+        response.data.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+        response.data.on('end', () => addEntry(createEntry(Buffer.concat(chunks))));
+        response.data.on('error', (err) => stream.destroy(err));
+        response.data.pipe(stream);
+        return { ...response, data: stream };
+    };
+}
+
+/**
+ * Each recorded response is replayed only once, in the recorded order,
+ * so that repeated requests, such as polling of a run, get the same sequence
+ * of responses as when they were recorded.
+ * @param {string} path
+ * @return {function}
+ * @private
+ */
+function createReplayAdapter(path) {
+    const har = JSON.parse(fs.readFileSync(path, 'utf8'));
+    const unusedEntries = har.log.entries.slice();
+
+    return async (config) => {
+        const request = createHarRequest(config);
+        const index = unusedEntries.findIndex((entry) => isMatchingRequest(entry.request, request));
+        if (index === -1) throw new UnmatchedRequestError(request.method, request.url, path);
+        const [entry] = unusedEntries.splice(index, 1);
+
+        const { content } = entry.response;
+        const body = Buffer.from(content.text || '', content.encoding === 'base64' ? 'base64' : 'utf8');
+        return {
+            data: config.responseType === 'stream' ? Readable.from([body], { objectMode: false }) : body,
+            status: entry.response.status,
+            statusText: entry.response.statusText,
+            headers: fromHarHeaders(entry.response.headers),
+            config,
+            request: {},
+        };
+    };
+}
+
+/**
+ * @param {object[]} entries
+ * @return {object}
+ * @private
+ */
+function createHar(entries) {
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: 'apify-client', version },
+            entries,
+        },
+    };
+}
+
+/**
+ * @param {object} config
+ * @return {object}
+ * @private
+ */
+function createHarRequest(config) {
+    const params = { ...config.params };
+    if (params.token) params.token = REDACTED_VALUE;
+    const url = buildURL(buildFullPath(config.baseURL, config.url), params, config.paramsSerializer);
+    const { searchParams } = new URL(url);
+    const headers = { ...config.headers };
+    Object.keys(headers).forEach((name) => {
+        if (name.toLowerCase() === 'authorization') headers[name] = REDACTED_VALUE;
+    });
+
+    const harRequest = {
+        method: config.method.toUpperCase(),
+        url,
+        httpVersion: 'HTTP/1.1',
+        headers: toHarHeaders(headers),
+        queryString: [...searchParams].map(([name, value]) => ({ name, value })),
+        cookies: [],
+        headersSize: -1,
+        bodySize: -1,
+    };
+    // Streamed request bodies can't be recorded without consuming them.
+    if (config.data !== undefined && config.data !== null && !isStream(config.data)) {
+        const body = Buffer.from(config.data);
+        const mimeType = getHeader(headers, 'content-type') || '';
+        const isCompressed = !!getHeader(headers, 'content-encoding');
+        harRequest.postData = {
+            mimeType,
+            ...encodeContent(body, isCompressed ? undefined : mimeType),
+        };
+        harRequest.bodySize = body.length;
+    }
+    return harRequest;
+}
+
+/**
+ * @param {AxiosResponse} response
+ * @param {Buffer} body
+ * @return {object}
+ * @private
+ */
+function createHarResponse(response, body) {
+    const mimeType = getHeader(response.headers, 'content-type') || '';
+    return {
+        status: response.status,
+        statusText: response.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        headers: toHarHeaders(response.headers),
+        cookies: [],
+        content: {
+            size: body.length,
+            mimeType,
+            ...encodeContent(body, mimeType),
+        },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: body.length,
+    };
+}
+
+/**
+ * Text bodies are stored as text to keep the file readable,
+ * other bodies are stored in base64.
+ * @param {Buffer} body
+ * @param {string} [mimeType]
+ * @return {{text: string, encoding: (string|undefined)}}
+ * @private
+ */
+function encodeContent(body, mimeType) {
+    if (TEXT_CONTENT_TYPE_REGEX.test(mimeType || '')) {
+        const text = body.toString('utf8');
+        // Invalid UTF-8 would not survive the round trip.
+        if (Buffer.from(text, 'utf8').equals(body)) return { text };
+    }
+    return { text: body.toString('base64'), encoding: 'base64' };
+}
+
+/**
+ * The headers differ between the runs, e.g. the User-Agent or tracing
+ * headers, so the requests are matched by the method, URL and body.
+ * @param {object} recorded
+ * @param {object} request
+ * @return {boolean}
+ * @private
+ */
+function isMatchingRequest(recorded, request) {
+    const recordedBody = recorded.postData ? recorded.postData.text : undefined;
+    const body = request.postData ? request.postData.text : undefined;
+    return recorded.method === request.method
+        && recorded.url === request.url
+        && recordedBody === body;
+}
+
+/**
+ * @param {object} headers
+ * @param {string} name
+ *  Lower-cased header name.
+ * @return {string|undefined}
+ * @private
+ */
+function getHeader(headers, name) {
+    const key = Object.keys(headers).find((headerName) => headerName.toLowerCase() === name);
+    return key && headers[key];
+}
+
+/**
+ * @param {object} headers
+ * @return {{name: string, value: string}[]}
+ * @private
+ */
+function toHarHeaders(headers = {}) {
+    return Object.entries(headers)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * @param {{name: string, value: string}[]} headers
+ * @return {object}
+ * @private
+ */
+function fromHarHeaders(headers = []) {
+    return headers.reduce((parsed, { name, value }) => {
+        parsed[name.toLowerCase()] = value;
+        return parsed;
+    }, {});
+}
+
+module.exports = {
+    HAR_MODES,
+    createHarAdapter,
+};
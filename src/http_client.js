@@ -1,59 +1,159 @@
 const retry = require('async-retry');
 const axios = require('axios').default;
-const KeepAliveAgent = require('agentkeepalive');
+const ow = require('ow').default;
+const buildURL = require('axios/lib/helpers/buildURL');
 const os = require('os');
+const AbortError = require('./abort_error');
+const { createAgents } = require('./agents');
 const ApifyApiError = require('./apify_api_error');
+const AuthenticationError = require('./authentication_error');
+const { CircuitBreaker } = require('./circuit_breaker');
+const CircuitOpenError = require('./circuit_open_error');
+const ConcurrencyLimiter = require('./concurrency_limiter');
+const { fetchAdapter } = require('./fetch_adapter');
+const ForbiddenError = require('./forbidden_error');
+const { createHarAdapter } = require('./har');
+const NetworkError = require('./network_error');
+const NotFoundError = require('./not_found_error');
+const RateLimitError = require('./rate_limit_error');
+const RateLimiter = require('./rate_limiter');
+const { getRetryDelayMillis } = require('./retry_policy');
+const ServerError = require('./server_error');
+const TimeoutError = require('./timeout_error');
+const ValidationError = require('./validation_error');
+const {
+    endCallSpan,
+    endSpan,
+    startAttemptSpan,
+    startCallSpan,
+} = require('./tracing');
 const {
     InvalidResponseBodyError,
     requestInterceptors,
     responseInterceptors,
 } = require('./interceptors');
 const {
+    abortable,
+    getByteLength,
+    hashToken,
     isNode,
+    isStream,
+    sleep,
 } = require('./utils');
 const { version } = require('../package.json');
 
+const NOT_MODIFIED_STATUS_CODE = 304;
+const UNAUTHORIZED_STATUS_CODE = 401;
 const RATE_LIMIT_EXCEEDED_STATUS_CODE = 429;
+const REDACTED_TOKEN = '***';
+
+/**
+ * Axios adapters that actually send the requests. Everything else,
+ * like interceptors, retries and parsing, is shared by all transports.
+ * Using undefined lets axios pick its default adapter, which is
+ * http in Node.js and XHR in browsers.
+ * @type {object<string, ?function>}
+ */
+const TRANSPORT_ADAPTERS = {
+    axios: undefined,
+    fetch: fetchAdapter,
+};
+
+/**
+ * The `ApifyApiError` subclasses of the common status codes. Server errors (500+)
+ * are thrown as `ServerError` and other status codes as a plain `ApifyApiError`.
+ * @type {object<number, function>}
+ */
+const API_ERROR_CLASSES_BY_STATUS_CODE = {
+    400: ValidationError,
+    401: AuthenticationError,
+    403: ForbiddenError,
+    404: NotFoundError,
+    429: RateLimitError,
+};
 
 class HttpClient {
     /**
      * @param {object} options
      * @param {object} options.apifyClientStats
+     * @param {string} options.baseUrl
+     * @param {string} [options.proxyUrl]
+     * @param {http.Agent} [options.httpAgent]
+     * @param {https.Agent} [options.httpsAgent]
+     * @param {object} [options.agentOptions]
      * @param {number} options.maxRetries
      * @param {number} options.minDelayBetweenRetriesMillis
+     * @param {object} [options.retryPolicy]
      * @param {function[]} options.requestInterceptors
+     * @param {function[]} options.responseInterceptors
+     * @param {EventEmitter} options.events
      * @param {number} options.timeoutSecs
+     * @param {string} [options.token]
+     * @param {function(): Promise<string>} [options.tokenProvider]
+     * @param {boolean} [options.sendTokenAsQueryParam]
+     * @param {string} options.transport
+     * @param {object} [options.rateLimit]
+     * @param {object} [options.circuitBreaker]
+     * @param {boolean} [options.coalesceRequests]
+     * @param {number} [options.maxConcurrentRequests]
+     * @param {{mode: string, path: string}} [options.har]
      * @param {object} options.logger
      */
     constructor(options) {
         this.stats = options.apifyClientStats;
         this.maxRetries = options.maxRetries;
         this.minDelayBetwenRetriesMillis = options.minDelayBetweenRetriesMillis;
+        this.retryPolicy = options.retryPolicy || {};
         this.userProvidedRequestInterceptors = options.requestInterceptors;
+        this.userProvidedResponseInterceptors = options.responseInterceptors;
+        this.events = options.events;
         this.timeoutMillis = options.timeoutSecs * 1000;
+        this.token = options.token;
+        this.tokenProvider = options.tokenProvider;
+        this.sendTokenAsQueryParam = options.sendTokenAsQueryParam;
+        // The provided token is cached until the API rejects it.
+        this.providedTokenPromise = null;
+        this.providedToken = null;
+        this.transport = options.transport;
+        this.rateLimiter = options.rateLimit && new RateLimiter(options.rateLimit);
+        this.circuitBreaker = options.circuitBreaker && new CircuitBreaker(options.circuitBreaker, this.stats);
+        this.inFlightRequests = options.coalesceRequests ? new Map() : null;
+        this.concurrencyLimiter = options.maxConcurrentRequests
+            ? new ConcurrencyLimiter(options.maxConcurrentRequests, this.stats)
+            : null;
         this.logger = options.logger;
-        this._onRequestRetry = this._onRequestRetry.bind(this);
 
-        if (isNode()) {
-            // We want to keep sockets alive for better performance.
-            // It's important to set the user's timeout also here and not only
-            // on the axios instance, because even though this timeout
-            // is for inactive sockets, sometimes the platform would take
-            // long to process requests and the socket would time-out
-            // while waiting for the response.
-            const agentOpts = {
-                timeout: this.timeoutMillis,
-            };
-            this.httpAgent = new KeepAliveAgent(agentOpts);
-            this.httpsAgent = new KeepAliveAgent.HttpsAgent(agentOpts);
+        // Agents are only used by the axios http adapter.
+        if (isNode() && this.transport === 'axios') {
+            const hasCustomAgents = options.httpAgent && options.httpsAgent;
+            const agents = hasCustomAgents ? {} : createAgents({
+                baseUrl: options.baseUrl,
+                timeoutMillis: this.timeoutMillis,
+                proxyUrl: options.proxyUrl,
+                agentOptions: options.agentOptions,
+            });
+            this.httpAgent = options.httpAgent || agents.httpAgent;
+            this.httpsAgent = options.httpsAgent || agents.httpsAgent;
+        } else if (options.proxyUrl || options.httpAgent || options.httpsAgent) {
+            throw new Error('The proxyUrl, httpAgent and httpsAgent options are only supported by the axios transport in Node.js.');
+        }
+
+        let adapter = TRANSPORT_ADAPTERS[this.transport];
+        if (options.har) {
+            if (!isNode()) throw new Error('The har option is only supported in Node.js.');
+            adapter = createHarAdapter(adapter || axios.defaults.adapter, options.har);
         }
 
         this.axios = axios.create({
+            adapter,
             headers: {
                 Accept: 'application/json, */*',
             },
             httpAgent: this.httpAgent,
             httpsAgent: this.httpsAgent,
+            // Proxies are handled by the agents. The axios proxy support
+            // would send HTTPS requests to the proxy without tunneling.
+            proxy: false,
             paramsSerializer: (params) => {
                 const formattedParams = Object.entries(params)
                     .filter(([, value]) => value !== undefined)
@@ -62,7 +162,7 @@ class HttpClient {
                         return [key, updatedValue];
                     });
 
-                return new URLSearchParams(formattedParams);
+                return new URLSearchParams(formattedParams).toString();
             },
             validateStatus: null,
             // Using interceptors for this functionality.
@@ -80,43 +180,307 @@ class HttpClient {
 
         // Clean all default headers because they only make a mess
         // and their merging is difficult to understand and buggy.
+        // The token is not a default header either, because derived clients
+        // with another token share the axios instance.
         this.axios.defaults.headers = {};
+        this.headers = {};
 
         if (isNode()) {
             // Works only in Node. Cannot be set in browser
-            const userAgent = `ApifyClient/${version} (${os.type()}; Node/${process.version}); isAtHome/${!!process.env.IS_AT_HOME}`;
-            this.axios.defaults.headers['User-Agent'] = userAgent;
+            this.userAgent = `ApifyClient/${version} (${os.type()}; Node/${process.version}); isAtHome/${!!process.env.IS_AT_HOME}`;
+            this.axios.defaults.headers['User-Agent'] = this.userAgent;
         }
 
+        // Axios runs the request interceptors in reverse order, so the bytes
+        // are counted after the body was serialized and compressed, and
+        // the response bytes are counted before the body is parsed.
+        this.axios.interceptors.request.use((config) => {
+            this.stats.bytesSent += getByteLength(config.data);
+            return config;
+        });
+        this.axios.interceptors.response.use((response) => {
+            this.stats.bytesReceived += getByteLength(response.data);
+            return response;
+        });
         requestInterceptors.forEach((i) => this.axios.interceptors.request.use(i));
         this.userProvidedRequestInterceptors.forEach((i) => this.axios.interceptors.request.use(i));
         responseInterceptors.forEach((i) => this.axios.interceptors.response.use(i));
+        this.userProvidedResponseInterceptors.forEach((i) => this.axios.interceptors.response.use(i));
+    }
+
+    /**
+     * Creates a client that overrides some settings of this one, but shares its axios instance,
+     * agents, statistics, events, rate limiter, circuit breaker and concurrency limit.
+     * The coalesced requests are not shared, because they might differ in the token.
+     * @param {object} options
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
+     * @param {number} [options.timeoutSecs]
+     * @param {string} [options.token]
+     * @param {function(): Promise<string>} [options.tokenProvider]
+     *  The token and the token provider of this client are replaced together.
+     * @param {object<string, string>} [options.headers]
+     *  Added to the headers of this client.
+     * @return {HttpClient}
+     */
+    withOptions(options) {
+        const derived = Object.assign(Object.create(HttpClient.prototype), this);
+        if (options.maxRetries !== undefined) derived.maxRetries = options.maxRetries;
+        if (options.minDelayBetweenRetriesMillis !== undefined) {
+            derived.minDelayBetwenRetriesMillis = options.minDelayBetweenRetriesMillis;
+        }
+        if (options.timeoutSecs !== undefined) derived.timeoutMillis = options.timeoutSecs * 1000;
+        if (options.token !== undefined || options.tokenProvider !== undefined) {
+            derived.token = options.token;
+            derived.tokenProvider = options.tokenProvider;
+            derived.providedTokenPromise = null;
+            derived.providedToken = null;
+        }
+        derived.headers = { ...this.headers, ...options.headers };
+        derived.inFlightRequests = this.inFlightRequests && new Map();
+        return derived;
     }
 
     /**
      * @param {object} config
+     * @param {AbortSignal} [config.signal]
+     *  Cancels the request and all the pending retries.
+     * @param {number} [config.timeoutSecs]
+     * @param {number} [config.maxRetries]
+     * @param {number} [config.minDelayBetweenRetriesMillis]
+     *  Override the client-wide settings for this call only.
+     * @param {number} [config.priority]
+     *  Position of the requests in the queue of the `maxConcurrentRequests` option.
+     * @param {string} [config.clientMethod]
+     *  The resource client method that makes the call, e.g. `ActorClient.get`.
+     *  It names the call in the statistics and traces.
      * @return {Promise<*>}
      */
     async call(config) {
         this.stats.calls++;
-        const makeRequest = this._createRequestHandler(config);
+        if (this.inFlightRequests && this._isCoalescable(config)) return this._coalesce(config);
+        return this._call(config);
+    }
+
+    /**
+     * Identical GET requests that are called while the first one is in flight
+     * get its response instead of sending their own request. The shared request
+     * is not cancelled by the signals of the callers, each caller only stops
+     * waiting for it when its own signal is aborted. It keeps the priority of the first caller.
+     * @param {object} config
+     * @return {Promise<*>}
+     * @private
+     */
+    async _coalesce(config) {
+        const { signal, ...sharedConfig } = config;
+        if (signal && signal.aborted) throw new AbortError(signal);
+
+        // Clients that share the in-flight requests might send them with different tokens.
+        const tokenHash = await this.getTokenHash();
+        const key = JSON.stringify({ ...sharedConfig, priority: undefined, clientMethod: undefined, tokenHash });
+        let promise = this.inFlightRequests.get(key);
+        if (promise) {
+            this.stats.coalescedCalls++;
+        } else {
+            promise = this._call(sharedConfig)
+                .finally(() => this.inFlightRequests.delete(key));
+            this.inFlightRequests.set(key, promise);
+        }
+        return abortable(promise, signal);
+    }
+
+    /**
+     * Streams can be consumed only once, so they can't be shared.
+     * @param {object} config
+     * @return {boolean}
+     * @private
+     */
+    _isCoalescable(config) {
+        const isGet = !config.method || config.method.toUpperCase() === 'GET';
+        return isGet && config.responseType !== 'stream';
+    }
+
+    /**
+     * @param {object} config
+     * @return {Promise<*>}
+     * @private
+     */
+    async _call(config) {
+        const {
+            signal,
+            timeoutSecs,
+            maxRetries = this.maxRetries,
+            minDelayBetweenRetriesMillis = this.minDelayBetwenRetriesMillis,
+            priority,
+            clientMethod,
+            findDuplicate,
+            ...requestConfig
+        } = config;
+        if (signal && signal.aborted) throw new AbortError(signal);
+        if (timeoutSecs !== undefined) requestConfig.timeout = timeoutSecs * 1000;
+        const hasIdempotencyHeaders = !!requestConfig.idempotencyKey && isNode();
+        if (hasIdempotencyHeaders) this._addIdempotencyHeaders(requestConfig);
+
+        let removeAbortListener;
+        if (signal) {
+            const { token, cancel } = axios.CancelToken.source();
+            const onAbort = () => cancel('The operation was aborted.');
+            requestConfig.cancelToken = token;
+            signal.addEventListener('abort', onAbort);
+            removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+        }
 
-        return retry(makeRequest, {
-            retries: this.maxRetries,
-            minTimeout: this.minDelayBetwenRetriesMillis,
-            onRetry: this._onRequestRetry,
+        // Identifies the request in the emitted events.
+        const requestSummary = {
+            method: (requestConfig.method || 'GET').toUpperCase(),
+            url: this._getRedactedUrl(requestConfig),
+        };
+        const endpoint = clientMethod || `HTTP ${requestSummary.method}`;
+        const callSpan = startCallSpan(requestSummary, clientMethod);
+        const startedAt = Date.now();
+        const { deadlineSecs } = this.retryPolicy;
+        const retryHistory = [];
+        const makeRequest = this._createRequestHandler(requestConfig, {
+            signal,
+            requestSummary,
+            callSpan,
+            endpoint,
+            clientMethod,
+            maxRetries,
+            minDelayBetweenRetriesMillis,
+            priority,
+            retryHistory,
+            deadline: deadlineSecs !== undefined ? startedAt + (deadlineSecs * 1000) : Infinity,
+            // Duplicates can only be recognized when the previous attempts sent the idempotency headers.
+            findDuplicate: hasIdempotencyHeaders ? findDuplicate : undefined,
+        });
+        let lastAttempt = 0;
+        const retryPromise = retry((stopTrying, attempt) => {
+            lastAttempt = attempt;
+            return makeRequest(stopTrying, attempt);
+        }, {
+            retries: maxRetries,
+            // The request handler waits the retry delays itself.
+            minTimeout: 0,
+            randomize: false,
+            onRetry: (error, attempt) => {
+                this.stats.addRetry(this._getRetryCause(error));
+                this._emitEvent('retry', { ...requestSummary, attempt, statusCode: error.statusCode, error });
+                this._onRequestRetry(error, attempt, maxRetries);
+            },
         });
+
+        let responseStream;
+        try {
+            const response = await abortable(retryPromise, signal);
+            if (isStream(response.data)) responseStream = response.data;
+            endCallSpan(callSpan, { response, attributes: { 'apify.retry_count': Math.max(0, lastAttempt - 1) } });
+            return response;
+        } catch (error) {
+            if (error instanceof ApifyApiError) {
+                error.retryHistory = retryHistory;
+                error.elapsedMillis = Date.now() - startedAt;
+            }
+            this._emitEvent('error', {
+                ...requestSummary,
+                attempt: lastAttempt,
+                durationMillis: Date.now() - startedAt,
+                statusCode: error.statusCode,
+                error,
+            });
+            endCallSpan(callSpan, { error, attributes: { 'apify.retry_count': Math.max(0, lastAttempt - 1) } });
+            throw error;
+        } finally {
+            // Streams are consumed after the call finishes,
+            // so they should remain cancellable by the signal until they end.
+            if (removeAbortListener && responseStream) {
+                ['end', 'error', 'close'].forEach((event) => responseStream.once(event, removeAbortListener));
+            } else if (removeAbortListener) {
+                removeAbortListener();
+            }
+        }
     }
 
     /**
      * Successful responses are returned, errors and unsuccessful
      * status codes are retried. See the following functions for the
-     * retrying logic.
+     * retrying logic. The delays between the attempts follow the retry policy,
+     * but when the API responds with a Retry-After header, the next attempt
+     * is not sent sooner than the header allows. No attempt is sent after
+     * the deadline of the retry policy.
      * @param {object} config
+     * @param {object} context
+     * @param {AbortSignal} [context.signal]
+     * @param {object} context.requestSummary
+     * @param {object} [context.callSpan]
+     * @param {string} context.endpoint
+     * @param {string} [context.clientMethod]
+     *  Set as the clientMethod of the API errors.
+     * @param {number} context.maxRetries
+     * @param {number} context.minDelayBetweenRetriesMillis
+     * @param {number} [context.priority]
+     * @param {RetryHistoryEntry[]} context.retryHistory
+     *  The failed attempts that are retried are added to it.
+     * @param {number} context.deadline
+     * @param {function(CallOptions): Promise<?object>} [context.findDuplicate]
+     *  Apify internal property. Resolves to the response body of a previous attempt that reached the API.
      * @return {function}
      * @private
      */
-    _createRequestHandler(config) {
+    _createRequestHandler(config, context) {
+        const {
+            signal,
+            requestSummary,
+            callSpan,
+            endpoint,
+            clientMethod,
+            maxRetries,
+            minDelayBetweenRetriesMillis,
+            priority,
+            retryHistory,
+            deadline,
+            findDuplicate,
+        } = context;
+        let retryNotBefore = 0;
+
+        /**
+         * @param {Error} error
+         * @param {object} result
+         * @param {number} result.attempt
+         * @param {boolean} result.isRetryable
+         * @param {AxiosResponse} [result.response]
+         * @param {number} [result.retryAfterMillis]
+         * @param {string} [result.token]
+         * @param {function} stopTrying
+         * @return {void}
+         * @private
+         */
+        const retryOrStop = (error, result, stopTrying) => {
+            const { attempt, isRetryable, response, retryAfterMillis = 0, token = this.token } = result;
+            // Errors reach listeners, logs and users, so they must not include the token.
+            this._redactError(error, token);
+            if (attempt > maxRetries) return stopTrying(error);
+            if (!this._shouldRetry({ ...requestSummary, error, response, attempt, isRetryable })) return stopTrying(error);
+
+            const delayMillis = Math.max(retryAfterMillis, getRetryDelayMillis(attempt, {
+                ...this.retryPolicy,
+                minDelayBetweenRetriesMillis,
+            }));
+            if (Date.now() + delayMillis >= deadline) return stopTrying(error);
+            retryNotBefore = Date.now() + delayMillis;
+            retryHistory.push({
+                attempt,
+                failedAt: new Date(),
+                statusCode: error.statusCode,
+                type: error.type || error.code,
+                message: error.message,
+                delayMillis,
+            });
+            throw error;
+        };
+
+        let hasRefreshedToken = false;
+
         /**
          * @param {function} stopTrying
          * @param {number} attempt
@@ -124,36 +488,217 @@ class HttpClient {
          * @private
          */
         const makeRequest = async (stopTrying, attempt) => {
-            this.stats.requests++;
+            const remainingDelayMillis = retryNotBefore - Date.now();
+            try {
+                if (remainingDelayMillis > 0) await sleep(remainingDelayMillis, signal);
+                if (this.rateLimiter) await this.rateLimiter.acquire(config.url, { signal });
+            } catch (err) {
+                return stopTrying(err);
+            }
+            if (signal && signal.aborted) return stopTrying(new AbortError(signal));
+
+            // A previous attempt might have reached the API even though it failed,
+            // so we check for its result before sending the request again. The check is not
+            // retried on its own, when it fails, the request is sent again instead.
+            if (attempt > 1 && findDuplicate) {
+                let duplicateData;
+                try {
+                    duplicateData = await findDuplicate({ maxRetries: 0, signal });
+                } catch (err) {
+                    if (signal && signal.aborted) return stopTrying(new AbortError(signal));
+                }
+                if (duplicateData) return { data: duplicateData, status: 200, headers: {}, config };
+            }
+
+            let { token } = this;
+            if (this.tokenProvider) {
+                try {
+                    token = await this._getProvidedToken();
+                } catch (err) {
+                    return stopTrying(err);
+                }
+            }
+
+            const circuitPermit = this.circuitBreaker && this.circuitBreaker.requestPermit();
+            if (this.circuitBreaker && !circuitPermit) {
+                return stopTrying(new CircuitOpenError(this.circuitBreaker.getRemainingOpenMillis()));
+            }
+            if (this.concurrencyLimiter) {
+                try {
+                    await this.concurrencyLimiter.acquire({ priority, signal });
+                } catch (err) {
+                    if (circuitPermit) this.circuitBreaker.recordCancellation(circuitPermit);
+                    return stopTrying(err);
+                }
+            }
+            this.stats.addRequest(endpoint);
+            this._emitEvent('request', { ...requestSummary, attempt });
+            const startedAt = Date.now();
+            const timeoutMillis = config.timeout !== undefined ? config.timeout : this.timeoutMillis;
+            const attemptConfig = { ...config, headers: { ...this.headers, ...config.headers }, timeout: timeoutMillis };
+            if (token && this.sendTokenAsQueryParam) attemptConfig.params = { ...config.params, token };
+            else if (token) attemptConfig.headers.Authorization = `Bearer ${token}`;
+            if (deadline !== Infinity) {
+                // The last attempt must not outlive the deadline.
+                const remainingMillis = Math.max(1, deadline - Date.now());
+                attemptConfig.timeout = timeoutMillis ? Math.min(timeoutMillis, remainingMillis) : remainingMillis;
+            }
+            const attemptSpan = startAttemptSpan(callSpan, requestSummary, attempt, attemptConfig.headers);
             let response;
             try {
-                response = await this.axios.request(config);
-                if (this._isStatusOk(response.status)) return response;
+                response = await this.axios.request(attemptConfig);
             } catch (err) {
-                return this._handleRequestError(err, config, stopTrying);
+                endSpan(attemptSpan, { error: err });
+                if (axios.isCancel(err)) {
+                    if (circuitPermit) this.circuitBreaker.recordCancellation(circuitPermit);
+                    return stopTrying(new AbortError(signal));
+                }
+                const error = this._handleRequestError(err, attempt);
+                this.stats.addRequestError(endpoint, this._isTimeoutError(error));
+                if (circuitPermit) this.circuitBreaker.recordResult(circuitPermit, this._isRetryableError(error));
+                return retryOrStop(error, { attempt, isRetryable: this._isRetryableRequestError(error, config), token }, stopTrying);
+            } finally {
+                // Streamed response bodies are not counted, because they might never be consumed.
+                if (this.concurrencyLimiter) this.concurrencyLimiter.release();
             }
 
+            const responseSummary = {
+                ...requestSummary,
+                attempt,
+                durationMillis: Date.now() - startedAt,
+                statusCode: response.status,
+            };
+            this._emitEvent('response', responseSummary);
+            this.stats.addResponse(endpoint, responseSummary.durationMillis);
+            endSpan(attemptSpan, { response });
+            if (circuitPermit) this.circuitBreaker.recordResult(circuitPermit, response.status >= 500);
+            if (this._isStatusOk(response.status)) return response;
+
+            // The provided token might have expired, so the request
+            // is sent once more with a fresh one, on top of the retries.
+            if (response.status === UNAUTHORIZED_STATUS_CODE && this.tokenProvider && token && !hasRefreshedToken) {
+                hasRefreshedToken = true;
+                this._invalidateProvidedToken(token);
+                return makeRequest(stopTrying, attempt);
+            }
+
+            const retryAfterMillis = this._parseRetryAfterHeader(response.headers['retry-after']);
+            if (retryAfterMillis) retryNotBefore = Date.now() + retryAfterMillis;
+
             if (response.status === RATE_LIMIT_EXCEEDED_STATUS_CODE) {
                 this.stats.addRateLimitError(attempt);
+                this._emitEvent('rateLimited', { ...responseSummary, retryAfterMillis });
             }
 
-            const apiError = new ApifyApiError(response, attempt);
-            if (this._isStatusCodeRetryable(response.status)) {
-                throw apiError;
-            } else {
-                return stopTrying(apiError);
-            }
+            let ApiErrorClass = API_ERROR_CLASSES_BY_STATUS_CODE[response.status] || ApifyApiError;
+            if (response.status >= 500) ApiErrorClass = ServerError;
+            const apiError = new ApiErrorClass(response, attempt, clientMethod);
+            this.stats.addApiError(endpoint, apiError.type);
+            return retryOrStop(apiError, {
+                attempt,
+                isRetryable: this._isStatusCodeRetryable(response.status),
+                response,
+                retryAfterMillis,
+                token,
+            }, stopTrying);
         };
         return makeRequest;
     }
 
     /**
+     * 304 Not Modified is only returned for requests revalidating
+     * the response cache, which handles it.
      * @param {number} statusCode
      * @return {boolean}
      * @private
      */
     _isStatusOk(statusCode) {
-        return statusCode < 300;
+        return statusCode < 300 || statusCode === NOT_MODIFIED_STATUS_CODE;
+    }
+
+    /**
+     * Identifies the token of the next request in the keys of the shared responses.
+     * @return {Promise<string>}
+     *  Empty when there's no token.
+     */
+    async getTokenHash() {
+        const token = this.tokenProvider ? await this._getProvidedToken() : this.token;
+        return token ? hashToken(token) : '';
+    }
+
+    /**
+     * Concurrent requests share one call of the token provider.
+     * Failed calls are not cached, so the next request calls the provider again.
+     * @return {Promise<string>}
+     * @private
+     */
+    _getProvidedToken() {
+        if (!this.providedTokenPromise) {
+            const promise = Promise.resolve()
+                .then(() => this.tokenProvider())
+                .then((token) => {
+                    ow(token, 'token returned by the tokenProvider', ow.string.nonEmpty);
+                    if (this.providedTokenPromise === promise) this.providedToken = token;
+                    return token;
+                });
+            promise.catch(() => {
+                if (this.providedTokenPromise === promise) this.providedTokenPromise = null;
+            });
+            this.providedTokenPromise = promise;
+        }
+        return this.providedTokenPromise;
+    }
+
+    /**
+     * When concurrent requests are rejected with the same token,
+     * only the first of them makes the client get a new one.
+     * @param {string} token
+     * @private
+     */
+    _invalidateProvidedToken(token) {
+        if (this.providedToken !== token) return;
+        this.providedToken = null;
+        this.providedTokenPromise = null;
+    }
+
+    /**
+     * @param {Error} error
+     * @return {string}
+     * @private
+     */
+    _getRetryCause(error) {
+        if (error.statusCode === RATE_LIMIT_EXCEEDED_STATUS_CODE) return 'rate-limit';
+        if (error.statusCode >= 500) return 'server-error';
+        if (this._isTimeoutError(error)) return 'timeout';
+        if (this._isResponseBodyInvalid(error)) return 'invalid-response-body';
+        if (this._isNetworkError(error)) return 'network-error';
+        return 'other';
+    }
+
+    /**
+     * The user-provided predicate of the retry policy has the final say,
+     * the default decision is passed to it as `isRetryable`.
+     * @param {object} context
+     * @return {boolean}
+     * @private
+     */
+    _shouldRetry(context) {
+        const { shouldRetry } = this.retryPolicy;
+        return shouldRetry ? !!shouldRetry(context) : context.isRetryable;
+    }
+
+    /**
+     * Wraps the errors of requests that got no response in a `NetworkError`
+     * or a `TimeoutError`, so that users don't have to deal with the errors of axios.
+     * Other errors, e.g. an `InvalidResponseBodyError`, are returned as they are.
+     * @param {Error} err
+     * @param {number} attempt
+     * @return {Error}
+     * @private
+     */
+    _handleRequestError(err, attempt) {
+        if (!this._isNetworkError(err)) return err;
+        return this._isTimeoutError(err) ? new TimeoutError(err, attempt) : new NetworkError(err, attempt);
     }
 
     /**
@@ -161,19 +706,12 @@ class HttpClient {
      * Apify API typed errors. E.g. network errors, timeouts and so on.
      * @param {Error} err
      * @param {object} config
-     * @param {function} stopTrying
+     * @return {boolean}
      * @private
      */
-    _handleRequestError(err, config, stopTrying) {
-        if (this._isTimeoutError(err) && config.doNotRetryTimeouts) {
-            return stopTrying(err);
-        }
-
-        if (this._isRetryableError(err)) {
-            throw err;
-        } else {
-            return stopTrying(err);
-        }
+    _isRetryableRequestError(err, config) {
+        if (this._isTimeoutError(err) && config.doNotRetryTimeouts) return false;
+        return this._isRetryableError(err);
     }
 
     /**
@@ -236,16 +774,151 @@ class HttpClient {
         return isRateLimitError || isInternalError;
     }
 
+    /**
+     * The Retry-After header holds either a number of seconds
+     * or an HTTP date after which the request may be retried.
+     * @param {string} [header]
+     * @return {number|undefined}
+     * @private
+     */
+    _parseRetryAfterHeader(header) {
+        if (!header) return;
+        const seconds = Number(header);
+        const millis = Number.isNaN(seconds)
+            ? new Date(header).getTime() - Date.now()
+            : seconds * 1000;
+        if (millis > 0) return millis;
+    }
+
+    /**
+     * The idempotency key is sent in its own header for the API and also in the User-Agent,
+     * because the API stores the User-Agent of the request that started a run.
+     * That's how duplicate runs are found when the API does not deduplicate the requests.
+     * Browsers don't allow setting the User-Agent, and a custom header would require
+     * a CORS preflight request, so the headers are only sent from Node.js.
+     * @param {object} config
+     * @private
+     */
+    _addIdempotencyHeaders(config) {
+        const { idempotencyKey } = config;
+        config.headers = { ...config.headers, 'idempotency-key': idempotencyKey };
+        config.headers['User-Agent'] = `${this.userAgent} idempotencyKey/${idempotencyKey}`;
+    }
+
+    /**
+     * The token can be sent as a query parameter, so it must be removed
+     * from URLs that leave the client, e.g. in events.
+     * @param {object} config
+     * @return {string}
+     * @private
+     */
+    _getRedactedUrl(config) {
+        const params = { ...config.params };
+        if (params.token) params.token = REDACTED_TOKEN;
+        return this._redactToken(buildURL(config.url, params, this.axios.defaults.paramsSerializer));
+    }
+
+    /**
+     * Removes the token from the message, stack and config of the error, and from the config
+     * of its response. Axios errors and responses also carry the Node.js request, which includes
+     * the raw headers, so it's hidden from enumeration to keep it out of logged and serialized errors.
+     * The axios error wrapped by a `NetworkError` is redacted as well.
+     * @param {Error} error
+     * @param {string} [token]
+     *  The token that was sent with the request.
+     * @private
+     */
+    _redactError(error, token = this.token) {
+        if (!token) return;
+        error.message = this._redactToken(error.message, token);
+        error.stack = this._redactToken(error.stack, token);
+        if (error.path) error.path = this._redactToken(error.path, token);
+        if (error.config && typeof error.config === 'object') error.config = this._redactConfig(error.config, token);
+        hideProperty(error, 'request');
+        // E.g. the response of an InvalidResponseBodyError carries the config and the request too.
+        if (error.response && typeof error.response === 'object') {
+            error.response = { ...error.response };
+            if (error.response.config) error.response.config = this._redactConfig(error.response.config, token);
+            hideProperty(error.response, 'request');
+        }
+        if (error instanceof NetworkError) this._redactError(error.cause, token);
+    }
+
+    /**
+     * The agents are left out, because their sockets keep the raw headers of the requests.
+     * @param {object} config
+     * @param {string} token
+     * @return {object}
+     * @private
+     */
+    _redactConfig(config, token) {
+        const { headers = {}, params = {}, httpAgent, httpsAgent, ...otherConfig } = config;
+        const redactedConfig = {
+            ...otherConfig,
+            url: this._redactToken(config.url, token),
+            headers: { ...headers },
+            params: { ...params },
+        };
+        if (headers.Authorization) redactedConfig.headers.Authorization = `Bearer ${REDACTED_TOKEN}`;
+        if (params.token) redactedConfig.params.token = REDACTED_TOKEN;
+        return redactedConfig;
+    }
+
+    /**
+     * @param {string} [value]
+     * @param {string} [token]
+     * @return {string|undefined}
+     * @private
+     */
+    _redactToken(value, token = this.token) {
+        if (!token || typeof value !== 'string') return value;
+        return value.split(token).join(REDACTED_TOKEN);
+    }
+
+    /**
+     * Listeners must not break the requests, so their errors are only logged.
+     * Events without listeners are skipped, also because emitting
+     * an unhandled 'error' event would throw.
+     * @param {string} eventName
+     * @param {object} payload
+     * @private
+     */
+    _emitEvent(eventName, payload) {
+        if (!this.events.listenerCount(eventName)) return;
+        try {
+            this.events.emit(eventName, payload);
+        } catch (err) {
+            this.logger.warning(`Listener of the "${eventName}" event threw an error.\nCause:${err.stack}`);
+        }
+    }
+
     /**
      * @param {ApifyApiError} error
      * @param {number} attempt
+     * @param {number} maxRetries
      * @private
      */
-    _onRequestRetry(error, attempt) {
-        if (attempt === Math.round(this.maxRetries / 2)) {
-            this.logger.warning(`API request failed ${attempt} times. Max attempts: ${this.maxRetries + 1}.\nCause:${error.stack}`);
+    _onRequestRetry(error, attempt, maxRetries) {
+        if (attempt === Math.round(maxRetries / 2)) {
+            this.logger.warning(`API request failed ${attempt} times. Max attempts: ${maxRetries + 1}.\nCause:${error.stack}`);
         }
     }
 }
 
+/**
+ * Hides the property from enumeration, so that it's left out of logged and serialized objects.
+ * @param {object} object
+ * @param {string} property
+ * @private
+ */
+function hideProperty(object, property) {
+    if (!object[property] || typeof object[property] !== 'object') return;
+    Object.defineProperty(object, property, {
+        value: object[property],
+        enumerable: false,
+        writable: true,
+        configurable: true,
+    });
+}
+
 module.exports = HttpClient;
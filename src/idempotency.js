@@ -0,0 +1,67 @@
+/**
+ * Runs of other requests that started before the first attempt
+ * can't be duplicates, but the clocks of the client and the API
+ * may differ, so we allow some tolerance.
+ * @type {number}
+ * @private
+ */
+const CLOCK_SKEW_TOLERANCE_MILLIS = 60 * 1000;
+
+/**
+ * Number of the most recent runs that are checked for duplicates.
+ * @type {number}
+ * @private
+ */
+const RECENT_RUNS_LIMIT = 10;
+
+/**
+ * @return {string}
+ * @private
+ */
+function generateIdempotencyKey() {
+    const random = Math.random().toString(36).slice(2);
+    return `${Date.now().toString(36)}-${random}`;
+}
+
+/**
+ * The API does not deduplicate runs by the idempotency key, but it stores the User-Agent
+ * of the request that started the run, which HttpClient extends with the key.
+ * The returned function finds a run that was started by a previous attempt
+ * of the same request and resolves to it in the shape of the API response body.
+ * @param {object} options
+ * @param {ApifyClient} options.apifyClient
+ * @param {RunCollectionClient} options.runCollectionClient
+ * @param {string} options.idempotencyKey
+ * @return {function(CallOptions): Promise<?{data: Run}>}
+ *  Called with the options of its own requests.
+ * @private
+ */
+function createDuplicateRunFinder(options) {
+    const { apifyClient, runCollectionClient, idempotencyKey } = options;
+    const firstAttemptAt = Date.now();
+    return async (callOptions) => {
+        const { items } = await runCollectionClient.list({ desc: true, limit: RECENT_RUNS_LIMIT, ...callOptions });
+        const candidates = items.filter((run) => run.startedAt >= firstAttemptAt - CLOCK_SKEW_TOLERANCE_MILLIS);
+
+        // Run lists don't include the User-Agent, so we need to get the full runs.
+        const runs = await Promise.all(candidates.map((run) => apifyClient.run(run.id).get(callOptions)));
+        const duplicateRun = runs.find((run) => isStartedWithIdempotencyKey(run, idempotencyKey));
+        return duplicateRun ? { data: duplicateRun } : null;
+    };
+}
+
+/**
+ * @param {?Run} run
+ * @param {string} idempotencyKey
+ * @return {boolean}
+ * @private
+ */
+function isStartedWithIdempotencyKey(run, idempotencyKey) {
+    const userAgent = run && run.meta && run.meta.userAgent;
+    return !!userAgent && userAgent.includes(`idempotencyKey/${idempotencyKey}`);
+}
+
+module.exports = {
+    createDuplicateRunFinder,
+    generateIdempotencyKey,
+};
@@ -0,0 +1,80 @@
+/**
+ * Upper bounds of the histogram buckets in milliseconds. The last bucket
+ * counts all the remaining values, same as the +Inf bucket of Prometheus.
+ * @type {number[]}
+ * @private
+ */
+const BUCKET_BOUNDS_MILLIS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, Infinity];
+
+const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Histogram of request latencies with fixed buckets. Unlike a list of all the values,
+ * it uses constant memory, so it can be kept for the whole lifetime of a client.
+ * The percentiles are estimated by linear interpolation within the buckets.
+ * @private
+ */
+class LatencyHistogram {
+    constructor() {
+        this.bucketCounts = BUCKET_BOUNDS_MILLIS.map(() => 0);
+        this.count = 0;
+        this.sumMillis = 0;
+    }
+
+    /**
+     * @param {number} millis
+     */
+    observe(millis) {
+        const index = BUCKET_BOUNDS_MILLIS.findIndex((bound) => millis <= bound);
+        this.bucketCounts[index]++;
+        this.count++;
+        this.sumMillis += millis;
+    }
+
+    /**
+     * Values in the last bucket are estimated by the bound of the previous bucket,
+     * because the last bucket has no upper bound.
+     * @param {number} percentile
+     *  Number between 0 and 100.
+     * @return {?number}
+     */
+    getPercentile(percentile) {
+        if (!this.count) return null;
+        const rank = (percentile / 100) * this.count;
+        let countBelow = 0;
+        for (let i = 0; i < BUCKET_BOUNDS_MILLIS.length; i++) {
+            const bucketCount = this.bucketCounts[i];
+            if (bucketCount && countBelow + bucketCount >= rank) {
+                const lowerBound = i > 0 ? BUCKET_BOUNDS_MILLIS[i - 1] : 0;
+                const upperBound = BUCKET_BOUNDS_MILLIS[i];
+                if (upperBound === Infinity) return lowerBound;
+                return lowerBound + ((upperBound - lowerBound) * (rank - countBelow)) / bucketCount;
+            }
+            countBelow += bucketCount;
+        }
+    }
+
+    /**
+     * The buckets are cumulative, same as in Prometheus.
+     * @return {{count: number, sumMillis: number, buckets: object[], percentiles: object<string, ?number>}}
+     */
+    toJSON() {
+        let cumulativeCount = 0;
+        const buckets = BUCKET_BOUNDS_MILLIS.map((leMillis, i) => {
+            cumulativeCount += this.bucketCounts[i];
+            return { leMillis, count: cumulativeCount };
+        });
+        const percentiles = {};
+        PERCENTILES.forEach((percentile) => {
+            percentiles[`p${percentile}`] = this.getPercentile(percentile);
+        });
+        return {
+            count: this.count,
+            sumMillis: this.sumMillis,
+            buckets,
+            percentiles,
+        };
+    }
+}
+
+module.exports = LatencyHistogram;
@@ -0,0 +1,61 @@
+/**
+ * The default store of the response cache. It keeps the entries in memory
+ * and evicts the least recently used ones when `maxEntries` is exceeded.
+ * @private
+ */
+class MemoryCacheStore {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxEntries=1000]
+     */
+    constructor(options = {}) {
+        const { maxEntries = 1000 } = options;
+        this.maxEntries = maxEntries;
+        // Map iterates in insertion order, so the first key is the least recently used.
+        this.entries = new Map();
+        this.evictionListeners = [];
+    }
+
+    /**
+     * @param {function(string): void} listener
+     *  Called with the keys of the evicted entries.
+     */
+    onEvict(listener) {
+        this.evictionListeners.push(listener);
+    }
+
+    /**
+     * @param {string} key
+     * @return {string|undefined}
+     */
+    get(key) {
+        if (!this.entries.has(key)) return;
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} value
+     */
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        if (this.entries.size > this.maxEntries) {
+            const [leastRecentlyUsedKey] = this.entries.keys();
+            this.entries.delete(leastRecentlyUsedKey);
+            this.evictionListeners.forEach((listener) => listener(leastRecentlyUsedKey));
+        }
+    }
+
+    /**
+     * @param {string} key
+     */
+    delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,33 @@
+/**
+ * Thrown when a request did not get any response from the API, e.g. because
+ * the connection was refused or interrupted. It wraps the original error
+ * of the HTTP library. Those errors are automatically retried.
+ *
+ * @property {string} [code]
+ *  Code of the original error, e.g. `ECONNRESET`.
+ * @property {Error} cause
+ *  The original error.
+ * @property {number} attempt
+ *  Number of the API call attempt.
+ * @property {object} config
+ *  Configuration of the failed request.
+ * @hideconstructor
+ */
+class NetworkError extends Error {
+    /**
+     * @param {Error} cause
+     * @param {number} attempt
+     */
+    constructor(cause, attempt) {
+        super(cause.message);
+        this.name = 'NetworkError';
+        this.code = cause.code;
+        this.cause = cause;
+        this.attempt = attempt;
+        // Same as on the errors of axios, so that the wrapped errors can be handled the same way.
+        this.config = cause.config;
+        this.request = cause.request;
+    }
+}
+
+module.exports = NetworkError;
@@ -0,0 +1,19 @@
+const ApifyApiError = require('./apify_api_error');
+
+/**
+ * Thrown when the resource or the API endpoint does not exist (HTTP 404).
+ * The `get()` methods of the resource clients return `undefined` instead.
+ * @hideconstructor
+ */
+class NotFoundError extends ApifyApiError {
+    /**
+     * @param {AxiosResponse} response
+     * @param {number} attempt
+     * @param {string} [clientMethod]
+     */
+    constructor(response, attempt, clientMethod) {
+        super(response, attempt, clientMethod, 'NotFoundError');
+    }
+}
+
+module.exports = NotFoundError;
@@ -0,0 +1,108 @@
+const ow = require('ow').default;
+
+/**
+ * The maximum limit of most of the list endpoints of the API.
+ */
+const DEFAULT_PAGE_SIZE = 1000;
+
+/**
+ * Shape of the options of the `iterate()` methods, in addition to the options
+ * of the respective `list()` methods, where `limit` caps the number of all the iterated items.
+ * @type {object}
+ * @private
+ */
+const ITERATE_OPTIONS_SHAPE = {
+    driftFree: ow.optional.boolean,
+    pageSize: ow.optional.number.integer.positive,
+    prefetch: ow.optional.number.integer.not.negative,
+};
+
+/**
+ * Yields the items of a list endpoint with offset pagination, page by page.
+ * The pages are fetched lazily, when the items of the previous page are consumed,
+ * except for the `prefetch` pages that are requested in advance.
+ *
+ * Plain offset pagination skips or repeats items when the list changes during the iteration,
+ * e.g. when new runs are started while iterating from the newest ones. With `driftFree`,
+ * the `total` of each page is compared with the previous one. When items were removed,
+ * the following items moved to lower offsets, so the pages are requested again from
+ * before the shift. The repeated items are then skipped by their keys.
+ * @param {function(number, number): Promise<PaginationList>} fetchPage
+ *  Called with the offset and limit of the page.
+ * @param {object} [options]
+ * @param {number} [options.offset=0]
+ * @param {number} [options.limit]
+ *  Maximum number of all the items. Unlimited by default.
+ * @param {number} [options.pageSize=1000]
+ * @param {number} [options.prefetch=0]
+ *  Number of the pages that are requested before the items of the previous pages are consumed.
+ * @param {boolean} [options.driftFree=false]
+ *  Yields each item that exists during the whole iteration exactly once, even when the list changes.
+ *  Changes are not detected when the same number of items is added and removed between two pages.
+ *  The keys of the yielded items are kept in memory.
+ * @param {function(object): *} [options.getItemKey]
+ *  Identifies the items for `driftFree`. Returns the `id` of the item by default.
+ * @return {AsyncIterableIterator<object>}
+ * @private
+ */
+async function* iterateOffsetPages(fetchPage, options = {}) {
+    const {
+        offset = 0,
+        limit = Infinity,
+        pageSize = DEFAULT_PAGE_SIZE,
+        prefetch = 0,
+        driftFree = false,
+        getItemKey = (item) => item.id,
+    } = options;
+    let endOffset = offset + limit;
+    let pages = [];
+    let nextOffset = offset;
+    let total = Infinity;
+    let yieldedCount = 0;
+    const yieldedKeys = driftFree ? new Set() : null;
+
+    const requestNextPage = () => {
+        const pageLimit = Math.min(pageSize, endOffset - nextOffset);
+        if (nextOffset >= total || pageLimit <= 0) return;
+        const page = { offset: nextOffset, items: fetchPage(nextOffset, pageLimit) };
+        // The prefetched pages are never awaited when the iteration stops early.
+        page.items.catch(() => {});
+        pages.push(page);
+        nextOffset += pageLimit;
+    };
+    const requestPages = () => {
+        for (let i = pages.length; i <= prefetch; i++) requestNextPage();
+    };
+
+    requestPages();
+    while (pages.length) {
+        const page = pages.shift();
+        const { items, total: pageTotal = total } = await page.items;
+        const shift = driftFree && total !== Infinity ? pageTotal - total : 0;
+        // The end of the iterated items moves together with them.
+        endOffset += shift;
+        if (shift < 0) {
+            total = pageTotal;
+            nextOffset = Math.max(offset, page.offset + shift);
+            pages = [];
+            requestPages();
+        } else {
+            if (!items.length) return;
+            total = pageTotal;
+            requestNextPage();
+
+            const newItems = yieldedKeys ? items.filter((item) => !yieldedKeys.has(getItemKey(item))) : items;
+            for (const item of newItems) {
+                if (yieldedKeys) yieldedKeys.add(getItemKey(item));
+                yield item;
+                if (++yieldedCount >= limit) return;
+            }
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    ITERATE_OPTIONS_SHAPE,
+    iterateOffsetPages,
+};
@@ -0,0 +1,115 @@
+/**
+ * Formats a `Statistics` snapshot in the Prometheus text exposition format.
+ * Latencies are exported in seconds, as recommended by Prometheus.
+ * See https://prometheus.io/docs/instrumenting/exposition_formats/
+ * @param {object} snapshot
+ * @param {object} [options]
+ * @param {string} [options.prefix=apify_client]
+ * @return {string}
+ * @private
+ */
+function formatPrometheusMetrics(snapshot, options = {}) {
+    const { prefix = 'apify_client' } = options;
+    const lines = [];
+    const addMetric = (name, type, help, samples) => {
+        lines.push(`# HELP ${prefix}_${name} ${help}`);
+        lines.push(`# TYPE ${prefix}_${name} ${type}`);
+        samples.forEach(({ suffix = '', labels = {}, value }) => {
+            lines.push(`${prefix}_${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+    };
+    const countsByLabel = (label, counts) => {
+        return Object.entries(counts).map(([labelValue, value]) => ({ labels: { [label]: labelValue }, value }));
+    };
+    const endpoints = Object.entries(snapshot.endpoints);
+    const rateLimitErrors = snapshot.rateLimitErrors.reduce((sum, count) => sum + count, 0);
+
+    addMetric('calls_total', 'counter', 'Number of client method calls.', [{ value: snapshot.calls }]);
+    addMetric('coalesced_calls_total', 'counter', 'Number of calls that shared the response of an identical request.', [
+        { value: snapshot.coalescedCalls },
+    ]);
+    addMetric('requests_total', 'counter', 'Number of API requests by client method.', endpoints.map(([endpoint, stats]) => {
+        return { labels: { endpoint }, value: stats.requests };
+    }));
+    addMetric('request_errors_total', 'counter', 'Number of failed API requests by client method.', endpoints.map(([endpoint, stats]) => {
+        return { labels: { endpoint }, value: stats.errors };
+    }));
+    addMetric('api_errors_total', 'counter', 'Number of API error responses by error type.', countsByLabel('type', snapshot.errorsByType));
+    addMetric('rate_limit_errors_total', 'counter', 'Number of 429 responses.', [{ value: rateLimitErrors }]);
+    addMetric('timeouts_total', 'counter', 'Number of requests that timed out.', [{ value: snapshot.timeouts }]);
+    addMetric('network_errors_total', 'counter', 'Number of requests that failed without a response.', [{ value: snapshot.networkErrors }]);
+    addMetric('retries_total', 'counter', 'Number of retried requests by cause.', countsByLabel('cause', snapshot.retriesByCause));
+    addMetric('sent_bytes_total', 'counter', 'Number of bytes of request bodies.', [{ value: snapshot.bytesSent }]);
+    addMetric('received_bytes_total', 'counter', 'Number of bytes of response bodies.', [{ value: snapshot.bytesReceived }]);
+    addMetric('request_duration_seconds', 'histogram', 'Latency of API requests by client method.', endpoints.reduce((samples, [endpoint, stats]) => {
+        return samples.concat(getHistogramSamples(stats.latency, { endpoint }));
+    }, []));
+
+    if (snapshot.circuitBreaker) {
+        const { state, timesOpened, rejectedRequests } = snapshot.circuitBreaker;
+        addMetric('circuit_breaker_open', 'gauge', 'Whether the circuit breaker rejects requests.', [
+            { value: state === 'open' ? 1 : 0 },
+        ]);
+        addMetric('circuit_breaker_opened_total', 'counter', 'Number of times the circuit breaker opened.', [{ value: timesOpened }]);
+        addMetric('circuit_breaker_rejected_requests_total', 'counter', 'Number of requests rejected by the circuit breaker.', [
+            { value: rejectedRequests },
+        ]);
+    }
+
+    if (snapshot.concurrency) {
+        const { activeRequests, queueLength, maxQueueLength, queuedRequests, queueWait } = snapshot.concurrency;
+        addMetric('active_requests', 'gauge', 'Number of API requests in flight.', [{ value: activeRequests }]);
+        addMetric('queue_length', 'gauge', 'Number of API requests waiting for a free slot.', [{ value: queueLength }]);
+        addMetric('queue_length_max', 'gauge', 'Longest the queue of API requests has been.', [{ value: maxQueueLength }]);
+        addMetric('queued_requests_total', 'counter', 'Number of API requests that waited for a free slot.', [{ value: queuedRequests }]);
+        addMetric('queue_wait_seconds', 'histogram', 'Time the API requests waited for a free slot.', getHistogramSamples(queueWait, {}));
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {object} latency
+ * @param {object} labels
+ * @return {object[]}
+ * @private
+ */
+function getHistogramSamples(latency, labels) {
+    const bucketSamples = latency.buckets.map(({ leMillis, count }) => ({
+        suffix: '_bucket',
+        labels: { ...labels, le: leMillis === Infinity ? '+Inf' : `${leMillis / 1000}` },
+        value: count,
+    }));
+    return [
+        ...bucketSamples,
+        { suffix: '_sum', labels, value: latency.sumMillis / 1000 },
+        { suffix: '_count', labels, value: latency.count },
+    ];
+}
+
+/**
+ * @param {object<string, string>} labels
+ * @return {string}
+ * @private
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => {
+        const escapedValue = `${value}`.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+        return `${name}="${escapedValue}"`;
+    });
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * @param {number} value
+ * @return {string}
+ * @private
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    return `${value}`;
+}
+
+module.exports = {
+    formatPrometheusMetrics,
+};
@@ -0,0 +1,19 @@
+const ApifyApiError = require('./apify_api_error');
+
+/**
+ * Thrown when the rate limit of the API was exceeded (HTTP 429)
+ * and the retries did not help.
+ * @hideconstructor
+ */
+class RateLimitError extends ApifyApiError {
+    /**
+     * @param {AxiosResponse} response
+     * @param {number} attempt
+     * @param {string} [clientMethod]
+     */
+    constructor(response, attempt, clientMethod) {
+        super(response, attempt, clientMethod, 'RateLimitError');
+    }
+}
+
+module.exports = RateLimitError;
@@ -0,0 +1,129 @@
+const { sleep } = require('./utils');
+
+/**
+ * Matches the first path segment after the API version,
+ * e.g. "datasets" in "https://api.apify.com/v2/datasets/abc/items".
+ * @type {RegExp}
+ * @private
+ */
+const ENDPOINT_GROUP_REGEX = /\/v2\/([^/?#]+)/;
+const DEFAULT_GROUP = '*';
+
+/**
+ * Creates a token bucket that allows bursts of up to `capacity` requests
+ * and then throttles the requests to `requestsPerSecond`.
+ * @param {number} requestsPerSecond
+ * @param {number} capacity
+ * @return {object}
+ * @private
+ */
+function createTokenBucket(requestsPerSecond, capacity) {
+    return {
+        tokensPerMillis: requestsPerSecond / 1000,
+        capacity,
+        tokens: capacity,
+        lastRefillAt: Date.now(),
+    };
+}
+
+/**
+ * Reserves a token and returns the number of milliseconds to wait
+ * before the token can be used. The number of tokens goes below zero
+ * when requests are waiting, which makes the waiting requests
+ * leave the bucket in the same order they arrived.
+ * @param {object} bucket
+ * @return {number}
+ * @private
+ */
+function takeToken(bucket) {
+    const now = Date.now();
+    const refilledTokens = (now - bucket.lastRefillAt) * bucket.tokensPerMillis;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + refilledTokens) - 1;
+    bucket.lastRefillAt = now;
+    return bucket.tokens >= 0 ? 0 : Math.ceil(-bucket.tokens / bucket.tokensPerMillis);
+}
+
+/**
+ * Client-side rate limiter shared by all resource clients of an ApifyClient.
+ * It delays requests so that bursts of parallel calls don't exceed the API rate
+ * limits and don't have to be retried after 429 responses.
+ * @private
+ */
+class RateLimiter {
+    /**
+     * @param {object} options
+     * @param {number} options.requestsPerSecond
+     * @param {number} [options.burst]
+     * @param {boolean} [options.perEndpointGroup]
+     * @param {object<string, number>} [options.endpointGroups]
+     */
+    constructor(options) {
+        const {
+            requestsPerSecond,
+            burst = requestsPerSecond,
+            perEndpointGroup = false,
+            endpointGroups = {},
+        } = options;
+
+        this.requestsPerSecond = requestsPerSecond;
+        this.burst = burst;
+        this.perEndpointGroup = perEndpointGroup;
+        this.endpointGroups = endpointGroups;
+        this.buckets = new Map();
+    }
+
+    /**
+     * Resolves once the request to the given URL may be sent.
+     * @param {string} url
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal]
+     *  Stops waiting and rejects with an `AbortError`. The reserved token is returned to the bucket.
+     * @return {Promise<void>}
+     */
+    async acquire(url, options = {}) {
+        const { signal } = options;
+        const bucket = this._getBucket(url);
+        const delayMillis = takeToken(bucket);
+        if (delayMillis <= 0) return;
+        try {
+            await sleep(delayMillis, signal);
+        } catch (err) {
+            bucket.tokens++;
+            throw err;
+        }
+    }
+
+    /**
+     * @param {string} url
+     * @return {object}
+     * @private
+     */
+    _getBucket(url) {
+        const group = this._getEndpointGroup(url);
+        let bucket = this.buckets.get(group);
+        if (!bucket) {
+            // Groups with a custom rate allow bursts of one second worth of requests.
+            bucket = group in this.endpointGroups
+                ? createTokenBucket(this.endpointGroups[group], Math.max(1, this.endpointGroups[group]))
+                : createTokenBucket(this.requestsPerSecond, Math.max(1, this.burst));
+            this.buckets.set(group, bucket);
+        }
+        return bucket;
+    }
+
+    /**
+     * Endpoint groups that are configured with a custom rate get their own bucket.
+     * The remaining requests share one bucket, unless perEndpointGroup is enabled.
+     * @param {string} url
+     * @return {string}
+     * @private
+     */
+    _getEndpointGroup(url) {
+        const match = url && url.match(ENDPOINT_GROUP_REGEX);
+        const group = match ? match[1] : DEFAULT_GROUP;
+        if (group in this.endpointGroups || this.perEndpointGroup) return group;
+        return DEFAULT_GROUP;
+    }
+}
+
+module.exports = RateLimiter;
@@ -7,6 +7,8 @@ const RunClient = require('./run');
 const RunCollectionClient = require('./run_collection');
 const WebhookCollectionClient = require('./webhook_collection');
 const ResourceClient = require('../base/resource_client');
+const { CALL_OPTIONS_SHAPE, splitCallOptions } = require('../call_options');
+const { createDuplicateRunFinder, generateIdempotencyKey } = require('../idempotency');
 const {
     pluckData,
     parseDateFields,
@@ -23,34 +25,41 @@ class ActorClient extends ResourceClient {
     constructor(options) {
         super({
             resourcePath: 'acts',
+            clientName: 'ActorClient',
             ...options,
         });
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/actors/actor-object/get-actor
+     * @param {CallOptions} [options]
      * @return {Promise<?Actor>}
      */
-    async get() {
-        return this._get();
+    async get(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._get(options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/actors/actor-object/update-actor
      * @param {object} newFields
+     * @param {CallOptions} [options]
      * @return {Promise<Actor>}
      */
-    async update(newFields) {
+    async update(newFields, options = {}) {
         ow(newFields, ow.object);
-        return this._update(newFields);
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._update(newFields, options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/actors/actor-object/delete-actor
+     * @param {CallOptions} [options]
      * @return {Promise<void>}
      */
-    async delete() {
-        return this._delete();
+    async delete(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._delete(options);
     }
 
     /**
@@ -64,6 +73,13 @@ class ActorClient extends ResourceClient {
      * @param {number} [options.timeout]
      * @param {number} [options.waitForFinish]
      * @param {object[]} [options.webhooks]
+     * @param {string} [options.idempotencyKey]
+     *  Identifies the run, so that retries of the request don't start it twice.
+     *  A random key is generated when it's not provided.
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<Run>}
      */
     async start(input, options = {}) {
@@ -75,9 +91,18 @@ class ActorClient extends ResourceClient {
             timeout: ow.optional.number,
             waitForFinish: ow.optional.number,
             webhooks: ow.optional.array.ofType(ow.object),
+            idempotencyKey: ow.optional.string,
+            ...CALL_OPTIONS_SHAPE,
         }));
 
-        const { waitForFinish, timeout, memory, build } = options;
+        const { callOptions, otherOptions } = splitCallOptions(options);
+        const {
+            waitForFinish,
+            timeout,
+            memory,
+            build,
+            idempotencyKey = generateIdempotencyKey(),
+        } = otherOptions;
 
         const params = {
             waitForFinish,
@@ -95,6 +120,15 @@ class ActorClient extends ResourceClient {
             // Apify internal property. Tells the request serialization interceptor
             // to stringify functions to JSON, instead of omitting them.
             stringifyFunctions: true,
+            // Apify internal properties. See HttpClient.
+            idempotencyKey,
+            findDuplicate: createDuplicateRunFinder({
+                apifyClient: this.apifyClient,
+                runCollectionClient: this.runs(),
+                idempotencyKey,
+            }),
+            clientMethod: this._clientMethod('start'),
+            ...callOptions,
         };
         if (options.contentType) {
             request.headers = {
@@ -118,6 +152,13 @@ class ActorClient extends ResourceClient {
      * @param {number} [options.timeout]
      * @param {number} [options.waitSecs]
      * @param {object[]} [options.webhooks]
+     * @param {string} [options.idempotencyKey]
+     *  Identifies the run, so that retries of the request don't start it twice.
+     *  A random key is generated when it's not provided.
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<Run>}
      */
     async call(input, options = {}) {
@@ -129,15 +170,18 @@ class ActorClient extends ResourceClient {
             timeout: ow.optional.number.not.negative,
             waitSecs: ow.optional.number.not.negative,
             webhooks: ow.optional.array.ofType(ow.object),
+            idempotencyKey: ow.optional.string,
+            ...CALL_OPTIONS_SHAPE,
         }));
 
         const { waitSecs, ...startOptions } = options;
+        const { callOptions } = splitCallOptions(options);
         const { id } = await this.start(input, startOptions);
 
         // Calling root client because we need access to top level API.
         // Creating a new instance of RunClient here would only allow
         // setting it up as a nested route under actor API.
-        return this.apifyClient.run(id).waitForFinish({ waitSecs });
+        return this.apifyClient.run(id).waitForFinish({ waitSecs, ...callOptions });
     }
 
     /**
@@ -148,6 +192,10 @@ class ActorClient extends ResourceClient {
      * @param {string} [options.tag]
      * @param {boolean} [options.useCache]
      * @param {number} [options.waitForFinish]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<Build>}
      */
     async build(versionNumber, options = {}) {
@@ -157,15 +205,19 @@ class ActorClient extends ResourceClient {
             tag: ow.optional.string,
             useCache: ow.optional.boolean,
             waitForFinish: ow.optional.number,
+            ...CALL_OPTIONS_SHAPE,
         }));
 
+        const { callOptions, otherOptions } = splitCallOptions(options);
         const response = await this.httpClient.call({
             url: this._url('builds'),
             method: 'POST',
             params: this._params({
                 version: versionNumber,
-                ...options,
+                ...otherOptions,
             }),
+            clientMethod: this._clientMethod('build'),
+            ...callOptions,
         });
 
         return parseDateFields(pluckData(response.data));
@@ -1,5 +1,6 @@
 const ow = require('ow').default;
 const ResourceClient = require('../base/resource_client');
+const { CALL_OPTIONS_SHAPE } = require('../call_options');
 
 /**
  * @hideconstructor
@@ -11,34 +12,41 @@ class ActorVersionClient extends ResourceClient {
     constructor(options) {
         super({
             resourcePath: 'versions',
+            clientName: 'ActorVersionClient',
             ...options,
         });
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/actors/version-object/get-version
+     * @param {CallOptions} [options]
      * @return {Promise<ActorVersion>}
      */
-    async get() {
-        return this._get();
+    async get(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._get(options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/actors/version-object/update-version
      * @param {object} newFields
+     * @param {CallOptions} [options]
      * @return {Promise<ActorVersion>}
      */
-    async update(newFields) {
+    async update(newFields, options = {}) {
         ow(newFields, ow.object);
-        return this._update(newFields);
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._update(newFields, options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/actors/version-object/delete-version
+     * @param {CallOptions} [options]
      * @return {Promise<void>}
      */
-    async delete() {
-        return this._delete();
+    async delete(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._delete(options);
     }
 }
 
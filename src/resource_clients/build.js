@@ -1,5 +1,6 @@
 const ow = require('ow').default;
 const ResourceClient = require('../base/resource_client');
+const { CALL_OPTIONS_SHAPE } = require('../call_options');
 const {
     pluckData,
     parseDateFields,
@@ -15,6 +16,7 @@ class BuildClient extends ResourceClient {
     constructor(options) {
         super({
             resourcePath: 'actor-builds',
+            clientName: 'BuildClient',
             ...options,
         });
     }
@@ -23,24 +25,33 @@ class BuildClient extends ResourceClient {
      * https://docs.apify.com/api/v2#/reference/actor-builds/build-object/get-build
      * @param {object} [options]
      * @param {number} [options.waitForFinish]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<Build>}
      */
     async get(options = {}) {
         ow(options, ow.object.exactShape({
             waitForFinish: ow.optional.number,
+            ...CALL_OPTIONS_SHAPE,
         }));
         return this._get(options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/actor-builds/abort-build/abort-build
+     * @param {CallOptions} [options]
      * @return {Promise<Build>}
      */
-    async abort() {
+    async abort(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
         const response = await this.httpClient.call({
             url: this._url('abort'),
             method: 'POST',
             params: this._params(),
+            clientMethod: this._clientMethod('abort'),
+            ...options,
         });
 
         return parseDateFields(pluckData(response.data));
@@ -62,11 +73,16 @@ class BuildClient extends ResourceClient {
      *  Maximum time to wait for the build to finish, in seconds.
      *  If the limit is reached, the returned promise is resolved to a build object that will have
      *  status `READY` or `RUNNING`. If `waitSecs` omitted, the function waits indefinitely.
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @returns {Promise<Build>}
      */
     async waitForFinish(options = {}) {
         ow(options, ow.object.exactShape({
             waitSecs: ow.optional.number,
+            ...CALL_OPTIONS_SHAPE,
         }));
         return this._waitForFinish(options);
     }
@@ -1,5 +1,7 @@
 const ow = require('ow').default;
 const ResourceCollectionClient = require('../base/resource_collection_client');
+const { CALL_OPTIONS_SHAPE } = require('../call_options');
+const { ITERATE_OPTIONS_SHAPE } = require('../pagination');
 
 /**
  * @hideconstructor
@@ -11,6 +13,7 @@ class BuildCollectionClient extends ResourceCollectionClient {
     constructor(options) {
         super({
             resourcePath: options.resourcePath || 'actor-builds',
+            clientName: 'BuildCollectionClient',
             ...options,
         });
     }
@@ -21,6 +24,10 @@ class BuildCollectionClient extends ResourceCollectionClient {
      * @param {number} [options.limit]
      * @param {number} [options.offset]
      * @param {boolean} [options.desc]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<PaginationList>}
      */
     async list(options = {}) {
@@ -28,9 +35,32 @@ class BuildCollectionClient extends ResourceCollectionClient {
             limit: ow.optional.number,
             offset: ow.optional.number,
             desc: ow.optional.boolean,
+            ...CALL_OPTIONS_SHAPE,
         }));
         return this._list(options);
     }
+
+    /**
+     * Iterates over all the builds, the pages of {@link BuildCollectionClient#list} are fetched lazily.
+     * @param {object} [options]
+     *  The options of `list()`, but the `limit` caps the number of all the iterated items.
+     * @param {number} [options.pageSize=1000]
+     * @param {number} [options.prefetch=0]
+     *  Number of the pages requested in advance, before the items of the previous pages are consumed.
+     * @param {boolean} [options.driftFree=false]
+     *  Yields each item exactly once, even when items are added or removed during the iteration.
+     * @return {AsyncIterableIterator<object>}
+     */
+    iterate(options = {}) {
+        ow(options, ow.object.exactShape({
+            limit: ow.optional.number,
+            offset: ow.optional.number,
+            desc: ow.optional.boolean,
+            ...ITERATE_OPTIONS_SHAPE,
+            ...CALL_OPTIONS_SHAPE,
+        }));
+        return this._iterate(options);
+    }
 }
 
 module.exports = BuildCollectionClient;
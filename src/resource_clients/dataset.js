@@ -1,5 +1,6 @@
 const ow = require('ow').default;
 const ResourceClient = require('../base/resource_client');
+const { CALL_OPTIONS_SHAPE, splitCallOptions } = require('../call_options');
 
 /**
  * @hideconstructor
@@ -11,34 +12,41 @@ class DatasetClient extends ResourceClient {
     constructor(options) {
         super({
             resourcePath: 'datasets',
+            clientName: 'DatasetClient',
             ...options,
         });
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/datasets/dataset/get-dataset
+     * @param {CallOptions} [options]
      * @return {Promise<Dataset>}
      */
-    async get() {
-        return this._get();
+    async get(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._get(options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/datasets/dataset/update-dataset
      * @param {object} newFields
+     * @param {CallOptions} [options]
      * @return {Promise<Dataset>}
      */
-    async update(newFields) {
+    async update(newFields, options = {}) {
         ow(newFields, ow.object);
-        return this._update(newFields);
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._update(newFields, options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/datasets/dataset/delete-dataset
+     * @param {CallOptions} [options]
      * @return {Promise<void>}
      */
-    async delete() {
-        return this._delete();
+    async delete(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._delete(options);
     }
 
     /**
@@ -53,6 +61,10 @@ class DatasetClient extends ResourceClient {
      * @param {boolean} [options.skipEmpty]
      * @param {boolean} [options.skipHidden]
      * @param {string} [options.unwind]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<PaginationList>}
      */
     async listItems(options = {}) {
@@ -66,12 +78,16 @@ class DatasetClient extends ResourceClient {
             skipEmpty: ow.optional.boolean,
             skipHidden: ow.optional.boolean,
             unwind: ow.optional.string,
+            ...CALL_OPTIONS_SHAPE,
         }));
 
+        const { callOptions, otherOptions } = splitCallOptions(options);
         const response = await this.httpClient.call({
             url: this._url('items'),
             method: 'GET',
-            params: this._params(options),
+            params: this._params(otherOptions),
+            clientMethod: this._clientMethod('listItems'),
+            ...callOptions,
         });
         return this._createPaginationList(response);
     }
@@ -98,6 +114,10 @@ class DatasetClient extends ResourceClient {
      * @param {string} [options.unwind]
      * @param {string} [options.xmlRoot]
      * @param {string} [options.xmlRow]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<Buffer>}
      */
     async downloadItems(format, options = {}) {
@@ -118,16 +138,20 @@ class DatasetClient extends ResourceClient {
             unwind: ow.optional.string,
             xmlRoot: ow.optional.string,
             xmlRow: ow.optional.string,
+            ...CALL_OPTIONS_SHAPE,
         }));
 
+        const { callOptions, otherOptions } = splitCallOptions(options);
         const { data } = await this.httpClient.call({
             url: this._url('items'),
             method: 'GET',
             params: this._params({
                 format,
-                ...options,
+                ...otherOptions,
             }),
             forceBuffer: true,
+            clientMethod: this._clientMethod('downloadItems'),
+            ...callOptions,
         });
         return data;
     }
@@ -135,14 +159,16 @@ class DatasetClient extends ResourceClient {
     /**
      * https://docs.apify.com/api/v2#/reference/datasets/item-collection/put-items
      * @param {object|string|Array<object|string>} items
+     * @param {CallOptions} [options]
      * @return {Promise<void>}
      */
-    async pushItems(items) {
+    async pushItems(items, options = {}) {
         ow(items, ow.any(
             ow.object,
             ow.string,
             ow.array.ofType(ow.any(ow.object, ow.string)),
         ));
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
 
         await this.httpClient.call({
             url: this._url('items'),
@@ -153,6 +179,8 @@ class DatasetClient extends ResourceClient {
             data: items,
             params: this._params(),
             doNotRetryTimeouts: true, // see timeout handling in http-client
+            clientMethod: this._clientMethod('pushItems'),
+            ...options,
         });
     }
 
@@ -1,6 +1,8 @@
 const ow = require('ow').default;
 const { default: log } = require('@apify/log');
 const ResourceClient = require('../base/resource_client');
+const { CALL_OPTIONS_SHAPE, splitCallOptions } = require('../call_options');
+const { DEFAULT_PAGE_SIZE, ITERATE_OPTIONS_SHAPE } = require('../pagination');
 const { isBuffer, isStream } = require('../utils');
 const {
     pluckData,
@@ -19,34 +21,41 @@ class KeyValueStoreClient extends ResourceClient {
     constructor(options) {
         super({
             resourcePath: 'key-value-stores',
+            clientName: 'KeyValueStoreClient',
             ...options,
         });
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/key-value-stores/store-object/get-store
+     * @param {CallOptions} [options]
      * @return {Promise<KeyValueStore>}
      */
-    async get() {
-        return this._get();
+    async get(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._get(options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/key-value-stores/store-object/update-store
      * @param {object} newFields
+     * @param {CallOptions} [options]
      * @return {Promise<KeyValueStore>}
      */
-    async update(newFields) {
+    async update(newFields, options = {}) {
         ow(newFields, ow.object);
-        return this._update(newFields);
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._update(newFields, options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/key-value-stores/store-object/delete-store
+     * @param {CallOptions} [options]
      * @return {Promise<void>}
      */
-    async delete() {
-        return this._delete();
+    async delete(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._delete(options);
     }
 
     /**
@@ -54,21 +63,98 @@ class KeyValueStoreClient extends ResourceClient {
      * @param {object} [options]
      * @param {object} [options.limit]
      * @param {string} [options.exclusiveStartKey]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<object>}
      */
     async listKeys(options = {}) {
         ow(options, ow.object.exactShape({
             limit: ow.optional.number,
             exclusiveStartKey: ow.optional.string,
+            ...CALL_OPTIONS_SHAPE,
         }));
+        const { callOptions, otherOptions } = splitCallOptions(options);
         const response = await this.httpClient.call({
             url: this._url('keys'),
             method: 'GET',
-            params: this._params(options),
+            params: this._params(otherOptions),
+            clientMethod: this._clientMethod('listKeys'),
+            ...callOptions,
         });
         return parseDateFields(pluckData(response.data));
     }
 
+    /**
+     * Iterates over the keys of the whole store, the pages of {@link KeyValueStoreClient#listKeys}
+     * are fetched lazily.
+     *
+     * ```javascript
+     * for await (const { key, size } of client.keyValueStore(storeId).iterateKeys({ prefix: 'screenshot-' })) {
+     *     console.log(`${key}: ${size} bytes`);
+     * }
+     * ```
+     * @param {object} [options]
+     * @param {string} [options.prefix]
+     *  Only the keys starting with the prefix are yielded.
+     * @param {RegExp} [options.pattern]
+     *  Only the keys matching the regular expression are yielded.
+     * @param {string} [options.exclusiveStartKey]
+     * @param {number} [options.pageSize=1000]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
+     * @return {AsyncIterableIterator<{key: string, size: number}>}
+     */
+    iterateKeys(options = {}) {
+        ow(options, ow.object.exactShape({
+            prefix: ow.optional.string,
+            pattern: ow.optional.regExp,
+            exclusiveStartKey: ow.optional.string,
+            pageSize: ITERATE_OPTIONS_SHAPE.pageSize,
+            ...CALL_OPTIONS_SHAPE,
+        }));
+        return this._iterateKeys(options);
+    }
+
+    /**
+     * @param {object} options
+     * @return {AsyncIterableIterator<{key: string, size: number}>}
+     * @private
+     */
+    async* _iterateKeys(options) {
+        const {
+            prefix = '',
+            pattern,
+            exclusiveStartKey,
+            pageSize = DEFAULT_PAGE_SIZE,
+            ...callOptions
+        } = options;
+        // String.search() ignores the lastIndex of global regular expressions.
+        const isMatching = (key) => key.startsWith(prefix) && (!pattern || key.search(pattern) !== -1);
+        // The keys are sorted, so the keys with the prefix follow each other.
+        const isPastPrefix = (key) => key > prefix && !key.startsWith(prefix);
+
+        // The keys before the prefix are skipped, unless the provided start key is further.
+        const prefixStartKey = getKeyBeforePrefix(prefix);
+        let nextExclusiveStartKey = exclusiveStartKey;
+        if (prefixStartKey && (!exclusiveStartKey || exclusiveStartKey < prefixStartKey)) {
+            nextExclusiveStartKey = prefixStartKey;
+        }
+        let isTruncated;
+        // Truncated pages without the next key stop the listing, which would request the same page again.
+        do {
+            const page = await this.listKeys({ limit: pageSize, exclusiveStartKey: nextExclusiveStartKey, ...callOptions });
+            for (const item of page.items) {
+                if (isPastPrefix(item.key)) return;
+                if (isMatching(item.key)) yield item;
+            }
+            ({ isTruncated, nextExclusiveStartKey } = page);
+        } while (isTruncated && nextExclusiveStartKey);
+    }
+
     /**
      * You can use the `buffer` option to get the value in a Buffer (Node.js)
      * or ArrayBuffer (browser) format. In Node.js (not in browser) you can also
@@ -81,6 +167,10 @@ class KeyValueStoreClient extends ResourceClient {
      * @param {object} [options]
      * @param {boolean} [options.buffer]
      * @param {boolean} [options.stream]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<KeyValueStoreRecord | undefined>}
      */
     async getRecord(key, options = {}) {
@@ -89,6 +179,7 @@ class KeyValueStoreClient extends ResourceClient {
             buffer: ow.optional.boolean,
             stream: ow.optional.boolean,
             disableRedirect: ow.optional.boolean,
+            ...CALL_OPTIONS_SHAPE,
         }));
         if (options.stream && !isNode()) {
             throw new Error('The stream option can only be used in Node.js environment.');
@@ -99,10 +190,13 @@ class KeyValueStoreClient extends ResourceClient {
                 + 'It has no effect and will be removed in the following major release.');
         }
 
+        const { callOptions } = splitCallOptions(options);
         const requestOpts = {
             url: this._url(`records/${key}`),
             method: 'GET',
             params: this._params(),
+            clientMethod: this._clientMethod('getRecord'),
+            ...callOptions,
         };
 
         if (options.buffer) requestOpts.forceBuffer = true;
@@ -123,14 +217,16 @@ class KeyValueStoreClient extends ResourceClient {
     /**
      * https://docs.apify.com/api/v2#/reference/key-value-stores/record/put-record
      * @param {KeyValueStoreRecord} record
+     * @param {CallOptions} [options]
      * @return {Promise<void>}
      */
-    async setRecord(record) {
+    async setRecord(record, options = {}) {
         ow(record, ow.object.exactShape({
             key: ow.string,
             value: ow.any(ow.null, ow.string, ow.number, ow.object),
             contentType: ow.optional.string.nonEmpty,
         }));
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
 
         const { key } = record;
         let { value, contentType } = record;
@@ -159,6 +255,8 @@ class KeyValueStoreClient extends ResourceClient {
             params: this._params(),
             data: value,
             headers: contentType && { 'content-type': contentType },
+            clientMethod: this._clientMethod('setRecord'),
+            ...options,
         };
 
         await this.httpClient.call(uploadOpts);
@@ -167,19 +265,38 @@ class KeyValueStoreClient extends ResourceClient {
     /**
      * https://docs.apify.com/api/v2#/reference/key-value-stores/record/delete-record
      * @param {string} key
+     * @param {CallOptions} [options]
      * @return {Promise<void>}
      */
-    async deleteRecord(key) {
+    async deleteRecord(key, options = {}) {
         ow(key, ow.string);
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
 
         await this.httpClient.call({
             url: this._url(`records/${key}`),
             method: 'DELETE',
             params: this._params(),
+            clientMethod: this._clientMethod('deleteRecord'),
+            ...options,
         });
     }
 }
 
+/**
+ * Returns a key that sorts before the prefix and all the keys starting with it, and after most
+ * of the other keys. The last character of the prefix is replaced by the preceding one.
+ * @param {string} prefix
+ * @return {string|undefined}
+ *  Nothing for an empty prefix.
+ * @private
+ */
+function getKeyBeforePrefix(prefix) {
+    if (!prefix) return;
+    const lastCharCode = prefix.charCodeAt(prefix.length - 1);
+    const head = prefix.slice(0, -1);
+    return lastCharCode > 0 ? head + String.fromCharCode(lastCharCode - 1) : head;
+}
+
 module.exports = KeyValueStoreClient;
 
 /**
@@ -1,4 +1,6 @@
+const ow = require('ow').default;
 const ResourceClient = require('../base/resource_client');
+const { CALL_OPTIONS_SHAPE } = require('../call_options');
 const {
     catchNotFoundOrThrow,
 } = require('../utils');
@@ -13,19 +15,24 @@ class LogClient extends ResourceClient {
     constructor(options) {
         super({
             resourcePath: 'logs',
+            clientName: 'LogClient',
             ...options,
         });
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/logs/log/get-log
+     * @param {CallOptions} [options]
      * @return {Promise<?string>}
      */
-    async get() {
+    async get(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
         const requestOpts = {
             url: this._url(),
             method: 'GET',
             params: this._params(),
+            clientMethod: this._clientMethod('get'),
+            ...options,
         };
         try {
             const response = await this.httpClient.call(requestOpts);
@@ -38,9 +45,12 @@ class LogClient extends ResourceClient {
     /**
      * Gets the log in a Readable stream format. Only works in Node.js.
      * https://docs.apify.com/api/v2#/reference/logs/log/get-log
+     * @param {CallOptions} [options]
+     *  Aborting the signal also destroys the returned stream.
      * @return {Promise<?Readable>}
      */
-    async stream() {
+    async stream(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
         const params = {
             stream: true,
         };
@@ -50,6 +60,8 @@ class LogClient extends ResourceClient {
             method: 'GET',
             params: this._params(params),
             responseType: 'stream',
+            clientMethod: this._clientMethod('stream'),
+            ...options,
         };
 
         try {
@@ -1,5 +1,6 @@
 const ow = require('ow').default;
 const ResourceClient = require('../base/resource_client');
+const { CALL_OPTIONS_SHAPE, splitCallOptions } = require('../call_options');
 const {
     pluckData,
     parseDateFields,
@@ -18,6 +19,7 @@ class RequestQueueClient extends ResourceClient {
     constructor(options, userOptions = {}) {
         super({
             resourcePath: 'request-queues',
+            clientName: 'RequestQueueClient',
             ...options,
         });
         this.clientKey = userOptions.clientKey;
@@ -25,40 +27,52 @@ class RequestQueueClient extends ResourceClient {
 
     /**
      * https://docs.apify.com/api/v2#/reference/request-queues/queue/get-request-queue
+     * @param {CallOptions} [options]
      * @return {Promise<RequestQueue>}
      */
-    async get() {
-        return this._get();
+    async get(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._get(options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/request-queues/queue/update-request-queue
      * @param {object} newFields
+     * @param {CallOptions} [options]
      * @return {Promise<RequestQueue>}
      */
-    async update(newFields) {
+    async update(newFields, options = {}) {
         ow(newFields, ow.object);
-        return this._update(newFields);
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._update(newFields, options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/request-queues/queue/delete-request-queue
+     * @param {CallOptions} [options]
      * @return {Promise<void>}
      */
-    async delete() {
-        return this._delete();
+    async delete(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._delete(options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/request-queues/queue-head/get-head
      * @param {object} [options]
      * @param {number} [options.limit]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<object>}
      */
     async listHead(options = {}) {
         ow(options, ow.object.exactShape({
             limit: ow.optional.number,
+            ...CALL_OPTIONS_SHAPE,
         }));
+        const { callOptions } = splitCallOptions(options);
         const response = await this.httpClient.call({
             url: this._url('head'),
             method: 'GET',
@@ -66,6 +80,8 @@ class RequestQueueClient extends ResourceClient {
                 limit: options.limit,
                 clientKey: this.clientKey,
             }),
+            clientMethod: this._clientMethod('listHead'),
+            ...callOptions,
         });
         return parseDateFields(pluckData(response.data));
     }
@@ -75,6 +91,10 @@ class RequestQueueClient extends ResourceClient {
      * @param {object} request
      * @param {object} [options]
      * @param {boolean} [options.forefront]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<object>}
      */
     async addRequest(request, options = {}) {
@@ -83,8 +103,10 @@ class RequestQueueClient extends ResourceClient {
         }));
         ow(options, ow.object.exactShape({
             forefront: ow.optional.boolean,
+            ...CALL_OPTIONS_SHAPE,
         }));
 
+        const { callOptions } = splitCallOptions(options);
         const response = await this.httpClient.call({
             url: this._url('requests'),
             method: 'POST',
@@ -93,6 +115,8 @@ class RequestQueueClient extends ResourceClient {
                 forefront: options.forefront,
                 clientKey: this.clientKey,
             }),
+            clientMethod: this._clientMethod('addRequest'),
+            ...callOptions,
         });
         return parseDateFields(pluckData(response.data));
     }
@@ -100,14 +124,18 @@ class RequestQueueClient extends ResourceClient {
     /**
      * https://docs.apify.com/api/v2#/reference/request-queues/request/get-request
      * @param {string} id
+     * @param {CallOptions} [options]
      * @return {Promise<?object>}
      */
-    async getRequest(id) {
+    async getRequest(id, options = {}) {
         ow(id, ow.string);
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
         const requestOpts = {
             url: this._url(`requests/${id}`),
             method: 'GET',
             params: this._params(),
+            clientMethod: this._clientMethod('getRequest'),
+            ...options,
         };
         try {
             const response = await this.httpClient.call(requestOpts);
@@ -122,6 +150,10 @@ class RequestQueueClient extends ResourceClient {
      * @param {object} request
      * @param {object} [options]
      * @param {boolean} [options.forefront]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<*>}
      */
     async updateRequest(request, options = {}) {
@@ -130,8 +162,10 @@ class RequestQueueClient extends ResourceClient {
         }));
         ow(options, ow.object.exactShape({
             forefront: ow.optional.boolean,
+            ...CALL_OPTIONS_SHAPE,
         }));
 
+        const { callOptions } = splitCallOptions(options);
         const response = await this.httpClient.call({
             url: this._url(`requests/${request.id}`),
             method: 'PUT',
@@ -140,22 +174,28 @@ class RequestQueueClient extends ResourceClient {
                 forefront: options.forefront,
                 clientKey: this.clientKey,
             }),
+            clientMethod: this._clientMethod('updateRequest'),
+            ...callOptions,
         });
         return parseDateFields(pluckData(response.data));
     }
 
     /**
      * @param {string} id
+     * @param {CallOptions} [options]
      * @return {Promise<void>}
      */
-    async deleteRequest(id) {
+    async deleteRequest(id, options = {}) {
         ow(id, ow.string);
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
         await this.httpClient.call({
             url: this._url(`requests/${id}`),
             method: 'DELETE',
             params: this._params({
                 clientKey: this.clientKey,
             }),
+            clientMethod: this._clientMethod('deleteRequest'),
+            ...options,
         });
     }
 }
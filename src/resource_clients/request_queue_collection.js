@@ -1,5 +1,7 @@
 const ow = require('ow').default;
 const ResourceCollectionClient = require('../base/resource_collection_client');
+const { CALL_OPTIONS_SHAPE } = require('../call_options');
+const { ITERATE_OPTIONS_SHAPE } = require('../pagination');
 
 /**
  * @hideconstructor
@@ -11,6 +13,7 @@ class RequestQueueCollection extends ResourceCollectionClient {
     constructor(options) {
         super({
             resourcePath: 'request-queues',
+            clientName: 'RequestQueueCollection',
             ...options,
         });
     }
@@ -22,6 +25,10 @@ class RequestQueueCollection extends ResourceCollectionClient {
      * @param {number} [options.limit]
      * @param {number} [options.offset]
      * @param {boolean} [options.desc]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<PaginationList>}
      */
     async list(options = {}) {
@@ -30,18 +37,44 @@ class RequestQueueCollection extends ResourceCollectionClient {
             limit: ow.optional.number,
             offset: ow.optional.number,
             desc: ow.optional.boolean,
+            ...CALL_OPTIONS_SHAPE,
         }));
         return this._list(options);
     }
 
+    /**
+     * Iterates over all the request queues, the pages of {@link RequestQueueCollectionClient#list} are fetched lazily.
+     * @param {object} [options]
+     *  The options of `list()`, but the `limit` caps the number of all the iterated items.
+     * @param {number} [options.pageSize=1000]
+     * @param {number} [options.prefetch=0]
+     *  Number of the pages requested in advance, before the items of the previous pages are consumed.
+     * @param {boolean} [options.driftFree=false]
+     *  Yields each item exactly once, even when items are added or removed during the iteration.
+     * @return {AsyncIterableIterator<object>}
+     */
+    iterate(options = {}) {
+        ow(options, ow.object.exactShape({
+            unnamed: ow.optional.boolean,
+            limit: ow.optional.number,
+            offset: ow.optional.number,
+            desc: ow.optional.boolean,
+            ...ITERATE_OPTIONS_SHAPE,
+            ...CALL_OPTIONS_SHAPE,
+        }));
+        return this._iterate(options);
+    }
+
     /**
      * https://docs.apify.com/api/v2#/reference/request-queues/queue-collection/create-request-queue
      * @param {string} [name]
+     * @param {CallOptions} [options]
      * @return {Promise<RequestQueue>}
      */
-    async getOrCreate(name) {
+    async getOrCreate(name, options = {}) {
         ow(name, ow.optional.string);
-        return this._getOrCreate(name);
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._getOrCreate(name, options);
     }
 }
 
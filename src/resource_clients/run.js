@@ -1,5 +1,7 @@
 const ow = require('ow').default;
 const ResourceClient = require('../base/resource_client');
+const { CALL_OPTIONS_SHAPE, splitCallOptions } = require('../call_options');
+const { generateIdempotencyKey } = require('../idempotency');
 const DatasetClient = require('./dataset');
 const KeyValueStoreClient = require('./key_value_store');
 const LogClient = require('./log');
@@ -19,6 +21,7 @@ class RunClient extends ResourceClient {
     constructor(options) {
         super({
             resourcePath: options.resourcePath || 'actor-runs',
+            clientName: 'RunClient',
             ...options,
         });
     }
@@ -27,11 +30,16 @@ class RunClient extends ResourceClient {
      * https://docs.apify.com/api/v2#/reference/actor-runs/run-object/get-run
      * @param {object} [options]
      * @param {number} [options.waitForFinish]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<Run>}
      */
     async get(options = {}) {
         ow(options, ow.object.exactShape({
             waitForFinish: ow.optional.number,
+            ...CALL_OPTIONS_SHAPE,
         }));
         return this._get(options);
     }
@@ -40,16 +48,24 @@ class RunClient extends ResourceClient {
      * https://docs.apify.com/api/v2#/reference/actor-runs/abort-run/abort-run
      * @param {object} [options]
      * @param {object} [options.gracefully]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<Run>}
      */
     async abort(options = {}) {
         ow(options, ow.object.exactShape({
             gracefully: ow.optional.boolean,
+            ...CALL_OPTIONS_SHAPE,
         }));
+        const { callOptions, otherOptions } = splitCallOptions(options);
         const response = await this.httpClient.call({
             url: this._url('abort'),
             method: 'POST',
-            params: this._params(options),
+            params: this._params(otherOptions),
+            clientMethod: this._clientMethod('abort'),
+            ...callOptions,
         });
 
         return parseDateFields(pluckData(response.data));
@@ -62,6 +78,13 @@ class RunClient extends ResourceClient {
      * @param {object} [options]
      * @param {object} [options.contentType]
      * @param {object} [options.build]
+     * @param {string} [options.idempotencyKey]
+     *  Identifies the metamorph, so that retries of the request don't metamorph the run twice.
+     *  A random key is generated when it's not provided.
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<Run>}
      */
     async metamorph(targetActorId, input, options = {}) {
@@ -70,8 +93,13 @@ class RunClient extends ResourceClient {
         ow(options, ow.object.exactShape({
             contentType: ow.optional.string,
             build: ow.optional.string,
+            idempotencyKey: ow.optional.string,
+            ...CALL_OPTIONS_SHAPE,
         }));
 
+        const { callOptions } = splitCallOptions(options);
+        const { idempotencyKey = generateIdempotencyKey() } = options;
+
         const safeTargetActorId = this._toSafeId(targetActorId);
 
         const params = {
@@ -87,6 +115,11 @@ class RunClient extends ResourceClient {
             // Apify internal property. Tells the request serialization interceptor
             // to stringify functions to JSON, instead of omitting them.
             stringifyFunctions: true,
+            // Apify internal properties. See HttpClient.
+            idempotencyKey,
+            findDuplicate: this._createDuplicateMetamorphFinder(),
+            clientMethod: this._clientMethod('metamorph'),
+            ...callOptions,
         };
         if (options.contentType) {
             request.headers = {
@@ -98,12 +131,37 @@ class RunClient extends ResourceClient {
         return parseDateFields(pluckData(response.data));
     }
 
+    /**
+     * The API does not deduplicate metamorphs by the idempotency key, nor does it store
+     * the User-Agent of metamorphs. A run can only be metamorphed by itself, so a metamorph
+     * created after the first attempt of the request means that a previous attempt reached the API.
+     * Unlike for runs, there's no tolerance for clock skew, because a metamorph from a moment
+     * before the first attempt would be mistaken for a duplicate and this one would never happen.
+     * @return {function(CallOptions): Promise<?{data: Run}>}
+     * @private
+     */
+    _createDuplicateMetamorphFinder() {
+        const firstAttemptAt = Date.now();
+        return async (callOptions) => {
+            // A cached run would not include the new metamorph.
+            await this._invalidateCache();
+            const run = await this.get(callOptions);
+            const metamorphs = (run && run.metamorphs) || [];
+            const isMetamorphed = metamorphs.some(({ createdAt }) => createdAt >= firstAttemptAt);
+            return isMetamorphed ? { data: run } : null;
+        };
+    }
+
     /**
      * https://docs.apify.com/api/v2#/reference/actor-runs/resurrect-run/resurrect-run
      * @param {object} [options]
      * @param {string} [options.build]
      * @param {number} [options.memory]
      * @param {number} [options.timeout]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<Run>}
      */
     async resurrect(options = {}) {
@@ -111,12 +169,16 @@ class RunClient extends ResourceClient {
             build: ow.optional.string,
             memory: ow.optional.number,
             timeout: ow.optional.number,
+            ...CALL_OPTIONS_SHAPE,
         }));
 
+        const { callOptions, otherOptions } = splitCallOptions(options);
         const response = await this.httpClient.call({
             url: this._url('resurrect'),
             method: 'POST',
-            params: this._params(options),
+            params: this._params(otherOptions),
+            clientMethod: this._clientMethod('resurrect'),
+            ...callOptions,
         });
 
         return parseDateFields(pluckData(response.data));
@@ -139,11 +201,17 @@ class RunClient extends ResourceClient {
      *  Maximum time to wait for the run to finish, in seconds.
      *  If the limit is reached, the returned promise is resolved to a run object that will have
      *  status `READY` or `RUNNING`. If `waitSecs` omitted, the function waits indefinitely.
+     * @param {AbortSignal} [options.signal]
+     *  Stops waiting and rejects with an `AbortError` once aborted.
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @returns {Promise<Run>}
      */
     async waitForFinish(options = {}) {
         ow(options, ow.object.exactShape({
             waitSecs: ow.optional.number,
+            ...CALL_OPTIONS_SHAPE,
         }));
         return this._waitForFinish(options);
     }
@@ -1,6 +1,8 @@
 const { ACT_JOB_STATUSES } = require('@apify/consts');
 const ow = require('ow').default;
 const ResourceCollectionClient = require('../base/resource_collection_client');
+const { CALL_OPTIONS_SHAPE } = require('../call_options');
+const { ITERATE_OPTIONS_SHAPE } = require('../pagination');
 
 /**
  * @hideconstructor
@@ -12,6 +14,7 @@ class RunCollectionClient extends ResourceCollectionClient {
     constructor(options) {
         super({
             resourcePath: 'runs',
+            clientName: 'RunCollectionClient',
             ...options,
         });
     }
@@ -23,6 +26,10 @@ class RunCollectionClient extends ResourceCollectionClient {
      * @param {number} [options.offset]
      * @param {boolean} [options.desc]
      * @param {boolean} [options.status]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<PaginationList>}
      */
     async list(options = {}) {
@@ -31,9 +38,33 @@ class RunCollectionClient extends ResourceCollectionClient {
             offset: ow.optional.number,
             desc: ow.optional.boolean,
             status: ow.optional.string.oneOf(Object.values(ACT_JOB_STATUSES)),
+            ...CALL_OPTIONS_SHAPE,
         }));
         return this._list(options);
     }
+
+    /**
+     * Iterates over all the runs, the pages of {@link RunCollectionClient#list} are fetched lazily.
+     * @param {object} [options]
+     *  The options of `list()`, but the `limit` caps the number of all the iterated items.
+     * @param {number} [options.pageSize=1000]
+     * @param {number} [options.prefetch=0]
+     *  Number of the pages requested in advance, before the items of the previous pages are consumed.
+     * @param {boolean} [options.driftFree=false]
+     *  Yields each item exactly once, even when items are added or removed during the iteration.
+     * @return {AsyncIterableIterator<object>}
+     */
+    iterate(options = {}) {
+        ow(options, ow.object.exactShape({
+            limit: ow.optional.number,
+            offset: ow.optional.number,
+            desc: ow.optional.boolean,
+            status: ow.optional.string.oneOf(Object.values(ACT_JOB_STATUSES)),
+            ...ITERATE_OPTIONS_SHAPE,
+            ...CALL_OPTIONS_SHAPE,
+        }));
+        return this._iterate(options);
+    }
 }
 
 module.exports = RunCollectionClient;
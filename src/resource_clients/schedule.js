@@ -1,5 +1,6 @@
 const ow = require('ow').default;
 const ResourceClient = require('../base/resource_client');
+const { CALL_OPTIONS_SHAPE } = require('../call_options');
 const {
     pluckData,
     parseDateFields,
@@ -16,45 +17,56 @@ class ScheduleClient extends ResourceClient {
     constructor(options) {
         super({
             resourcePath: 'schedules',
+            clientName: 'ScheduleClient',
             ...options,
         });
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/schedules/schedule-object/get-schedule
+     * @param {CallOptions} [options]
      * @return {Promise<?Schedule>}
      */
-    async get() {
-        return this._get();
+    async get(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._get(options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/schedules/schedule-object/update-schedule
      * @param {object} newFields
+     * @param {CallOptions} [options]
      * @return {Promise<Schedule>}
      */
-    async update(newFields) {
+    async update(newFields, options = {}) {
         ow(newFields, ow.object);
-        return this._update(newFields);
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._update(newFields, options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/schedules/schedule-object/delete-schedule
+     * @param {CallOptions} [options]
      * @return {Promise<void>}
      */
-    async delete() {
-        return this._delete();
+    async delete(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._delete(options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/schedules/schedule-log/get-schedule-log
+     * @param {CallOptions} [options]
      * @return {Promise<?string>}
      */
-    async getLog() {
+    async getLog(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
         const requestOpts = {
             url: this._url('log'),
             method: 'GET',
             params: this._params(),
+            clientMethod: this._clientMethod('getLog'),
+            ...options,
         };
         try {
             const response = await this.httpClient.call(requestOpts);
@@ -1,6 +1,8 @@
 const ow = require('ow').default;
 const { ACT_JOB_STATUSES } = require('@apify/consts');
 const ResourceClient = require('../base/resource_client');
+const { CALL_OPTIONS_SHAPE, splitCallOptions } = require('../call_options');
+const { createDuplicateRunFinder, generateIdempotencyKey } = require('../idempotency');
 const RunCollectionClient = require('./run_collection');
 const WebhookCollectionClient = require('./webhook_collection');
 const RunClient = require('./run');
@@ -21,34 +23,41 @@ class TaskClient extends ResourceClient {
     constructor(options) {
         super({
             resourcePath: 'actor-tasks',
+            clientName: 'TaskClient',
             ...options,
         });
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/actor-tasks/task-object/get-task
+     * @param {CallOptions} [options]
      * @return {Promise<?Task>}
      */
-    async get() {
-        return this._get();
+    async get(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._get(options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/actor-tasks/task-object/update-task
      * @param {object} newFields
+     * @param {CallOptions} [options]
      * @return {Promise<Task>}
      */
-    async update(newFields) {
+    async update(newFields, options = {}) {
         ow(newFields, ow.object);
-        return this._update(newFields);
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._update(newFields, options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/actor-tasks/task-object/delete-task
+     * @param {CallOptions} [options]
      * @return {Promise<void>}
      */
-    async delete() {
-        return this._delete();
+    async delete(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._delete(options);
     }
 
     /**
@@ -61,6 +70,13 @@ class TaskClient extends ResourceClient {
      * @param {number} [options.timeout]
      * @param {number} [options.waitForFinish]
      * @param {object[]} [options.webhooks]
+     * @param {string} [options.idempotencyKey]
+     *  Identifies the run, so that retries of the request don't start it twice.
+     *  A random key is generated when it's not provided.
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<Run>}
      */
     async start(input, options = {}) {
@@ -71,9 +87,18 @@ class TaskClient extends ResourceClient {
             timeout: ow.optional.number,
             waitForFinish: ow.optional.number,
             webhooks: ow.optional.array.ofType(ow.object),
+            idempotencyKey: ow.optional.string,
+            ...CALL_OPTIONS_SHAPE,
         }));
 
-        const { waitForFinish, timeout, memory, build } = options;
+        const { callOptions, otherOptions } = splitCallOptions(options);
+        const {
+            waitForFinish,
+            timeout,
+            memory,
+            build,
+            idempotencyKey = generateIdempotencyKey(),
+        } = otherOptions;
 
         const params = {
             waitForFinish,
@@ -91,6 +116,15 @@ class TaskClient extends ResourceClient {
             // Apify internal property. Tells the request serialization interceptor
             // to stringify functions to JSON, instead of omitting them.
             stringifyFunctions: true,
+            // Apify internal properties. See HttpClient.
+            idempotencyKey,
+            findDuplicate: createDuplicateRunFinder({
+                apifyClient: this.apifyClient,
+                runCollectionClient: this.runs(),
+                idempotencyKey,
+            }),
+            clientMethod: this._clientMethod('start'),
+            ...callOptions,
         };
 
         const response = await this.httpClient.call(request);
@@ -108,6 +142,13 @@ class TaskClient extends ResourceClient {
      * @param {number} [options.timeout]
      * @param {number} [options.waitSecs]
      * @param {object[]} [options.webhooks]
+     * @param {string} [options.idempotencyKey]
+     *  Identifies the run, so that retries of the request don't start it twice.
+     *  A random key is generated when it's not provided.
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.minDelayBetweenRetriesMillis]
      * @return {Promise<Run>}
      */
     async call(input, options = {}) {
@@ -118,27 +159,34 @@ class TaskClient extends ResourceClient {
             timeout: ow.optional.number.not.negative,
             waitSecs: ow.optional.number.not.negative,
             webhooks: ow.optional.array.ofType(ow.object),
+            idempotencyKey: ow.optional.string,
+            ...CALL_OPTIONS_SHAPE,
         }));
 
         const { waitSecs, ...startOptions } = options;
+        const { callOptions } = splitCallOptions(options);
 
         const { id } = await this.start(input, startOptions);
 
         // Calling root client because we need access to top level API.
         // Creating a new instance of RunClient here would only allow
         // setting it up as a nested route under task API.
-        return this.apifyClient.run(id).waitForFinish({ waitSecs });
+        return this.apifyClient.run(id).waitForFinish({ waitSecs, ...callOptions });
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/actor-tasks/task-input-object/get-task-input
+     * @param {CallOptions} [options]
      * @return {Promise<?object>}
      */
-    async getInput() {
+    async getInput(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
         const requestOpts = {
             url: this._url('input'),
             method: 'GET',
             params: this._params(),
+            clientMethod: this._clientMethod('getInput'),
+            ...options,
         };
         try {
             const response = await this.httpClient.call(requestOpts);
@@ -150,14 +198,19 @@ class TaskClient extends ResourceClient {
 
     /**
      * https://docs.apify.com/api/v2#/reference/actor-tasks/task-input-object/update-task-input
+     * @param {object} newFields
+     * @param {CallOptions} [options]
      * @return {Promise<object>}
      */
-    async updateInput(newFields) {
+    async updateInput(newFields, options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
         const response = await this.httpClient.call({
             url: this._url('input'),
             method: 'PUT',
             params: this._params(),
             data: newFields,
+            clientMethod: this._clientMethod('updateInput'),
+            ...options,
         });
         return response.data;
     }
@@ -1,4 +1,6 @@
+const ow = require('ow').default;
 const ResourceClient = require('../base/resource_client');
+const { CALL_OPTIONS_SHAPE } = require('../call_options');
 
 /**
  * @hideconstructor
@@ -10,6 +12,7 @@ class UserClient extends ResourceClient {
     constructor(options) {
         super({
             resourcePath: 'users',
+            clientName: 'UserClient',
             ...options,
         });
     }
@@ -18,10 +21,12 @@ class UserClient extends ResourceClient {
      * Depending on whether ApifyClient was created with a token,
      * the method will either return public or private user data.
      * https://docs.apify.com/api/v2#/reference/users
+     * @param {CallOptions} [options]
      * @return {Promise<?User>}
      */
-    async get() {
-        return this._get();
+    async get(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._get(options);
     }
 }
 
@@ -1,5 +1,6 @@
 const ow = require('ow').default;
 const ResourceClient = require('../base/resource_client');
+const { CALL_OPTIONS_SHAPE } = require('../call_options');
 const WebhookDispatchCollectionClient = require('./webhook_dispatch_collection');
 
 /**
@@ -12,34 +13,41 @@ class WebhookClient extends ResourceClient {
     constructor(options) {
         super({
             resourcePath: 'webhooks',
+            clientName: 'WebhookClient',
             ...options,
         });
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/webhooks/webhook-object/get-webhook
+     * @param {CallOptions} [options]
      * @return {Promise<?Webhook>}
      */
-    async get() {
-        return this._get();
+    async get(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._get(options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/webhooks/webhook-object/update-webhook
      * @param {object} newFields
+     * @param {CallOptions} [options]
      * @return {Promise<Webhook>}
      */
-    async update(newFields) {
+    async update(newFields, options = {}) {
         ow(newFields, ow.object);
-        return this._update(newFields);
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._update(newFields, options);
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/webhooks/webhook-object/delete-webhook
+     * @param {CallOptions} [options]
      * @return {Promise<void>}
      */
-    async delete() {
-        return this._delete();
+    async delete(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._delete(options);
     }
 
     /**
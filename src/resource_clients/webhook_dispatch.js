@@ -1,4 +1,6 @@
+const ow = require('ow').default;
 const ResourceClient = require('../base/resource_client');
+const { CALL_OPTIONS_SHAPE } = require('../call_options');
 
 /**
  * @hideconstructor
@@ -10,16 +12,19 @@ class WebhookDispatchClient extends ResourceClient {
     constructor(options) {
         super({
             resourcePath: 'webhook-dispatches',
+            clientName: 'WebhookDispatchClient',
             ...options,
         });
     }
 
     /**
      * https://docs.apify.com/api/v2#/reference/webhook-dispatches/webhook-dispatch-object/get-webhook-dispatch
+     * @param {CallOptions} [options]
      * @return {Promise<?WebhookDispatch>}
      */
-    async get() {
-        return this._get();
+    async get(options = {}) {
+        ow(options, ow.object.exactShape(CALL_OPTIONS_SHAPE));
+        return this._get(options);
     }
 }
 
@@ -0,0 +1,121 @@
+const MemoryCacheStore = require('./memory_cache_store');
+
+/**
+ * Caches the responses of `get()` calls of resource clients.
+ *
+ * Entries are fresh for `ttlSecs`, which can be overridden for individual
+ * resources by their path, e.g. `{ 'actor-runs': 5 }`. Stale entries
+ * with an ETag are revalidated with an `If-None-Match` request and reused
+ * when the API responds with 304 Not Modified.
+ *
+ * Entries are invalidated when the same client updates or deletes the resource.
+ * @private
+ */
+class ResponseCache {
+    /**
+     * @param {object} options
+     * @param {CacheStore} [options.store]
+     * @param {number} [options.maxEntries]
+     * @param {number} [options.ttlSecs=60]
+     * @param {object<string, number>} [options.resourceTtlSecs]
+     */
+    constructor(options) {
+        const {
+            maxEntries,
+            store = new MemoryCacheStore({ maxEntries }),
+            ttlSecs = 60,
+            resourceTtlSecs = {},
+        } = options;
+
+        this.store = store;
+        this.ttlSecs = ttlSecs;
+        this.resourceTtlSecs = resourceTtlSecs;
+        // Keys can't be listed in all stores, so we keep track of the URL of each stored key
+        // ourselves to be able to invalidate them. Keys the store no longer has are forgotten
+        // when it evicts them or when they are not found.
+        this.urlsByKey = new Map();
+        if (store.onEvict) store.onEvict((key) => this.urlsByKey.delete(key));
+    }
+
+    /**
+     * Responses are shared only by the same token, but the token itself is replaced by its hash,
+     * so that it's not written to external stores.
+     * @param {string} url
+     * @param {object} params
+     * @param {string} tokenHash
+     * @return {string}
+     */
+    getKey(url, params, tokenHash) {
+        const { token, ...otherParams } = params;
+        return `${url}?${JSON.stringify(otherParams)}#${tokenHash}`;
+    }
+
+    /**
+     * @param {string} key
+     * @return {Promise<?{data: *, etag: ?string, storedAt: number}>}
+     */
+    async get(key) {
+        const value = await this.store.get(key);
+        if (!value) {
+            this.urlsByKey.delete(key);
+            return null;
+        }
+        return JSON.parse(value);
+    }
+
+    /**
+     * @param {{storedAt: number}} entry
+     * @param {string} resourcePath
+     * @return {boolean}
+     */
+    isFresh(entry, resourcePath) {
+        const ttlSecs = resourcePath in this.resourceTtlSecs
+            ? this.resourceTtlSecs[resourcePath]
+            : this.ttlSecs;
+        return Date.now() - entry.storedAt < ttlSecs * 1000;
+    }
+
+    /**
+     * The entries are serialized, so that the stores don't need
+     * to care about their contents and callers can't modify them.
+     * @param {string} key
+     * @param {string} url
+     * @param {{data: *, etag: ?string}} entry
+     * @return {Promise<void>}
+     */
+    async set(key, url, { data, etag }) {
+        this.urlsByKey.set(key, url);
+        await this.store.set(key, JSON.stringify({ data, etag, storedAt: Date.now() }));
+    }
+
+    /**
+     * @param {string} url
+     * @return {Promise<void>}
+     */
+    async invalidate(url) {
+        const keys = [];
+        this.urlsByKey.forEach((keyUrl, key) => {
+            if (keyUrl === url) keys.push(key);
+        });
+        keys.forEach((key) => this.urlsByKey.delete(key));
+        await Promise.all(keys.map((key) => this.store.delete(key)));
+    }
+}
+
+module.exports = ResponseCache;
+
+/**
+ * A store of the response cache, e.g. an adapter for Redis.
+ * The methods can be either synchronous or return promises.
+ * @typedef {object} CacheStore
+ * @property {function(string): ?string} get
+ *  Returns the value stored under the key, or nothing when there's none.
+ * @property {function(string, string): void} set
+ *  Stores the value under the key.
+ * @property {function(string): void} delete
+ *  Removes the value stored under the key.
+ * @property {function(function(string): void): void} [onEvict]
+ *  Registers a listener to be called with the keys of the values the store removes on its own,
+ *  e.g. when they expire. Stores that remove values without it should not be used for long, because
+ *  the cache keeps the keys of such values until they are requested again.
+ */
@@ -0,0 +1,47 @@
+/**
+ * Computes how long to wait after a failed attempt before the next one.
+ * The delay grows exponentially from `minDelayBetweenRetriesMillis` and is capped
+ * at `maxDelayMillis`. By default, the delay is randomized between 1x and 2x
+ * of the exponential delay. With full jitter, it's randomized between zero
+ * and the exponential delay, which spreads the retries of many clients
+ * that failed at the same time more evenly.
+ * @param {number} attempt
+ *  Number of the attempt that failed, starting from 1.
+ * @param {object} options
+ * @param {number} options.minDelayBetweenRetriesMillis
+ * @param {number} [options.maxDelayMillis=Infinity]
+ * @param {boolean} [options.fullJitter=false]
+ * @return {number}
+ * @private
+ */
+function getRetryDelayMillis(attempt, options) {
+    const {
+        minDelayBetweenRetriesMillis,
+        maxDelayMillis = Infinity,
+        fullJitter = false,
+    } = options;
+    const exponentialDelayMillis = minDelayBetweenRetriesMillis * (2 ** (attempt - 1));
+    const delayMillis = fullJitter
+        ? Math.random() * Math.min(maxDelayMillis, exponentialDelayMillis)
+        : Math.min(maxDelayMillis, exponentialDelayMillis * (1 + Math.random()));
+    return Math.round(delayMillis);
+}
+
+/**
+ * @typedef {object} RetryContext
+ * @property {string} method
+ * @property {string} url
+ *  URL of the request with the token redacted.
+ * @property {number} attempt
+ *  Number of the attempt that failed, starting from 1.
+ * @property {Error} error
+ *  `ApifyApiError` for unsuccessful responses, otherwise the network or timeout error.
+ * @property {AxiosResponse} [response]
+ *  The unsuccessful response, when there was one.
+ * @property {boolean} isRetryable
+ *  Whether the attempt would be retried without a custom `shouldRetry` function.
+ */
+
+module.exports = {
+    getRetryDelayMillis,
+};
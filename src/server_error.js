@@ -0,0 +1,19 @@
+const ApifyApiError = require('./apify_api_error');
+
+/**
+ * Thrown when the API failed with an internal error (HTTP 500+)
+ * and the retries did not help.
+ * @hideconstructor
+ */
+class ServerError extends ApifyApiError {
+    /**
+     * @param {AxiosResponse} response
+     * @param {number} attempt
+     * @param {string} [clientMethod]
+     */
+    constructor(response, attempt, clientMethod) {
+        super(response, attempt, clientMethod, 'ServerError');
+    }
+}
+
+module.exports = ServerError;
@@ -1,7 +1,32 @@
 const ow = require('ow').default;
+const LatencyHistogram = require('./latency_histogram');
+const { formatPrometheusMetrics } = require('./prometheus');
 
 class Statistics {
     constructor() {
+        /**
+         * State of the circuit breaker, or null when the circuit breaker is not enabled.
+         * The state is one of `closed`, `open` or `half-open`.
+         * @type {?{state: string, timesOpened: number, rejectedRequests: number}}
+         */
+        this.circuitBreaker = null;
+        /**
+         * State of the queue of the `maxConcurrentRequests` option, or null when the option is not used.
+         * `activeRequests` and `queueLength` are the current numbers of requests in flight and in the queue,
+         * `maxQueueLength` is the longest the queue has been, `queuedRequests` is the number of requests
+         * that had to wait in the queue and `queueWait` is the histogram of their waiting times.
+         * @type {?{activeRequests: number, queueLength: number, maxQueueLength: number,
+         *  queuedRequests: number, queueWait: LatencyHistogram}}
+         */
+        this.concurrency = null;
+        this.reset();
+    }
+
+    /**
+     * Sets all the counters to zero. The state of the circuit breaker
+     * and the current numbers of active and queued requests are kept.
+     */
+    reset() {
         /**
          * Number of Apify client function calls
          * @type {number}
@@ -12,12 +37,113 @@ class Statistics {
          * @type {number}
          */
         this.requests = 0;
+        /**
+         * Number of Apify client function calls that received the response
+         * of an identical in-flight GET request instead of sending their own.
+         * Only used when the `coalesceRequests` option is enabled.
+         * @type {number}
+         */
+        this.coalescedCalls = 0;
         /**
          * Number of times the API returned 429 error. Errors on first attempt are
          * counted at index 0. First retry error counts are on index 1 and so on.
          * @type {number[]}
          */
         this.rateLimitErrors = [];
+        /**
+         * Number of bytes of the request bodies, after compression.
+         * @type {number}
+         */
+        this.bytesSent = 0;
+        /**
+         * Number of bytes of the response bodies, excluding streamed responses.
+         * @type {number}
+         */
+        this.bytesReceived = 0;
+        /**
+         * Number of requests that timed out.
+         * @type {number}
+         */
+        this.timeouts = 0;
+        /**
+         * Number of requests that failed without a response for other reasons than a timeout.
+         * @type {number}
+         */
+        this.networkErrors = 0;
+        /**
+         * Number of error responses of the API by the `ApifyApiError.type`.
+         * @type {object<string, number>}
+         */
+        this.errorsByType = {};
+        /**
+         * Number of retries by their cause, which is one of `rate-limit`, `server-error`,
+         * `timeout`, `network-error`, `invalid-response-body` or `other`.
+         * @type {object<string, number>}
+         */
+        this.retriesByCause = {};
+        /**
+         * Latencies of the requests that received a response.
+         * @type {LatencyHistogram}
+         */
+        this.latency = new LatencyHistogram();
+        /**
+         * Requests, errors and latencies by the invoked resource client method, e.g. `ActorClient.get`.
+         * @type {object<string, {requests: number, errors: number, latency: LatencyHistogram}>}
+         */
+        this.endpoints = {};
+
+        if (this.circuitBreaker) {
+            this.circuitBreaker.timesOpened = 0;
+            this.circuitBreaker.rejectedRequests = 0;
+        }
+        if (this.concurrency) {
+            this.concurrency.maxQueueLength = this.concurrency.queueLength;
+            this.concurrency.queuedRequests = 0;
+            this.concurrency.queueWait = new LatencyHistogram();
+        }
+    }
+
+    /**
+     * @param {string} endpoint
+     */
+    addRequest(endpoint) {
+        this.requests++;
+        this._getEndpoint(endpoint).requests++;
+    }
+
+    /**
+     * @param {string} endpoint
+     * @param {number} durationMillis
+     */
+    addResponse(endpoint, durationMillis) {
+        this.latency.observe(durationMillis);
+        this._getEndpoint(endpoint).latency.observe(durationMillis);
+    }
+
+    /**
+     * @param {string} endpoint
+     * @param {string} [type]
+     */
+    addApiError(endpoint, type = 'unknown') {
+        this._getEndpoint(endpoint).errors++;
+        this.errorsByType[type] = (this.errorsByType[type] || 0) + 1;
+    }
+
+    /**
+     * @param {string} endpoint
+     * @param {boolean} isTimeout
+     */
+    addRequestError(endpoint, isTimeout) {
+        this._getEndpoint(endpoint).errors++;
+        if (isTimeout) this.timeouts++;
+        else this.networkErrors++;
+    }
+
+    /**
+     * @param {string} cause
+     */
+    addRetry(cause) {
+        this.retriesByCause[cause] = (this.retriesByCause[cause] || 0) + 1;
     }
 
     addRateLimitError(attempt) {
@@ -29,6 +155,61 @@ class Statistics {
         this.rateLimitErrors[index]++;
     }
 
+    /**
+     * Returns a copy of all the statistics that can be serialized to JSON,
+     * with the latency percentiles computed in milliseconds.
+     * @return {object}
+     */
+    snapshot() {
+        const endpoints = {};
+        Object.entries(this.endpoints).forEach(([endpoint, { requests, errors, latency }]) => {
+            endpoints[endpoint] = { requests, errors, latency: latency.toJSON() };
+        });
+        return {
+            calls: this.calls,
+            requests: this.requests,
+            coalescedCalls: this.coalescedCalls,
+            rateLimitErrors: [...this.rateLimitErrors],
+            bytesSent: this.bytesSent,
+            bytesReceived: this.bytesReceived,
+            timeouts: this.timeouts,
+            networkErrors: this.networkErrors,
+            errorsByType: { ...this.errorsByType },
+            retriesByCause: { ...this.retriesByCause },
+            latency: this.latency.toJSON(),
+            endpoints,
+            circuitBreaker: this.circuitBreaker && { ...this.circuitBreaker },
+            concurrency: this.concurrency && { ...this.concurrency, queueWait: this.concurrency.queueWait.toJSON() },
+        };
+    }
+
+    /**
+     * Returns the statistics in the Prometheus text exposition format,
+     * e.g. to be served from a `/metrics` endpoint.
+     * @param {object} [options]
+     * @param {string} [options.prefix=apify_client]
+     *  Prefix of the metric names.
+     * @return {string}
+     */
+    toPrometheus(options = {}) {
+        ow(options, ow.object.exactShape({
+            prefix: ow.optional.string.matches(/^[a-zA-Z_:][a-zA-Z0-9_:]*$/),
+        }));
+        return formatPrometheusMetrics(this.snapshot(), options);
+    }
+
+    /**
+     * @param {string} endpoint
+     * @return {{requests: number, errors: number, latency: LatencyHistogram}}
+     * @private
+     */
+    _getEndpoint(endpoint) {
+        if (!this.endpoints[endpoint]) {
+            this.endpoints[endpoint] = { requests: 0, errors: 0, latency: new LatencyHistogram() };
+        }
+        return this.endpoints[endpoint];
+    }
+
     /**
      * Removes the necessity to pre-initialize array with correct
      * number of zeroes by dynamically filling the empty indexes
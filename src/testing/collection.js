@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const RouteError = require('./route_error');
+const { parseBoolean, parseNumber } = require('./router');
+
+const ID_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const ID_LENGTH = 17;
+const DEFAULT_LIST_LIMIT = 1000;
+
+/**
+ * Generates a random ID in the same format as the IDs of the Apify API.
+ * @return {string}
+ * @private
+ */
+function generateId() {
+    return [...crypto.randomBytes(ID_LENGTH)].map((byte) => ID_CHARS[byte % ID_CHARS.length]).join('');
+}
+
+/**
+ * In-memory collection of the resources of one type, e.g. actors or datasets.
+ * The resources are kept in the order of their creation.
+ * @private
+ */
+class Collection {
+    /**
+     * @param {string} resourceName
+     *  Used in the error messages, e.g. `Actor`.
+     * @param {string} username
+     *  Username of the fake user, to find the named resources by `username~name`.
+     */
+    constructor(resourceName, username) {
+        this.resourceName = resourceName;
+        this.username = username;
+        this.items = new Map();
+    }
+
+    /**
+     * @param {object} fields
+     * @return {object}
+     */
+    create(fields) {
+        const now = new Date();
+        const item = { id: generateId(), createdAt: now, modifiedAt: now, ...fields };
+        this.items.set(item.id, item);
+        return item;
+    }
+
+    /**
+     * Finds the resource by its ID, name or `username~name`.
+     * @param {string} idOrName
+     * @return {object|undefined}
+     */
+    get(idOrName) {
+        if (this.items.has(idOrName)) return this.items.get(idOrName);
+        const [username, name] = idOrName.includes('~') ? idOrName.split('~') : [this.username, idOrName];
+        if (username !== this.username) return;
+        return this.find((item) => item.name === name);
+    }
+
+    /**
+     * @param {string} idOrName
+     * @return {object}
+     */
+    getOrThrow(idOrName) {
+        const item = this.get(idOrName);
+        if (!item) throw RouteError.notFound(this.resourceName);
+        return item;
+    }
+
+    /**
+     * @param {function(object): boolean} predicate
+     * @return {object|undefined}
+     */
+    find(predicate) {
+        return [...this.items.values()].find(predicate);
+    }
+
+    /**
+     * @param {function(object): boolean} predicate
+     * @return {object[]}
+     */
+    filter(predicate) {
+        return [...this.items.values()].filter(predicate);
+    }
+
+    /**
+     * Updates the resource in place, so that the references held by the simulated runs stay valid.
+     * @param {string} idOrName
+     * @param {object} fields
+     * @return {object}
+     */
+    update(idOrName, fields) {
+        const item = this.getOrThrow(idOrName);
+        const { id, createdAt, ...otherFields } = fields || {};
+        if (otherFields.name && otherFields.name !== item.name && this.get(otherFields.name)) {
+            throw new RouteError(400, 'record-duplicate-name', `${this.resourceName} with name "${otherFields.name}" already exists`);
+        }
+        return Object.assign(item, otherFields, { modifiedAt: new Date() });
+    }
+
+    /**
+     * @param {string} idOrName
+     */
+    delete(idOrName) {
+        const item = this.getOrThrow(idOrName);
+        this.items.delete(item.id);
+    }
+
+    /**
+     * Returns a page of the resources in the format of the list endpoints of the Apify API.
+     * @param {object<string, string>} query
+     *  Query parameters of the request, i.e. `offset`, `limit` and `desc`.
+     * @param {function(object): boolean} [predicate]
+     * @return {{total: number, offset: number, limit: number, count: number, desc: boolean, items: object[]}}
+     */
+    list(query, predicate = () => true) {
+        const offset = parseNumber(query.offset, 0);
+        const limit = parseNumber(query.limit, DEFAULT_LIST_LIMIT);
+        const desc = parseBoolean(query.desc);
+        const items = this.filter(predicate);
+        if (desc) items.reverse();
+        const page = items.slice(offset, offset + limit);
+        return { total: items.length, offset, limit, count: page.length, desc, items: page };
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+module.exports = {
+    Collection,
+    generateId,
+};
@@ -0,0 +1,284 @@
+const http = require('http');
+const ow = require('ow').default;
+const zlib = require('zlib');
+const { Collection, generateId } = require('./collection');
+const RouteError = require('./route_error');
+const { Router } = require('./router');
+const RunSimulator = require('./run_simulator');
+const Storages = require('./storages');
+const { addActorRoutes } = require('./routes/actors');
+const { addRunRoutes } = require('./routes/runs');
+const { addScheduleRoutes } = require('./routes/schedules');
+const { addStorageRoutes } = require('./routes/storages');
+const { addUserRoutes } = require('./routes/users');
+const { addWebhookRoutes } = require('./routes/webhooks');
+
+const API_PATH_PREFIX = '/v2';
+const FAKE_USERNAME = 'fake-user';
+
+/**
+ * Stateful in-memory fake of the Apify API v2 for the tests of applications
+ * that use the client. Point an `ApifyClient` to it with the `baseUrl` option:
+ *
+ * ```javascript
+ * const { FakeApifyApi } = require('apify-client/testing');
+ *
+ * const api = new FakeApifyApi();
+ * const baseUrl = await api.start();
+ * const client = new ApifyClient({ baseUrl });
+ *
+ * const actor = api.addActor({
+ *     name: 'my-actor',
+ *     handler: async ({ input, pushData }) => pushData({ url: input.url }),
+ * });
+ * const run = await client.actor(actor.id).call({ url: 'https://example.com' });
+ * const { items } = await client.dataset(run.defaultDatasetId).listItems();
+ *
+ * await api.close();
+ * ```
+ *
+ * It supports actors, runs, datasets, key-value stores, request queues, webhooks,
+ * webhook dispatches, schedules and the current user. The runs are simulated by the handlers
+ * of the actors. The webhooks are not called, their dispatches are only recorded,
+ * and the schedules don't start any runs. Other endpoints, e.g. builds or tasks,
+ * respond with 404.
+ */
+class FakeApifyApi {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.token]
+     *  When provided, the requests without this token are rejected with 401.
+     *  By default, any token or no token is accepted.
+     * @param {number} [options.runDurationMillis=0]
+     *  Minimum duration of the simulated runs, e.g. to test polling for the run to finish.
+     */
+    constructor(options = {}) {
+        ow(options, ow.object.exactShape({
+            token: ow.optional.string.nonEmpty,
+            runDurationMillis: ow.optional.number.not.negative,
+        }));
+        const { token = null, runDurationMillis = 0 } = options;
+
+        this.token = token;
+        this.runDurationMillis = runDurationMillis;
+        /**
+         * The user that owns all the resources.
+         * @type {object}
+         */
+        this.user = {
+            id: generateId(),
+            username: FAKE_USERNAME,
+            profile: {},
+            email: `${FAKE_USERNAME}@example.com`,
+            plan: {},
+        };
+        this.server = null;
+        this.sockets = new Set();
+
+        this.router = new Router();
+        addActorRoutes(this.router, this);
+        addRunRoutes(this.router, this);
+        addStorageRoutes(this.router, this);
+        addWebhookRoutes(this.router, this);
+        addScheduleRoutes(this.router, this);
+        addUserRoutes(this.router, this);
+
+        this.reset();
+    }
+
+    /**
+     * Starts the HTTP server of the fake API.
+     * @param {number} [port=0]
+     *  A random free port is used by default.
+     * @return {Promise<string>}
+     *  Base URL to be used as the `baseUrl` option of `ApifyClient`.
+     */
+    async start(port = 0) {
+        ow(port, ow.number.integer.not.negative);
+        this.server = http.createServer((req, res) => this._handleRequest(req, res));
+        this.server.on('connection', (socket) => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', resolve);
+        });
+        return this.baseUrl;
+    }
+
+    /**
+     * Base URL of the started fake API, or null when it's not started.
+     * @return {?string}
+     */
+    get baseUrl() {
+        if (!this.server || !this.server.listening) return null;
+        return `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    /**
+     * Stops the simulated runs and the HTTP server. The requests that wait
+     * for a run to finish are responded with the run as it is.
+     * @return {Promise<void>}
+     */
+    async close() {
+        this.runSimulator.stopAll();
+        if (!this.server) return;
+        const { server } = this;
+        this.server = null;
+        const closed = new Promise((resolve) => server.close(() => resolve()));
+        // Let the responses to the waiting requests be sent before the connections are closed.
+        await new Promise((resolve) => setImmediate(resolve));
+        // The client keeps the connections alive, so the server would not close otherwise.
+        this.sockets.forEach((socket) => socket.destroy());
+        await closed;
+    }
+
+    /**
+     * Deletes all the resources and the recorded requests, and stops the simulated runs.
+     */
+    reset() {
+        if (this.runSimulator) this.runSimulator.stopAll();
+        /**
+         * Requests received by the fake API, e.g. to check the sent headers.
+         * @type {{method: string, path: string, query: object, headers: object, body: Buffer}[]}
+         */
+        this.requests = [];
+        this.actors = new Collection('Actor', this.user.username);
+        this.runs = new Collection('Run', this.user.username);
+        this.webhooks = new Collection('Webhook', this.user.username);
+        this.webhookDispatches = new Collection('Webhook dispatch', this.user.username);
+        this.schedules = new Collection('Schedule', this.user.username);
+        this.storages = new Storages(this.user);
+        this.logs = new Map();
+        this.actorHandlers = new Map();
+        this.runSimulator = new RunSimulator(this);
+    }
+
+    /**
+     * Creates an actor, whose runs are simulated by the handler. The actors created
+     * through the API don't have a handler and their runs succeed without any output.
+     * @param {object} actor
+     * @param {string} actor.name
+     * @param {ActorHandler} [actor.handler]
+     *  Called with the {@link ActorContext} when a run of the actor starts.
+     * @param {object} [actor.defaultRunOptions]
+     *  E.g. `{ timeoutSecs: 10 }` to time out the runs after 10 seconds.
+     * @return {object}
+     */
+    addActor(actor) {
+        ow(actor, ow.object.partialShape({
+            name: ow.string.nonEmpty,
+            handler: ow.optional.function,
+            defaultRunOptions: ow.optional.object,
+        }));
+        const { name, handler, defaultRunOptions, ...otherFields } = actor;
+        if (this.actors.get(name)) {
+            throw new RouteError(400, 'record-duplicate-name', `Actor with name "${name}" already exists`);
+        }
+
+        const newActor = this.actors.create({
+            userId: this.user.id,
+            username: this.user.username,
+            name,
+            isPublic: false,
+            versions: [],
+            ...otherFields,
+            defaultRunOptions: { build: 'latest', timeoutSecs: 0, memoryMbytes: 1024, ...defaultRunOptions },
+        });
+        if (handler) this.actorHandlers.set(newActor.id, handler);
+        return newActor;
+    }
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @private
+     */
+    async _handleRequest(req, res) {
+        let response;
+        try {
+            const request = await this._parseRequest(req);
+            this.requests.push(request);
+            this._authenticate(request);
+            response = await this.router.handle(request);
+        } catch (err) {
+            response = createErrorResponse(err);
+        }
+
+        const { statusCode = 200, headers = {}, body } = response || {};
+        if (body === undefined) {
+            res.writeHead(statusCode === 200 ? 204 : statusCode, headers);
+            res.end();
+            return;
+        }
+        const isRaw = Buffer.isBuffer(body) || typeof body === 'string';
+        const payload = isRaw ? body : JSON.stringify(body);
+        res.writeHead(statusCode, {
+            'content-type': 'application/json; charset=utf-8',
+            ...headers,
+            'content-length': Buffer.byteLength(payload),
+        });
+        res.end(payload);
+    }
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @return {Promise<FakeRequest>}
+     * @private
+     */
+    async _parseRequest(req) {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        let body = Buffer.concat(chunks);
+        if (req.headers['content-encoding'] === 'gzip') body = zlib.gunzipSync(body);
+
+        const url = new URL(req.url, 'http://localhost');
+        if (!url.pathname.startsWith(`${API_PATH_PREFIX}/`)) {
+            throw new RouteError(404, 'page-not-found', `The fake API only serves paths starting with ${API_PATH_PREFIX}`);
+        }
+        const query = {};
+        url.searchParams.forEach((value, name) => {
+            query[name] = value;
+        });
+        return {
+            method: req.method,
+            path: url.pathname.slice(API_PATH_PREFIX.length),
+            query,
+            headers: req.headers,
+            body,
+        };
+    }
+
+    /**
+     * @param {FakeRequest} request
+     * @private
+     */
+    _authenticate(request) {
+        if (!this.token) return;
+        const { authorization } = request.headers;
+        const token = authorization ? authorization.replace(/^Bearer /, '') : request.query.token;
+        if (!token) throw new RouteError(401, 'token-not-provided', 'Authentication token was not provided');
+        if (token !== this.token) throw new RouteError(401, 'token-not-valid', 'Authentication token is not valid');
+    }
+}
+
+/**
+ * @param {Error} err
+ * @return {FakeResponse}
+ * @private
+ */
+function createErrorResponse(err) {
+    const isRouteError = err instanceof RouteError;
+    return {
+        statusCode: isRouteError ? err.statusCode : 500,
+        body: {
+            error: {
+                type: isRouteError ? err.type : 'internal-server-error',
+                message: err.message,
+            },
+        },
+    };
+}
+
+module.exports = FakeApifyApi;
@@ -0,0 +1,10 @@
+const FakeApifyApi = require('./fake_apify_api');
+
+/**
+ * Utilities for the tests of applications that use the client.
+ * Available as `require('apify-client/testing')`.
+ * @module apify-client/testing
+ */
+module.exports = {
+    FakeApifyApi,
+};
@@ -0,0 +1,38 @@
+/**
+ * Thrown by the route handlers of the fake API. It's sent to the client
+ * in the same format as the errors of the Apify API, so the client
+ * throws an `ApifyApiError` with the same status code and type.
+ * @private
+ */
+class RouteError extends Error {
+    /**
+     * @param {number} statusCode
+     * @param {string} type
+     * @param {string} message
+     */
+    constructor(statusCode, type, message) {
+        super(message);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.type = type;
+    }
+
+    /**
+     * @param {string} what
+     *  Name of the resource that was not found, e.g. `Actor`.
+     * @return {RouteError}
+     */
+    static notFound(what) {
+        return new RouteError(404, 'record-not-found', `${what} was not found`);
+    }
+
+    /**
+     * @param {string} message
+     * @return {RouteError}
+     */
+    static invalidInput(message) {
+        return new RouteError(400, 'invalid-input', message);
+    }
+}
+
+module.exports = RouteError;
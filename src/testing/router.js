@@ -0,0 +1,140 @@
+const RouteError = require('./route_error');
+
+/**
+ * @typedef {object} FakeRequest
+ * @property {string} method
+ * @property {string} path
+ *  Path relative to the `/v2` prefix, e.g. `/acts/abc`.
+ * @property {object<string, string>} params
+ *  Parameters of the matched path, e.g. `{ actorId: 'abc' }`.
+ * @property {object<string, string>} query
+ * @property {object<string, string>} headers
+ * @property {Buffer} body
+ *  Decompressed body of the request.
+ * @private
+ */
+
+/**
+ * @typedef {object} FakeResponse
+ * @property {number} [statusCode=200]
+ * @property {object<string, string>} [headers]
+ * @property {*} [body]
+ *  Buffers and strings are sent as they are, other values are serialized to JSON.
+ * @private
+ */
+
+/**
+ * Minimal router of the fake API. Express is only a development dependency
+ * of the client, so the fake API can't use it.
+ * @private
+ */
+class Router {
+    constructor() {
+        this.routes = [];
+        this.rewrites = [];
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} pathTemplate
+     *  Path with named parameters, e.g. `/acts/:actorId/runs`.
+     * @param {function(FakeRequest): (FakeResponse|Promise<FakeResponse>)} handler
+     */
+    add(method, pathTemplate, handler) {
+        const paramNames = [];
+        const pattern = pathTemplate.replace(/:(\w+)/g, (match, name) => {
+            paramNames.push(name);
+            return '([^/]+)';
+        });
+        this.routes.push({ method, regex: new RegExp(`^${pattern}/?$`), paramNames, handler });
+    }
+
+    /**
+     * Registers a function that maps a path to another one, before the path is matched
+     * to the routes. It's used for the aliases, e.g. the default dataset of a run.
+     * @param {function(string, FakeRequest): (string|undefined)} rewrite
+     *  Receives the current path and the request and returns the new path,
+     *  or undefined when the path should not change.
+     */
+    rewrite(rewrite) {
+        this.rewrites.push(rewrite);
+    }
+
+    /**
+     * @param {FakeRequest} request
+     * @return {Promise<FakeResponse>}
+     */
+    async handle(request) {
+        const path = this.rewrites.reduce((currentPath, rewrite) => rewrite(currentPath, request) || currentPath, request.path);
+        const matchingPath = this.routes.filter(({ regex }) => regex.test(path));
+        const route = matchingPath.find(({ method }) => method === request.method);
+        if (!route) {
+            if (matchingPath.length) throw new RouteError(405, 'method-not-allowed', `Method ${request.method} is not allowed for ${path}`);
+            throw new RouteError(404, 'page-not-found', `Path ${path} is not supported by the fake API`);
+        }
+
+        const values = route.regex.exec(path).slice(1);
+        const params = {};
+        route.paramNames.forEach((name, i) => {
+            params[name] = decodeURIComponent(values[i]);
+        });
+        return route.handler({ ...request, path, params });
+    }
+}
+
+/**
+ * Wraps the data in the `{ data }` envelope of the Apify API.
+ * @param {*} data
+ * @param {number} [statusCode=200]
+ * @return {FakeResponse}
+ * @private
+ */
+function jsonResponse(data, statusCode = 200) {
+    return { statusCode, body: { data } };
+}
+
+/**
+ * Query parameters are booleans when they're `1` or `true`, same as in the Apify API.
+ * @param {string} [value]
+ * @return {boolean}
+ * @private
+ */
+function parseBoolean(value) {
+    return value === '1' || value === 'true';
+}
+
+/**
+ * @param {string} [value]
+ * @param {number} [defaultValue]
+ * @return {number|undefined}
+ * @private
+ */
+function parseNumber(value, defaultValue) {
+    if (value === undefined || value === '') return defaultValue;
+    const number = Number(value);
+    if (Number.isNaN(number)) throw RouteError.invalidInput(`Query parameter must be a number, but received: ${value}`);
+    return number;
+}
+
+/**
+ * @param {FakeRequest} request
+ * @return {*}
+ *  Parsed JSON body, or undefined when the body is empty.
+ * @private
+ */
+function parseJsonBody(request) {
+    if (!request.body.length) return;
+    try {
+        return JSON.parse(request.body.toString('utf8'));
+    } catch (err) {
+        throw RouteError.invalidInput(`Request body is not a valid JSON: ${err.message}`);
+    }
+}
+
+module.exports = {
+    Router,
+    jsonResponse,
+    parseBoolean,
+    parseJsonBody,
+    parseNumber,
+};
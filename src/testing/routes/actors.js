@@ -0,0 +1,89 @@
+const RouteError = require('../route_error');
+const { jsonResponse, parseJsonBody, parseNumber } = require('../router');
+
+const LAST_RUN_PATH_REGEX = /^\/acts\/([^/]+)\/runs\/last(\/.*)?$/;
+const ACTOR_RUN_PATH_REGEX = /^\/acts\/[^/]+\/runs\/([^/]+)(\/.*)?$/;
+
+/**
+ * @param {Router} router
+ * @param {FakeApifyApi} api
+ * @private
+ */
+function addActorRoutes(router, api) {
+    router.add('GET', '/acts', ({ query }) => jsonResponse(api.actors.list(query)));
+    router.add('POST', '/acts', (request) => {
+        const { name, ...fields } = parseJsonBody(request) || {};
+        return jsonResponse(api.addActor({ name, ...fields }), 201);
+    });
+    router.add('GET', '/acts/:actorId', ({ params }) => jsonResponse(api.actors.getOrThrow(params.actorId)));
+    router.add('PUT', '/acts/:actorId', (request) => {
+        return jsonResponse(api.actors.update(request.params.actorId, parseJsonBody(request)));
+    });
+    router.add('DELETE', '/acts/:actorId', ({ params }) => {
+        const actor = api.actors.getOrThrow(params.actorId);
+        api.actors.delete(actor.id);
+        api.actorHandlers.delete(actor.id);
+        return { statusCode: 204 };
+    });
+
+    router.add('GET', '/acts/:actorId/runs', ({ params, query }) => {
+        const actor = api.actors.getOrThrow(params.actorId);
+        const isMatching = (run) => run.actId === actor.id && (!query.status || run.status === query.status);
+        return jsonResponse(api.runs.list(query, isMatching));
+    });
+    router.add('POST', '/acts/:actorId/runs', async ({ params, query, headers, body }) => {
+        const actor = api.actors.getOrThrow(params.actorId);
+        const run = api.runSimulator.start(actor, {
+            input: body,
+            contentType: headers['content-type'],
+            build: query.build,
+            timeoutSecs: parseNumber(query.timeout),
+            memoryMbytes: parseNumber(query.memory),
+            webhooks: parseWebhooks(query.webhooks),
+            userAgent: headers['user-agent'],
+        });
+        await api.runSimulator.waitForFinish(run, parseNumber(query.waitForFinish, 0) * 1000);
+        return jsonResponse(run, 201);
+    });
+    router.add('GET', '/acts/:actorId/webhooks', ({ params, query }) => {
+        const actor = api.actors.getOrThrow(params.actorId);
+        return jsonResponse(api.webhooks.list(query, ({ condition = {} }) => condition.actorId === actor.id));
+    });
+
+    // The runs of an actor are the same as the runs at /actor-runs.
+    router.rewrite((path, { query }) => {
+        const lastRunMatch = LAST_RUN_PATH_REGEX.exec(path);
+        if (lastRunMatch) {
+            const [, actorId, subPath = ''] = lastRunMatch;
+            const actor = api.actors.getOrThrow(decodeURIComponent(actorId));
+            const runs = api.runs.filter((run) => run.actId === actor.id && (!query.status || run.status === query.status));
+            const lastRun = runs[runs.length - 1];
+            if (!lastRun) throw RouteError.notFound('Run');
+            return `/actor-runs/${lastRun.id}${subPath}`;
+        }
+        const runMatch = ACTOR_RUN_PATH_REGEX.exec(path);
+        if (runMatch) {
+            const [, runId, subPath = ''] = runMatch;
+            return `/actor-runs/${runId}${subPath}`;
+        }
+    });
+}
+
+/**
+ * @param {string} [webhooksBase64]
+ *  Ad-hoc webhooks encoded the same as by `stringifyWebhooksToBase64()`.
+ * @return {object[]}
+ * @private
+ */
+function parseWebhooks(webhooksBase64) {
+    if (!webhooksBase64) return [];
+    try {
+        return JSON.parse(Buffer.from(webhooksBase64, 'base64').toString('utf8'));
+    } catch (err) {
+        throw RouteError.invalidInput(`Query parameter "webhooks" is not a valid base64-encoded JSON: ${err.message}`);
+    }
+}
+
+module.exports = {
+    addActorRoutes,
+};
@@ -0,0 +1,69 @@
+const { jsonResponse, parseBoolean, parseNumber } = require('../router');
+
+const RUN_STORAGE_PATH_REGEX = /^\/actor-runs\/([^/]+)\/(dataset|key-value-store|request-queue|log)(\/.*)?$/;
+
+const STORAGE_PATHS = {
+    dataset: { path: 'datasets', idField: 'defaultDatasetId' },
+    'key-value-store': { path: 'key-value-stores', idField: 'defaultKeyValueStoreId' },
+    'request-queue': { path: 'request-queues', idField: 'defaultRequestQueueId' },
+};
+
+/**
+ * @param {Router} router
+ * @param {FakeApifyApi} api
+ * @private
+ */
+function addRunRoutes(router, api) {
+    router.add('GET', '/actor-runs', ({ query }) => {
+        return jsonResponse(api.runs.list(query, (run) => !query.status || run.status === query.status));
+    });
+    router.add('GET', '/actor-runs/:runId', async ({ params, query }) => {
+        const run = api.runs.getOrThrow(params.runId);
+        await api.runSimulator.waitForFinish(run, parseNumber(query.waitForFinish, 0) * 1000);
+        return jsonResponse(run);
+    });
+    router.add('POST', '/actor-runs/:runId/abort', ({ params, query }) => {
+        const run = api.runs.getOrThrow(params.runId);
+        return jsonResponse(api.runSimulator.abort(run, parseBoolean(query.gracefully)));
+    });
+    router.add('POST', '/actor-runs/:runId/metamorph', ({ params, query, headers, body }) => {
+        const run = api.runs.getOrThrow(params.runId);
+        const targetActor = api.actors.getOrThrow(query.targetActorId || '');
+        return jsonResponse(api.runSimulator.metamorph(run, targetActor, {
+            input: body,
+            contentType: headers['content-type'],
+            build: query.build,
+        }));
+    });
+    router.add('POST', '/actor-runs/:runId/resurrect', ({ params, query }) => {
+        const run = api.runs.getOrThrow(params.runId);
+        return jsonResponse(api.runSimulator.resurrect(run, {
+            build: query.build,
+            timeoutSecs: parseNumber(query.timeout),
+            memoryMbytes: parseNumber(query.memory),
+        }));
+    });
+
+    router.add('GET', '/logs/:logId', ({ params }) => {
+        const run = api.runs.getOrThrow(params.logId);
+        return {
+            headers: { 'content-type': 'text/plain; charset=utf-8' },
+            body: api.logs.get(run.id) || '',
+        };
+    });
+
+    // The default storages and the log of a run are aliases of the storages and logs.
+    router.rewrite((path) => {
+        const match = RUN_STORAGE_PATH_REGEX.exec(path);
+        if (!match) return;
+        const [, runId, storage, subPath = ''] = match;
+        const run = api.runs.getOrThrow(decodeURIComponent(runId));
+        if (storage === 'log') return `/logs/${run.id}`;
+        const { path: storagePath, idField } = STORAGE_PATHS[storage];
+        return `/${storagePath}/${run[idField]}${subPath}`;
+    });
+}
+
+module.exports = {
+    addRunRoutes,
+};
@@ -0,0 +1,36 @@
+const { jsonResponse, parseJsonBody } = require('../router');
+
+/**
+ * The schedules are only stored, the fake API does not run their actions.
+ * @param {Router} router
+ * @param {FakeApifyApi} api
+ * @private
+ */
+function addScheduleRoutes(router, api) {
+    router.add('GET', '/schedules', ({ query }) => jsonResponse(api.schedules.list(query)));
+    router.add('POST', '/schedules', (request) => {
+        return jsonResponse(api.schedules.create({
+            userId: api.user.id,
+            isEnabled: false,
+            isExclusive: false,
+            actions: [],
+            ...parseJsonBody(request),
+        }), 201);
+    });
+    router.add('GET', '/schedules/:scheduleId', ({ params }) => jsonResponse(api.schedules.getOrThrow(params.scheduleId)));
+    router.add('PUT', '/schedules/:scheduleId', (request) => {
+        return jsonResponse(api.schedules.update(request.params.scheduleId, parseJsonBody(request)));
+    });
+    router.add('DELETE', '/schedules/:scheduleId', ({ params }) => {
+        api.schedules.delete(params.scheduleId);
+        return { statusCode: 204 };
+    });
+    router.add('GET', '/schedules/:scheduleId/log', ({ params }) => {
+        api.schedules.getOrThrow(params.scheduleId);
+        return jsonResponse([]);
+    });
+}
+
+module.exports = {
+    addScheduleRoutes,
+};
@@ -0,0 +1,136 @@
+const RouteError = require('../route_error');
+const {
+    jsonResponse,
+    parseBoolean,
+    parseJsonBody,
+} = require('../router');
+
+const ITEM_FORMATS = ['json', 'jsonl'];
+
+/**
+ * @param {Router} router
+ * @param {FakeApifyApi} api
+ * @private
+ */
+function addStorageRoutes(router, api) {
+    addStorageCollectionRoutes(router, api, {
+        path: '/datasets',
+        storageType: 'datasets',
+        create: (fields) => api.storages.createDataset(fields),
+    });
+    addStorageCollectionRoutes(router, api, {
+        path: '/key-value-stores',
+        storageType: 'keyValueStores',
+        create: (fields) => api.storages.createKeyValueStore(fields),
+    });
+    addStorageCollectionRoutes(router, api, {
+        path: '/request-queues',
+        storageType: 'requestQueues',
+        create: (fields) => api.storages.createRequestQueue(fields),
+    });
+
+    router.add('GET', '/datasets/:datasetId/items', ({ params, query }) => {
+        const { format = 'json' } = query;
+        if (!ITEM_FORMATS.includes(format)) {
+            throw RouteError.invalidInput(`Format "${format}" is not supported by the fake API, use one of: ${ITEM_FORMATS.join(', ')}`);
+        }
+        const { items, total, offset, limit } = api.storages.getItems(params.datasetId, query);
+        return {
+            headers: {
+                'content-type': format === 'json' ? 'application/json; charset=utf-8' : 'application/jsonl; charset=utf-8',
+                'x-apify-pagination-total': `${total}`,
+                'x-apify-pagination-offset': `${offset}`,
+                'x-apify-pagination-count': `${items.length}`,
+                'x-apify-pagination-limit': `${limit}`,
+            },
+            body: format === 'json'
+                ? JSON.stringify(items)
+                : items.map((item) => `${JSON.stringify(item)}\n`).join(''),
+        };
+    });
+    router.add('POST', '/datasets/:datasetId/items', (request) => {
+        api.storages.pushItems(request.params.datasetId, parseJsonBody(request));
+        return { statusCode: 201 };
+    });
+
+    router.add('GET', '/key-value-stores/:storeId/keys', ({ params, query }) => {
+        return jsonResponse(api.storages.listKeys(params.storeId, query));
+    });
+    router.add('GET', '/key-value-stores/:storeId/records/:key', ({ params }) => {
+        const record = api.storages.getRecord(params.storeId, params.key);
+        if (!record) throw RouteError.notFound('Record');
+        return { headers: { 'content-type': record.contentType }, body: record.value };
+    });
+    router.add('PUT', '/key-value-stores/:storeId/records/:key', ({ params, headers, body }) => {
+        api.storages.setRecord(params.storeId, params.key, body, headers['content-type']);
+        return { statusCode: 201 };
+    });
+    router.add('DELETE', '/key-value-stores/:storeId/records/:key', ({ params }) => {
+        api.storages.deleteRecord(params.storeId, params.key);
+        return { statusCode: 204 };
+    });
+
+    router.add('GET', '/request-queues/:queueId/head', ({ params, query }) => {
+        return jsonResponse(api.storages.listHead(params.queueId, query));
+    });
+    router.add('POST', '/request-queues/:queueId/requests', (request) => {
+        const { params, query } = request;
+        const result = api.storages.addRequest(params.queueId, parseJsonBody(request), parseBoolean(query.forefront));
+        return jsonResponse(result, 201);
+    });
+    router.add('GET', '/request-queues/:queueId/requests/:requestId', ({ params }) => {
+        const request = api.storages.getRequest(params.queueId, params.requestId);
+        if (!request) throw RouteError.notFound('Request');
+        return jsonResponse(request);
+    });
+    router.add('PUT', '/request-queues/:queueId/requests/:requestId', (request) => {
+        const { params, query } = request;
+        const queueRequest = { ...parseJsonBody(request), id: params.requestId };
+        return jsonResponse(api.storages.updateRequest(params.queueId, queueRequest, parseBoolean(query.forefront)));
+    });
+    router.add('DELETE', '/request-queues/:queueId/requests/:requestId', ({ params }) => {
+        api.storages.deleteRequest(params.queueId, params.requestId);
+        return { statusCode: 204 };
+    });
+}
+
+/**
+ * Adds the routes that list, create, get, update and delete the storages of one type.
+ * Same as in the Apify API, only the named storages are listed by default
+ * and creating a storage with an existing name returns the existing storage.
+ * @param {Router} router
+ * @param {FakeApifyApi} api
+ * @param {object} options
+ * @param {string} options.path
+ * @param {string} options.storageType
+ * @param {function(object): object} options.create
+ * @private
+ */
+function addStorageCollectionRoutes(router, api, { path, storageType, create }) {
+    router.add('GET', path, ({ query }) => {
+        const includeUnnamed = parseBoolean(query.unnamed);
+        return jsonResponse(api.storages[storageType].list(query, (storage) => includeUnnamed || !!storage.name));
+    });
+    router.add('POST', path, ({ query }) => {
+        const existingStorage = query.name && api.storages[storageType].get(query.name);
+        if (existingStorage) return jsonResponse(existingStorage);
+        return jsonResponse(create({ name: query.name || null }), 201);
+    });
+    router.add('GET', `${path}/:storageId`, ({ params }) => {
+        return jsonResponse(api.storages[storageType].getOrThrow(params.storageId));
+    });
+    router.add('PUT', `${path}/:storageId`, (request) => {
+        // Only the name of a storage can be updated.
+        const { name } = parseJsonBody(request) || {};
+        const fields = name === undefined ? {} : { name };
+        return jsonResponse(api.storages[storageType].update(request.params.storageId, fields));
+    });
+    router.add('DELETE', `${path}/:storageId`, ({ params }) => {
+        api.storages.delete(storageType, params.storageId);
+        return { statusCode: 204 };
+    });
+}
+
+module.exports = {
+    addStorageRoutes,
+};
@@ -0,0 +1,20 @@
+const RouteError = require('../route_error');
+const { jsonResponse } = require('../router');
+
+/**
+ * @param {Router} router
+ * @param {FakeApifyApi} api
+ * @private
+ */
+function addUserRoutes(router, api) {
+    router.add('GET', '/users/:userId', ({ params }) => {
+        const { userId } = params;
+        const isFakeUser = [api.user.id, api.user.username, 'me'].includes(userId);
+        if (!isFakeUser) throw RouteError.notFound('User');
+        return jsonResponse(api.user);
+    });
+}
+
+module.exports = {
+    addUserRoutes,
+};
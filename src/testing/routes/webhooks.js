@@ -0,0 +1,54 @@
+const RouteError = require('../route_error');
+const { jsonResponse, parseJsonBody } = require('../router');
+
+/**
+ * @param {Router} router
+ * @param {FakeApifyApi} api
+ * @private
+ */
+function addWebhookRoutes(router, api) {
+    router.add('GET', '/webhooks', ({ query }) => jsonResponse(api.webhooks.list(query, (webhook) => !webhook.isAdHoc)));
+    router.add('POST', '/webhooks', (request) => {
+        const webhook = parseJsonBody(request) || {};
+        validateWebhook(webhook);
+        return jsonResponse(api.webhooks.create({
+            userId: api.user.id,
+            isAdHoc: false,
+            condition: {},
+            ...webhook,
+        }), 201);
+    });
+    router.add('GET', '/webhooks/:webhookId', ({ params }) => jsonResponse(api.webhooks.getOrThrow(params.webhookId)));
+    router.add('PUT', '/webhooks/:webhookId', (request) => {
+        const webhook = api.webhooks.getOrThrow(request.params.webhookId);
+        const fields = parseJsonBody(request) || {};
+        validateWebhook({ ...webhook, ...fields });
+        return jsonResponse(api.webhooks.update(webhook.id, fields));
+    });
+    router.add('DELETE', '/webhooks/:webhookId', ({ params }) => {
+        api.webhooks.delete(params.webhookId);
+        return { statusCode: 204 };
+    });
+    router.add('GET', '/webhooks/:webhookId/dispatches', ({ params, query }) => {
+        const webhook = api.webhooks.getOrThrow(params.webhookId);
+        return jsonResponse(api.webhookDispatches.list(query, (dispatch) => dispatch.webhookId === webhook.id));
+    });
+
+    router.add('GET', '/webhook-dispatches', ({ query }) => jsonResponse(api.webhookDispatches.list(query)));
+    router.add('GET', '/webhook-dispatches/:dispatchId', ({ params }) => {
+        return jsonResponse(api.webhookDispatches.getOrThrow(params.dispatchId));
+    });
+}
+
+/**
+ * @param {object} webhook
+ * @private
+ */
+function validateWebhook({ requestUrl, eventTypes }) {
+    if (typeof requestUrl !== 'string' || !requestUrl) throw RouteError.invalidInput('Webhook must have a requestUrl');
+    if (!Array.isArray(eventTypes) || !eventTypes.length) throw RouteError.invalidInput('Webhook must have at least one event type');
+}
+
+module.exports = {
+    addWebhookRoutes,
+};
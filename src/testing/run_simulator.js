@@ -0,0 +1,399 @@
+const {
+    ACT_JOB_STATUSES,
+    ACT_JOB_TERMINAL_STATUSES,
+    KEY_VALUE_STORE_KEYS,
+    META_ORIGINS,
+    WEBHOOK_EVENT_TYPES,
+} = require('@apify/consts');
+const RouteError = require('./route_error');
+
+/**
+ * The Apify API does not wait longer than this for the `waitForFinish` parameter.
+ * @type {number}
+ * @private
+ */
+const MAX_WAIT_FOR_FINISH_MILLIS = 60 * 1000;
+
+const EVENT_TYPES_BY_STATUS = {
+    [ACT_JOB_STATUSES.SUCCEEDED]: WEBHOOK_EVENT_TYPES.ACTOR_RUN_SUCCEEDED,
+    [ACT_JOB_STATUSES.FAILED]: WEBHOOK_EVENT_TYPES.ACTOR_RUN_FAILED,
+    [ACT_JOB_STATUSES.TIMED_OUT]: WEBHOOK_EVENT_TYPES.ACTOR_RUN_TIMED_OUT,
+    [ACT_JOB_STATUSES.ABORTED]: WEBHOOK_EVENT_TYPES.ACTOR_RUN_ABORTED,
+};
+
+/**
+ * @callback ActorHandler
+ * @param {ActorContext} context
+ * @return {*}
+ *  The returned value, if any, is saved as the `OUTPUT` record of the default key-value store.
+ *  The run fails when the handler throws or rejects.
+ */
+
+/**
+ * @typedef {object} ActorContext
+ * @property {object} run
+ *  The run, updated as its status changes, e.g. to `ABORTING`.
+ * @property {*} input
+ *  Parsed JSON input, a string for text input or a Buffer for other content types.
+ * @property {function(object|object[]): void} pushData
+ *  Pushes items to the default dataset.
+ * @property {function(string, *, {contentType: string}=): void} setValue
+ *  Saves a record to the default key-value store.
+ * @property {function(string): *} getValue
+ *  Returns a record of the default key-value store, parsed the same as the input.
+ * @property {function(string): void} log
+ *  Appends a line to the log of the run.
+ */
+
+/**
+ * Simulates the lifecycle of actor runs in the fake API. A run is created as `READY`,
+ * changes to `RUNNING` on the next tick and finishes when the handler of the actor
+ * is done, but not earlier than after `runDurationMillis`.
+ * @private
+ */
+class RunSimulator {
+    /**
+     * @param {FakeApifyApi} api
+     */
+    constructor(api) {
+        this.api = api;
+        this.executions = new Map();
+        this.waiters = new Set();
+    }
+
+    /**
+     * @param {object} actor
+     * @param {object} options
+     * @param {Buffer} [options.input]
+     * @param {string} [options.contentType]
+     * @param {string} [options.build]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.memoryMbytes]
+     * @param {object[]} [options.webhooks]
+     *  Ad-hoc webhooks of the run.
+     * @param {string} [options.userAgent]
+     * @return {object}
+     */
+    start(actor, options) {
+        const { storages, user } = this.api;
+        const { input, contentType, webhooks = [], userAgent } = options;
+        const { dataset, keyValueStore, requestQueue } = storages.createDefaultStorages({ actId: actor.id });
+        const run = this.api.runs.create({
+            actId: actor.id,
+            userId: user.id,
+            actorTaskId: null,
+            startedAt: new Date(),
+            finishedAt: null,
+            status: ACT_JOB_STATUSES.READY,
+            meta: { origin: META_ORIGINS.API, userAgent },
+            stats: {},
+            options: {
+                ...actor.defaultRunOptions,
+                ...removeUndefined({ build: options.build, timeoutSecs: options.timeoutSecs, memoryMbytes: options.memoryMbytes }),
+            },
+            buildId: null,
+            exitCode: null,
+            defaultKeyValueStoreId: keyValueStore.id,
+            defaultDatasetId: dataset.id,
+            defaultRequestQueueId: requestQueue.id,
+        });
+        [dataset, keyValueStore, requestQueue].forEach((storage) => {
+            storage.actRunId = run.id;
+        });
+        if (input && input.length) storages.setRecord(keyValueStore.id, KEY_VALUE_STORE_KEYS.INPUT, input, contentType);
+
+        this.api.logs.set(run.id, '');
+        webhooks.forEach((webhook) => {
+            this.api.webhooks.create({
+                userId: user.id,
+                isAdHoc: true,
+                ...webhook,
+                condition: { actorRunId: run.id },
+            });
+        });
+        this._dispatchWebhooks(run, WEBHOOK_EVENT_TYPES.ACTOR_RUN_CREATED);
+        this._execute(run);
+        return run;
+    }
+
+    /**
+     * @param {object} run
+     * @param {boolean} [gracefully=false]
+     *  The run is `ABORTING` until the next tick, instead of being `ABORTED` immediately.
+     * @return {object}
+     */
+    abort(run, gracefully = false) {
+        const execution = this.executions.get(run.id);
+        if (!execution || run.status === ACT_JOB_STATUSES.ABORTING) return run;
+
+        if (gracefully) {
+            this._setStatus(run, ACT_JOB_STATUSES.ABORTING);
+            this._setTimer(execution, () => this._finish(run, execution, ACT_JOB_STATUSES.ABORTED), 0);
+        } else {
+            this._finish(run, execution, ACT_JOB_STATUSES.ABORTED);
+        }
+        return run;
+    }
+
+    /**
+     * Replaces the running actor by another one, which uses the same default storages.
+     * @param {object} run
+     * @param {object} targetActor
+     * @param {object} options
+     * @param {Buffer} [options.input]
+     * @param {string} [options.contentType]
+     * @param {string} [options.build]
+     * @return {object}
+     */
+    metamorph(run, targetActor, options) {
+        if (run.status !== ACT_JOB_STATUSES.RUNNING) {
+            throw RouteError.invalidInput(`Only a running run can be metamorphed, but the run is ${run.status}`);
+        }
+        const metamorphs = run.metamorphs || [];
+        const inputKey = `${KEY_VALUE_STORE_KEYS.INPUT}-METAMORPH-${metamorphs.length + 1}`;
+        if (options.input && options.input.length) {
+            this.api.storages.setRecord(run.defaultKeyValueStoreId, inputKey, options.input, options.contentType);
+        }
+        run.metamorphs = [...metamorphs, { createdAt: new Date(), actorId: targetActor.id, buildId: null, inputKey }];
+        run.actId = targetActor.id;
+        this._log(run, `Metamorphed to actor ${targetActor.id}`);
+        this._execute(run, inputKey);
+        return run;
+    }
+
+    /**
+     * @param {object} run
+     * @param {object} options
+     * @param {string} [options.build]
+     * @param {number} [options.timeoutSecs]
+     * @param {number} [options.memoryMbytes]
+     * @return {object}
+     */
+    resurrect(run, options) {
+        if (!ACT_JOB_TERMINAL_STATUSES.includes(run.status)) {
+            throw RouteError.invalidInput(`Only a finished run can be resurrected, but the run is ${run.status}`);
+        }
+        Object.assign(run.options, removeUndefined(options));
+        Object.assign(run, { finishedAt: null, exitCode: null });
+        this._setStatus(run, ACT_JOB_STATUSES.READY);
+        this._dispatchWebhooks(run, WEBHOOK_EVENT_TYPES.ACTOR_RUN_RESURRECTED);
+        this._execute(run);
+        return run;
+    }
+
+    /**
+     * Resolves when the run finishes, but not later than after the given time.
+     * @param {object} run
+     * @param {number} waitMillis
+     * @return {Promise<void>}
+     */
+    waitForFinish(run, waitMillis) {
+        if (ACT_JOB_TERMINAL_STATUSES.includes(run.status) || waitMillis <= 0) return Promise.resolve();
+        return new Promise((resolve) => {
+            const waiter = { runId: run.id };
+            waiter.resolve = () => {
+                clearTimeout(waiter.timeout);
+                this.waiters.delete(waiter);
+                resolve();
+            };
+            waiter.timeout = setTimeout(waiter.resolve, Math.min(waitMillis, MAX_WAIT_FOR_FINISH_MILLIS));
+            this.waiters.add(waiter);
+        });
+    }
+
+    /**
+     * Stops all the runs where they are, without finishing them,
+     * and responds to the requests that wait for the runs to finish.
+     */
+    stopAll() {
+        this.executions.forEach(({ timers }) => timers.forEach((timer) => clearTimeout(timer)));
+        this.executions.clear();
+        this.waiters.forEach((waiter) => waiter.resolve());
+    }
+
+    /**
+     * Runs the handler of the current actor of the run. A newer execution of the same run,
+     * e.g. after a metamorph, makes the older one ignored.
+     * @param {object} run
+     * @param {string} [inputKey=INPUT]
+     * @private
+     */
+    _execute(run, inputKey = KEY_VALUE_STORE_KEYS.INPUT) {
+        const previousExecution = this.executions.get(run.id);
+        if (previousExecution) previousExecution.timers.forEach((timer) => clearTimeout(timer));
+        const execution = { timers: [] };
+        this.executions.set(run.id, execution);
+
+        const handler = this.api.actorHandlers.get(run.actId);
+        const { timeoutSecs } = run.options;
+        if (timeoutSecs > 0) {
+            this._setTimer(execution, () => this._finish(run, execution, ACT_JOB_STATUSES.TIMED_OUT), timeoutSecs * 1000);
+        }
+
+        this._setTimer(execution, () => {
+            this._setStatus(run, ACT_JOB_STATUSES.RUNNING);
+            this._log(run, `Actor ${run.actId} started`);
+            const minDuration = new Promise((resolve) => this._setTimer(execution, resolve, this.api.runDurationMillis));
+            const outcome = Promise.resolve()
+                .then(() => handler && handler(this._createContext(run, inputKey)))
+                .then((output) => ({ output }), (error) => ({ error }));
+
+            Promise.all([outcome, minDuration]).then(([{ output, error }]) => {
+                if (this.executions.get(run.id) !== execution) return;
+                if (error) {
+                    this._log(run, `Actor failed: ${error && error.stack}`);
+                    this._finish(run, execution, ACT_JOB_STATUSES.FAILED, 1);
+                    return;
+                }
+                if (output !== undefined) {
+                    const { value, contentType } = encodeRecordValue(output);
+                    this.api.storages.setRecord(run.defaultKeyValueStoreId, KEY_VALUE_STORE_KEYS.OUTPUT, value, contentType);
+                }
+                this._finish(run, execution, ACT_JOB_STATUSES.SUCCEEDED, 0);
+            });
+        }, 0);
+    }
+
+    /**
+     * @param {object} run
+     * @param {string} inputKey
+     * @return {ActorContext}
+     * @private
+     */
+    _createContext(run, inputKey) {
+        const { storages } = this.api;
+        const getValue = (key) => {
+            const record = storages.getRecord(run.defaultKeyValueStoreId, key);
+            return record ? decodeRecordValue(record) : null;
+        };
+        return {
+            run,
+            input: getValue(inputKey),
+            pushData: (items) => storages.pushItems(run.defaultDatasetId, items),
+            setValue: (key, value, options = {}) => {
+                const record = encodeRecordValue(value, options.contentType);
+                storages.setRecord(run.defaultKeyValueStoreId, key, record.value, record.contentType);
+            },
+            getValue,
+            log: (message) => this._log(run, message),
+        };
+    }
+
+    /**
+     * @param {object} run
+     * @param {object} execution
+     * @param {string} status
+     * @param {?number} [exitCode=null]
+     * @private
+     */
+    _finish(run, execution, status, exitCode = null) {
+        if (this.executions.get(run.id) !== execution) return;
+        execution.timers.forEach((timer) => clearTimeout(timer));
+        this.executions.delete(run.id);
+
+        Object.assign(run, { finishedAt: new Date(), exitCode });
+        this._setStatus(run, status);
+        this._log(run, `Run finished with status ${status}`);
+        this._dispatchWebhooks(run, EVENT_TYPES_BY_STATUS[status]);
+        this.waiters.forEach((waiter) => {
+            if (waiter.runId === run.id) waiter.resolve();
+        });
+    }
+
+    /**
+     * @param {object} run
+     * @param {string} status
+     * @private
+     */
+    _setStatus(run, status) {
+        Object.assign(run, { status, modifiedAt: new Date() });
+    }
+
+    /**
+     * @param {object} execution
+     * @param {function} callback
+     * @param {number} millis
+     * @private
+     */
+    _setTimer(execution, callback, millis) {
+        const timer = setTimeout(callback, millis);
+        // Runs that are not finished must not keep the test process alive.
+        timer.unref();
+        execution.timers.push(timer);
+    }
+
+    /**
+     * @param {object} run
+     * @param {string} message
+     * @private
+     */
+    _log(run, message) {
+        const log = this.api.logs.get(run.id) || '';
+        this.api.logs.set(run.id, `${log}${new Date().toISOString()} ${message}\n`);
+    }
+
+    /**
+     * The webhooks are not called. Their dispatches are only recorded, so that the tests
+     * can check which webhooks would be called.
+     * @param {object} run
+     * @param {string} eventType
+     * @private
+     */
+    _dispatchWebhooks(run, eventType) {
+        const isMatching = ({ eventTypes = [], condition = {} }) => {
+            if (!eventTypes.includes(eventType)) return false;
+            return condition.actorRunId === run.id
+                || condition.actorId === run.actId
+                || (!!condition.actorTaskId && condition.actorTaskId === run.actorTaskId);
+        };
+        this.api.webhooks.filter(isMatching).forEach((webhook) => {
+            this.api.webhookDispatches.create({
+                userId: this.api.user.id,
+                webhookId: webhook.id,
+                status: 'SUCCEEDED',
+                eventType,
+                eventData: { actorId: run.actId, actorRunId: run.id },
+                calls: [],
+            });
+        });
+    }
+}
+
+/**
+ * Serializes the value the same as `KeyValueStoreClient.setRecord()`.
+ * @param {*} value
+ * @param {string} [contentType]
+ * @return {{value: Buffer, contentType: string}}
+ * @private
+ */
+function encodeRecordValue(value, contentType) {
+    if (Buffer.isBuffer(value)) return { value, contentType: contentType || 'application/octet-stream' };
+    if (typeof value === 'string') return { value: Buffer.from(value), contentType: contentType || 'text/plain; charset=utf-8' };
+    return { value: Buffer.from(JSON.stringify(value, null, 2)), contentType: contentType || 'application/json; charset=utf-8' };
+}
+
+/**
+ * @param {{value: Buffer, contentType: string}} record
+ * @return {*}
+ * @private
+ */
+function decodeRecordValue({ value, contentType = '' }) {
+    if (/^application\/json/i.test(contentType)) return JSON.parse(value.toString('utf8'));
+    if (/^text\//i.test(contentType)) return value.toString('utf8');
+    return value;
+}
+
+/**
+ * @param {object} object
+ * @return {object}
+ * @private
+ */
+function removeUndefined(object) {
+    const result = {};
+    Object.entries(object).forEach(([key, value]) => {
+        if (value !== undefined) result[key] = value;
+    });
+    return result;
+}
+
+module.exports = RunSimulator;
@@ -0,0 +1,341 @@
+const { Collection, generateId } = require('./collection');
+const RouteError = require('./route_error');
+const { parseBoolean, parseNumber } = require('./router');
+
+const DEFAULT_ITEMS_LIMIT = 999999999999;
+const DEFAULT_KEYS_LIMIT = 1000;
+const DEFAULT_HEAD_LIMIT = 100;
+
+/**
+ * Datasets, key-value stores and request queues of the fake API with their contents.
+ * The resources in the collections only hold the metadata, such as the counts
+ * of the items, so they can be serialized as they are.
+ * @private
+ */
+class Storages {
+    /**
+     * @param {object} user
+     */
+    constructor(user) {
+        this.user = user;
+        this.datasets = new Collection('Dataset', user.username);
+        this.keyValueStores = new Collection('Key-value store', user.username);
+        this.requestQueues = new Collection('Request queue', user.username);
+        this.datasetItems = new Map();
+        this.records = new Map();
+        this.queueRequests = new Map();
+    }
+
+    /**
+     * @param {object} [fields]
+     *  E.g. the `name`, or the `actId` and `actRunId` of the default storages of runs.
+     * @return {{dataset: object, keyValueStore: object, requestQueue: object}}
+     */
+    createDefaultStorages(fields = {}) {
+        return {
+            dataset: this.createDataset(fields),
+            keyValueStore: this.createKeyValueStore(fields),
+            requestQueue: this.createRequestQueue(fields),
+        };
+    }
+
+    /**
+     * @param {object} [fields]
+     * @return {object}
+     */
+    createDataset(fields = {}) {
+        const dataset = this.datasets.create({
+            name: null,
+            userId: this.user.id,
+            accessedAt: new Date(),
+            itemCount: 0,
+            cleanItemCount: 0,
+            ...fields,
+        });
+        this.datasetItems.set(dataset.id, []);
+        return dataset;
+    }
+
+    /**
+     * @param {string} datasetId
+     * @param {object|object[]} items
+     */
+    pushItems(datasetId, items) {
+        const dataset = this.datasets.getOrThrow(datasetId);
+        const itemsArray = Array.isArray(items) ? items : [items];
+        if (itemsArray.some((item) => !item || typeof item !== 'object' || Array.isArray(item))) {
+            throw RouteError.invalidInput('Dataset items must be JSON objects');
+        }
+        const datasetItems = this.datasetItems.get(dataset.id);
+        datasetItems.push(...itemsArray);
+        const isClean = (item) => Object.keys(item).some((key) => !key.startsWith('#'));
+        Object.assign(dataset, {
+            itemCount: datasetItems.length,
+            cleanItemCount: datasetItems.filter(isClean).length,
+            modifiedAt: new Date(),
+        });
+    }
+
+    /**
+     * @param {string} datasetId
+     * @param {object<string, string>} query
+     *  Query parameters of the request, i.e. `offset`, `limit`, `desc`,
+     *  `fields`, `omit`, `skipEmpty`, `skipHidden` and `clean`.
+     * @return {{items: object[], total: number, offset: number, limit: number}}
+     */
+    getItems(datasetId, query) {
+        const dataset = this.datasets.getOrThrow(datasetId);
+        const offset = parseNumber(query.offset, 0);
+        const limit = parseNumber(query.limit, DEFAULT_ITEMS_LIMIT);
+        const fields = query.fields ? query.fields.split(',') : null;
+        const omit = query.omit ? query.omit.split(',') : [];
+        const isClean = parseBoolean(query.clean);
+        const skipEmpty = isClean || parseBoolean(query.skipEmpty);
+        const skipHidden = isClean || parseBoolean(query.skipHidden);
+
+        let items = this.datasetItems.get(dataset.id).slice();
+        if (parseBoolean(query.desc)) items.reverse();
+        items = items.slice(offset, offset + limit).map((item) => {
+            const fieldNames = (fields || Object.keys(item))
+                .filter((name) => name in item && !omit.includes(name) && !(skipHidden && name.startsWith('#')));
+            const picked = {};
+            fieldNames.forEach((name) => {
+                picked[name] = item[name];
+            });
+            return picked;
+        });
+        if (skipEmpty) items = items.filter((item) => Object.keys(item).length > 0);
+        dataset.accessedAt = new Date();
+        return { items, total: dataset.itemCount, offset, limit };
+    }
+
+    /**
+     * @param {object} [fields]
+     * @return {object}
+     */
+    createKeyValueStore(fields = {}) {
+        const store = this.keyValueStores.create({
+            name: null,
+            userId: this.user.id,
+            accessedAt: new Date(),
+            ...fields,
+        });
+        this.records.set(store.id, new Map());
+        return store;
+    }
+
+    /**
+     * @param {string} storeId
+     * @param {object<string, string>} query
+     *  Query parameters of the request, i.e. `limit` and `exclusiveStartKey`.
+     * @return {object}
+     */
+    listKeys(storeId, query) {
+        const store = this.keyValueStores.getOrThrow(storeId);
+        const limit = parseNumber(query.limit, DEFAULT_KEYS_LIMIT);
+        const { exclusiveStartKey = null } = query;
+        const records = this.records.get(store.id);
+        const keys = [...records.keys()]
+            .sort()
+            .filter((key) => exclusiveStartKey === null || key > exclusiveStartKey);
+        const items = keys.slice(0, limit).map((key) => ({ key, size: records.get(key).value.length }));
+        const isTruncated = keys.length > limit;
+        return {
+            items,
+            count: items.length,
+            limit,
+            exclusiveStartKey,
+            isTruncated,
+            nextExclusiveStartKey: isTruncated ? items[items.length - 1].key : null,
+        };
+    }
+
+    /**
+     * @param {string} storeId
+     * @param {string} key
+     * @return {{value: Buffer, contentType: string}|undefined}
+     */
+    getRecord(storeId, key) {
+        const store = this.keyValueStores.getOrThrow(storeId);
+        store.accessedAt = new Date();
+        return this.records.get(store.id).get(key);
+    }
+
+    /**
+     * @param {string} storeId
+     * @param {string} key
+     * @param {Buffer} value
+     * @param {string} [contentType]
+     */
+    setRecord(storeId, key, value, contentType = 'application/octet-stream') {
+        const store = this.keyValueStores.getOrThrow(storeId);
+        this.records.get(store.id).set(key, { value, contentType });
+        store.modifiedAt = new Date();
+    }
+
+    /**
+     * @param {string} storeId
+     * @param {string} key
+     */
+    deleteRecord(storeId, key) {
+        const store = this.keyValueStores.getOrThrow(storeId);
+        this.records.get(store.id).delete(key);
+        store.modifiedAt = new Date();
+    }
+
+    /**
+     * @param {object} [fields]
+     * @return {object}
+     */
+    createRequestQueue(fields = {}) {
+        const queue = this.requestQueues.create({
+            name: null,
+            userId: this.user.id,
+            accessedAt: new Date(),
+            totalRequestCount: 0,
+            handledRequestCount: 0,
+            pendingRequestCount: 0,
+            hadMultipleClients: false,
+            ...fields,
+        });
+        this.queueRequests.set(queue.id, { requests: new Map(), pendingIds: [] });
+        return queue;
+    }
+
+    /**
+     * Requests are deduplicated by the `uniqueKey`, which defaults to the URL.
+     * @param {string} queueId
+     * @param {object} request
+     * @param {boolean} [forefront=false]
+     * @return {{requestId: string, wasAlreadyPresent: boolean, wasAlreadyHandled: boolean}}
+     */
+    addRequest(queueId, request, forefront = false) {
+        const { queue, requests, pendingIds } = this._getQueue(queueId);
+        if (!request || typeof request.url !== 'string') throw RouteError.invalidInput('Request must have a URL');
+        const uniqueKey = request.uniqueKey || request.url;
+        const existingRequest = [...requests.values()].find((existing) => existing.uniqueKey === uniqueKey);
+        if (existingRequest) {
+            return { requestId: existingRequest.id, wasAlreadyPresent: true, wasAlreadyHandled: !!existingRequest.handledAt };
+        }
+
+        const newRequest = { method: 'GET', retryCount: 0, ...request, id: generateId(), uniqueKey };
+        requests.set(newRequest.id, newRequest);
+        if (!newRequest.handledAt) {
+            if (forefront) pendingIds.unshift(newRequest.id);
+            else pendingIds.push(newRequest.id);
+        }
+        this._updateQueueCounts(queue);
+        return { requestId: newRequest.id, wasAlreadyPresent: false, wasAlreadyHandled: !!newRequest.handledAt };
+    }
+
+    /**
+     * @param {string} queueId
+     * @param {string} requestId
+     * @return {object|undefined}
+     */
+    getRequest(queueId, requestId) {
+        return this._getQueue(queueId).requests.get(requestId);
+    }
+
+    /**
+     * Requests with the `handledAt` field are removed from the head of the queue.
+     * @param {string} queueId
+     * @param {object} request
+     * @param {boolean} [forefront=false]
+     * @return {{requestId: string, wasAlreadyPresent: boolean, wasAlreadyHandled: boolean}}
+     */
+    updateRequest(queueId, request, forefront = false) {
+        const { queue, requests, pendingIds } = this._getQueue(queueId);
+        const existingRequest = requests.get(request.id);
+        if (!existingRequest) throw RouteError.notFound('Request');
+
+        requests.set(request.id, { ...request, uniqueKey: request.uniqueKey || existingRequest.uniqueKey });
+        const pendingIndex = pendingIds.indexOf(request.id);
+        if (pendingIndex !== -1) pendingIds.splice(pendingIndex, 1);
+        if (!request.handledAt) {
+            if (forefront) pendingIds.unshift(request.id);
+            else if (pendingIndex === -1) pendingIds.push(request.id);
+            else pendingIds.splice(pendingIndex, 0, request.id);
+        }
+        this._updateQueueCounts(queue);
+        return { requestId: request.id, wasAlreadyPresent: true, wasAlreadyHandled: !!existingRequest.handledAt };
+    }
+
+    /**
+     * @param {string} queueId
+     * @param {string} requestId
+     */
+    deleteRequest(queueId, requestId) {
+        const { queue, requests, pendingIds } = this._getQueue(queueId);
+        requests.delete(requestId);
+        const pendingIndex = pendingIds.indexOf(requestId);
+        if (pendingIndex !== -1) pendingIds.splice(pendingIndex, 1);
+        this._updateQueueCounts(queue);
+    }
+
+    /**
+     * @param {string} queueId
+     * @param {object<string, string>} query
+     *  Query parameters of the request, i.e. `limit`.
+     * @return {object}
+     */
+    listHead(queueId, query) {
+        const { queue, requests, pendingIds } = this._getQueue(queueId);
+        const limit = parseNumber(query.limit, DEFAULT_HEAD_LIMIT);
+        queue.accessedAt = new Date();
+        return {
+            limit,
+            queueModifiedAt: queue.modifiedAt,
+            hadMultipleClients: queue.hadMultipleClients,
+            items: pendingIds.slice(0, limit).map((id) => {
+                const { uniqueKey, url, method, retryCount } = requests.get(id);
+                return { id, uniqueKey, url, method, retryCount };
+            }),
+        };
+    }
+
+    /**
+     * Deletes the storage together with its contents.
+     * @param {string} storageType
+     *  One of `datasets`, `keyValueStores` or `requestQueues`.
+     * @param {string} idOrName
+     */
+    delete(storageType, idOrName) {
+        const storage = this[storageType].getOrThrow(idOrName);
+        this[storageType].delete(storage.id);
+        this.datasetItems.delete(storage.id);
+        this.records.delete(storage.id);
+        this.queueRequests.delete(storage.id);
+    }
+
+    clear() {
+        [this.datasets, this.keyValueStores, this.requestQueues].forEach((collection) => collection.clear());
+        [this.datasetItems, this.records, this.queueRequests].forEach((contents) => contents.clear());
+    }
+
+    /**
+     * @param {string} queueId
+     * @return {{queue: object, requests: Map<string, object>, pendingIds: string[]}}
+     * @private
+     */
+    _getQueue(queueId) {
+        const queue = this.requestQueues.getOrThrow(queueId);
+        return { queue, ...this.queueRequests.get(queue.id) };
+    }
+
+    /**
+     * @param {object} queue
+     * @private
+     */
+    _updateQueueCounts(queue) {
+        const { requests, pendingIds } = this.queueRequests.get(queue.id);
+        Object.assign(queue, {
+            totalRequestCount: requests.size,
+            handledRequestCount: requests.size - pendingIds.length,
+            pendingRequestCount: pendingIds.length,
+            modifiedAt: new Date(),
+        });
+    }
+}
+
+module.exports = Storages;
@@ -0,0 +1,23 @@
+const NetworkError = require('./network_error');
+
+/**
+ * Thrown when the API did not respond within the timeout of the request,
+ * see the `timeoutSecs` option of `ApifyClient` and of the resource client methods.
+ *
+ * @property {number} timeoutMillis
+ *  The timeout that was exceeded.
+ * @hideconstructor
+ */
+class TimeoutError extends NetworkError {
+    /**
+     * @param {Error} cause
+     * @param {number} attempt
+     */
+    constructor(cause, attempt) {
+        super(cause, attempt);
+        this.name = 'TimeoutError';
+        this.timeoutMillis = cause.config.timeout;
+    }
+}
+
+module.exports = TimeoutError;
@@ -0,0 +1,129 @@
+const { version } = require('../package.json');
+const { optionalRequire } = require('./utils');
+
+const TRACER_NAME = 'apify-client';
+
+/**
+ * OpenTelemetry is an optional peer dependency. When it's not installed,
+ * all the functions in this module are no-ops.
+ * @type {?object}
+ * @private
+ */
+const api = optionalRequire('@opentelemetry/api');
+
+/**
+ * Starts a span that covers a whole `HttpClient.call()`, including all the retries.
+ * The span is named after the invoked resource client method, e.g. `ActorClient.get`.
+ * @param {object} request
+ * @param {string} request.method
+ * @param {string} request.url
+ * @param {string} [clientMethod]
+ * @return {{span: object, context: object}|undefined}
+ * @private
+ */
+function startCallSpan({ method, url }, clientMethod) {
+    if (!api) return;
+    const attributes = {
+        'http.method': method,
+        'http.url': url,
+    };
+    let name = `HTTP ${method}`;
+    if (clientMethod) {
+        const [resourceClient, resourceClientMethod] = clientMethod.split('.');
+        attributes['apify.resource_client'] = resourceClient;
+        attributes['apify.client_method'] = resourceClientMethod;
+        name = clientMethod;
+    }
+
+    // The context is captured now, because the retries
+    // may run outside of the context of the caller.
+    const parentContext = api.context.active();
+    const span = getTracer().startSpan(name, { attributes }, parentContext);
+    return { span, context: api.trace.setSpan(parentContext, span) };
+}
+
+/**
+ * Starts a child span of the call span for a single attempt to send the request
+ * and injects its trace context into the request headers,
+ * e.g. as the W3C `traceparent` header.
+ * @param {{span: object, context: object}} [callSpan]
+ * @param {object} request
+ * @param {string} request.method
+ * @param {string} request.url
+ * @param {number} attempt
+ * @param {object} headers
+ * @return {object|undefined}
+ * @private
+ */
+function startAttemptSpan(callSpan, { method, url }, attempt, headers) {
+    if (!callSpan) return;
+    const span = getTracer().startSpan(`HTTP ${method}`, {
+        kind: api.SpanKind.CLIENT,
+        attributes: {
+            'http.method': method,
+            'http.url': url,
+            'http.resend_count': attempt - 1,
+        },
+    }, callSpan.context);
+    api.propagation.inject(api.trace.setSpan(callSpan.context, span), headers);
+    return span;
+}
+
+/**
+ * @param {{span: object, context: object}} [callSpan]
+ * @param {object} result
+ * @private
+ */
+function endCallSpan(callSpan, result) {
+    if (callSpan) endSpan(callSpan.span, result);
+}
+
+/**
+ * @param {object} [span]
+ * @param {object} result
+ * @param {AxiosResponse} [result.response]
+ * @param {Error} [result.error]
+ * @param {object} [result.attributes]
+ * @private
+ */
+function endSpan(span, { response, error, attributes }) {
+    if (!span) return;
+    const statusCode = response ? response.status : error && error.statusCode;
+    if (statusCode) span.setAttribute('http.status_code', statusCode);
+    const responseSize = response && getResponseSize(response);
+    if (responseSize !== undefined) span.setAttribute('http.response_content_length', responseSize);
+    if (attributes) span.setAttributes(attributes);
+
+    if (error) {
+        span.recordException(error);
+        span.setStatus({ code: api.SpanStatusCode.ERROR, message: error.message });
+    } else if (statusCode >= 400) {
+        span.setStatus({ code: api.SpanStatusCode.ERROR });
+    }
+    span.end();
+}
+
+/**
+ * @return {object}
+ * @private
+ */
+function getTracer() {
+    return api.trace.getTracer(TRACER_NAME, version);
+}
+
+/**
+ * @param {AxiosResponse} response
+ * @return {number|undefined}
+ * @private
+ */
+function getResponseSize(response) {
+    const contentLength = Number(response.headers && response.headers['content-length']);
+    if (contentLength >= 0) return contentLength;
+}
+
+module.exports = {
+    startCallSpan,
+    startAttemptSpan,
+    endCallSpan,
+    endSpan,
+};
@@ -0,0 +1,26 @@
+/**
+ * Thrown when the client replays API traffic from a HAR file, see the `har` option
+ * of `ApifyClient`, and the file has no unused response for the request.
+ *
+ * @property {string} method
+ * @property {string} url
+ *  URL of the request with the token redacted.
+ * @hideconstructor
+ */
+class UnmatchedRequestError extends Error {
+    /**
+     * @param {string} method
+     * @param {string} url
+     * @param {string} path
+     */
+    constructor(method, url, path) {
+        super(`No recorded response in ${path} matches the request ${method} ${url}. `
+            + 'Record the HAR file again if the requests have changed.');
+        this.name = 'UnmatchedRequestError';
+        this.code = 'unmatched-request';
+        this.method = method;
+        this.url = url;
+    }
+}
+
+module.exports = UnmatchedRequestError;
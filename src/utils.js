@@ -1,6 +1,9 @@
+/* global globalThis */
+const crypto = require('crypto');
 const ow = require('ow').default;
 const util = require('util');
 const zlib = require('zlib');
+const AbortError = require('./abort_error');
 
 const PARSE_DATE_FIELDS_MAX_DEPTH = 3; // obj.data.someArrayField.[x].field
 const PARSE_DATE_FIELDS_KEY_SUFFIX = 'At';
@@ -8,6 +11,7 @@ const NOT_FOUND_STATUS_CODE = 404;
 const NOT_FOUND_TYPE = 'record-not-found';
 const NOT_FOUND_ON_S3 = '<Code>NoSuchKey</Code>';
 const MIN_GZIP_BYTES = 1024;
+const TOKEN_HASH_LENGTH = 16;
 
 /**
  * Returns object's 'data' property or throws if parameter is not an object,
@@ -87,6 +91,62 @@ async function maybeGzipValue(value) {
     }
 }
 
+/**
+ * Settles the same way as the provided promise, unless the signal
+ * is aborted first. Then it immediately rejects with an AbortError.
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @return {Promise}
+ */
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new AbortError(signal));
+        if (signal.aborted) {
+            onAbort();
+            // Prevent unhandled rejections of the original promise.
+            promise.catch(() => {});
+            return;
+        }
+        signal.addEventListener('abort', onAbort);
+        promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * @param {number} millis
+ * @param {AbortSignal} [signal]
+ *  Rejects with an AbortError and clears the timer once aborted.
+ * @return {Promise<void>}
+ */
+function sleep(millis, signal) {
+    let timeout;
+    const promise = new Promise((resolve) => {
+        timeout = setTimeout(resolve, millis);
+    });
+    return abortable(promise, signal).catch((err) => {
+        clearTimeout(timeout);
+        throw err;
+    });
+}
+
+/**
+ * Loads an optional dependency, e.g. a peer dependency that users might not have installed.
+ * `module.require` is used, so that bundlers don't try to include the dependency.
+ * @param {string} name
+ * @return {?*}
+ *  The module, or null when it can't be loaded.
+ */
+function optionalRequire(name) {
+    try {
+        return module.require(name);
+    } catch (err) {
+        return null;
+    }
+}
+
 /**
  * @return {boolean}
  */
@@ -94,6 +154,37 @@ function isNode() {
     return !!(typeof process !== 'undefined' && process.versions && process.versions.node);
 }
 
+/**
+ * Keys of the tokens in runtimes without SubtleCrypto, e.g. in insecure browser contexts.
+ * They are random, so that they don't reveal the tokens, but they differ between processes.
+ * @type {Map<string, string>}
+ */
+const randomTokenKeys = new Map();
+
+/**
+ * Identifies the token in keys of shared responses, e.g. in custom cache stores,
+ * without revealing it. A prefix of its SHA-256 hash is enough to tell the tokens apart.
+ * Outside of Node.js, the hash is computed by SubtleCrypto, which workers and edge runtimes
+ * have too. When it's not available, the token gets a random key instead.
+ * @param {string} token
+ * @return {Promise<string>}
+ */
+async function hashToken(token) {
+    if (isNode()) return crypto.createHash('sha256').update(token).digest('hex').slice(0, TOKEN_HASH_LENGTH);
+
+    const webCrypto = typeof globalThis !== 'undefined' ? globalThis.crypto : undefined;
+    if (!webCrypto || !webCrypto.subtle) {
+        if (!randomTokenKeys.has(token)) {
+            const randomDigits = Array.from({ length: TOKEN_HASH_LENGTH }, () => Math.floor(Math.random() * 16).toString(16));
+            randomTokenKeys.set(token, randomDigits.join(''));
+        }
+        return randomTokenKeys.get(token);
+    }
+    const digest = await webCrypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    const hex = Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    return hex.slice(0, TOKEN_HASH_LENGTH);
+}
+
 /**
  * @param {*} value
  * @return {boolean}
@@ -102,6 +193,20 @@ function isBuffer(value) {
     return ow.isValid(value, ow.any(ow.buffer, ow.arrayBuffer, ow.typedArray));
 }
 
+/**
+ * Returns the size of a request or response body in bytes.
+ * Streams and other values of unknown size count as zero.
+ * @param {*} value
+ * @return {number}
+ */
+function getByteLength(value) {
+    if (typeof value === 'string') {
+        return isNode() ? Buffer.byteLength(value) : new TextEncoder().encode(value).length;
+    }
+    if (isBuffer(value)) return value.byteLength;
+    return 0;
+}
+
 /**
  * @param {*} value
  * @return {boolean}
@@ -111,12 +216,17 @@ function isStream(value) {
 }
 
 module.exports = {
+    abortable,
+    sleep,
     isNode,
     isBuffer,
     isStream,
+    getByteLength,
+    hashToken,
     maybeGzipValue,
     stringifyWebhooksToBase64,
     parseDateFields,
     catchNotFoundOrThrow,
+    optionalRequire,
     pluckData,
 };
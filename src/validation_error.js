@@ -0,0 +1,19 @@
+const ApifyApiError = require('./apify_api_error');
+
+/**
+ * Thrown when the API rejects the request as invalid (HTTP 400),
+ * e.g. because of a wrong input of an actor or an invalid field of a resource.
+ * @hideconstructor
+ */
+class ValidationError extends ApifyApiError {
+    /**
+     * @param {AxiosResponse} response
+     * @param {number} attempt
+     * @param {string} [clientMethod]
+     */
+    constructor(response, attempt, clientMethod) {
+        super(response, attempt, clientMethod, 'ValidationError');
+    }
+}
+
+module.exports = ValidationError;
@@ -1,3 +1,4 @@
+const vm = require('vm');
 const Apify = require('apify');
 const mockServer = require('./mock_server/server');
 
@@ -33,12 +34,9 @@ const DEFAULT_QUERY = {
     token: 'default-token',
 };
 
+// The token is sent in the Authorization header, not in the query.
 const getExpectedQuery = (callQuery = {}) => {
-    const query = optsToQuery(callQuery);
-    return {
-        ...DEFAULT_QUERY,
-        ...query,
-    };
+    return optsToQuery(callQuery);
 };
 
 function optsToQuery(params) {
@@ -63,6 +61,7 @@ const validateRequest = (query = {}, params = {}, body = {}, headers = {}) => {
     if (query !== false) expect(request.query).toEqual(expectedQuery);
     if (params !== false) expect(request.params).toEqual(params);
     if (body !== false) expect(request.body).toEqual(body);
+    expect(request.headers.authorization).toBe(`Bearer ${DEFAULT_QUERY.token}`);
     Object.entries(headers).forEach(([key, value]) => {
         // Browsers tend to send headers "a bit differently".
         expect(request.headers).toHaveProperty(key);
@@ -72,7 +71,46 @@ const validateRequest = (query = {}, params = {}, body = {}, headers = {}) => {
     });
 };
 
+/**
+ * Copies the newer Node.js globals that the jest sandbox does not expose.
+ * Older Node.js versions don't have them at all, so only the existing ones are copied.
+ * @param {string[]} names
+ * @return {object} The copied globals.
+ */
+const exposeNodeGlobals = (names) => {
+    const globals = {};
+    names.forEach((name) => {
+        const value = vm.runInThisContext(`typeof ${name} === 'undefined' ? undefined : ${name}`);
+        if (value !== undefined) globals[name] = value;
+    });
+    Object.assign(global, globals);
+    return globals;
+};
+
+/**
+ * Creates an AbortController, or its minimal replacement
+ * on the Node.js versions without the global one.
+ * @return {AbortController}
+ */
+const createAbortController = () => {
+    if (global.AbortController) return new global.AbortController();
+    const listeners = new Set();
+    const signal = {
+        aborted: false,
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+    };
+    const abort = () => {
+        if (signal.aborted) return;
+        signal.aborted = true;
+        listeners.forEach((listener) => listener({ type: 'abort' }));
+    };
+    return { signal, abort };
+};
+
 module.exports = {
+    createAbortController,
+    exposeNodeGlobals,
     validateRequest,
     DEFAULT_QUERY,
     Browser,
@@ -175,6 +175,84 @@ describe('Actor methods', () => {
             validateRequest(...expectedRequestProps);
         });
 
+        test('start() sends an idempotency key', async () => {
+            const actorId = 'some-id';
+            const idempotencyKey = 'some-key';
+
+            await client.actor(actorId).start(undefined, { idempotencyKey });
+            const { headers } = mockServer.getLastRequest();
+            expect(headers['idempotency-key']).toBe(idempotencyKey);
+            expect(headers['user-agent']).toMatch(/ idempotencyKey\/some-key$/);
+
+            await client.actor(actorId).start();
+            expect(mockServer.getLastRequest().headers['idempotency-key']).toMatch(/^[a-z0-9]+-[a-z0-9]+$/);
+        });
+
+        test('start() does not start a duplicate run when retrying', async () => {
+            const actorId = 'some-id';
+            const idempotencyKey = 'some-key';
+            let startRequests = 0;
+            const interceptedClient = new ApifyClient({
+                baseUrl,
+                maxRetries: 1,
+                minDelayBetweenRetriesMillis: 1,
+                ...DEFAULT_QUERY,
+                responseInterceptors: [(response) => {
+                    const { method, url } = response.config;
+                    if (method === 'post') {
+                        startRequests++;
+                        // The run was started, but the response got lost.
+                        const err = new Error('socket hang up');
+                        err.config = response.config;
+                        err.request = response.request;
+                        throw err;
+                    }
+                    if (url.endsWith(`/acts/${actorId}/runs`)) {
+                        response.data = { data: { items: [{ id: 'started-run', startedAt: new Date().toISOString() }] } };
+                    } else if (url.endsWith('/actor-runs/started-run')) {
+                        const meta = { userAgent: `ApifyClient/1.0.0 idempotencyKey/${idempotencyKey}` };
+                        response.data = { data: { id: 'started-run', meta } };
+                    }
+                    return response;
+                }],
+            });
+
+            const run = await interceptedClient.actor(actorId).start(undefined, { idempotencyKey });
+            expect(run.id).toBe('started-run');
+            expect(startRequests).toBe(1);
+        });
+
+        test('start() is sent again when the duplicate run cannot be found', async () => {
+            const actorId = 'some-id';
+            let startRequests = 0;
+            let listRequests = 0;
+            const interceptedClient = new ApifyClient({
+                baseUrl,
+                maxRetries: 2,
+                minDelayBetweenRetriesMillis: 1,
+                ...DEFAULT_QUERY,
+                responseInterceptors: [(response) => {
+                    const { method, url } = response.config;
+                    const isList = method === 'get' && url.endsWith(`/acts/${actorId}/runs`);
+                    if (method === 'post') startRequests++;
+                    if (isList) listRequests++;
+                    // The first start request and the check for its run fail.
+                    if ((method === 'post' && startRequests === 1) || isList) {
+                        const err = new Error('socket hang up');
+                        err.config = response.config;
+                        err.request = response.request;
+                        throw err;
+                    }
+                    return response;
+                }],
+            });
+
+            await interceptedClient.actor(actorId).start(undefined, { idempotencyKey: 'some-key' });
+            expect(startRequests).toBe(2);
+            // The failed check for the duplicate run is not retried.
+            expect(listRequests).toBe(1);
+        });
+
         test('start() with webhook works', async () => {
             const actorId = 'some-id';
             const webhooks = [
@@ -0,0 +1,102 @@
+const KeepAliveAgent = require('agentkeepalive');
+const { HttpProxyAgent, HttpsProxyAgent } = require('hpagent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { createAgents } = require('../src/agents');
+
+describe('createAgents()', () => {
+    const PROXY_ENV_VARS = ['http_proxy', 'HTTP_PROXY', 'https_proxy', 'HTTPS_PROXY', 'no_proxy', 'NO_PROXY'];
+    const originalEnv = {};
+    beforeEach(() => {
+        PROXY_ENV_VARS.forEach((name) => {
+            originalEnv[name] = process.env[name];
+            delete process.env[name];
+        });
+    });
+    afterEach(() => {
+        PROXY_ENV_VARS.forEach((name) => {
+            if (originalEnv[name] === undefined) delete process.env[name];
+            else process.env[name] = originalEnv[name];
+        });
+    });
+
+    const BASE_URL = 'https://api.apify.com/v2';
+
+    test('creates keep-alive agents with agentOptions', () => {
+        const { httpAgent, httpsAgent } = createAgents({
+            baseUrl: BASE_URL,
+            timeoutMillis: 1000,
+            agentOptions: { maxSockets: 5, freeSocketTimeout: 2000 },
+        });
+        expect(httpAgent).toBeInstanceOf(KeepAliveAgent);
+        expect(httpsAgent).toBeInstanceOf(KeepAliveAgent.HttpsAgent);
+        expect(httpsAgent.options).toMatchObject({ timeout: 1000, freeSocketTimeout: 2000 });
+        expect(httpsAgent.maxSockets).toBe(5);
+    });
+
+    test('creates HTTP proxy agents', () => {
+        const { httpAgent, httpsAgent } = createAgents({ baseUrl: BASE_URL, proxyUrl: 'http://proxy.example.com:8000' });
+        expect(httpAgent).toBeInstanceOf(HttpProxyAgent);
+        expect(httpsAgent).toBeInstanceOf(HttpsProxyAgent);
+        expect(httpsAgent.proxy.host).toBe('proxy.example.com:8000');
+    });
+
+    test('creates SOCKS proxy agents', () => {
+        const { httpAgent, httpsAgent } = createAgents({ baseUrl: BASE_URL, proxyUrl: 'socks5://proxy.example.com:1080' });
+        expect(httpAgent).toBeInstanceOf(SocksProxyAgent);
+        expect(httpsAgent).toBe(httpAgent);
+    });
+
+    test('passes agentOptions to the proxy agents', () => {
+        const agentOptions = { maxSockets: 5, keepAliveMsecs: 2000 };
+        const { httpsAgent } = createAgents({ baseUrl: BASE_URL, proxyUrl: 'http://proxy.example.com:8000', agentOptions });
+        expect(httpsAgent.maxSockets).toBe(5);
+        expect(httpsAgent.keepAliveMsecs).toBe(2000);
+
+        const socksAgent = createAgents({
+            baseUrl: BASE_URL,
+            timeoutMillis: 1000,
+            proxyUrl: 'socks5://proxy.example.com:1080',
+            agentOptions: { timeout: 2000 },
+        }).httpsAgent;
+        expect(socksAgent.timeout).toBe(2000);
+    });
+
+    test('throws on agentOptions the proxy agents do not support', () => {
+        const agentOptions = { maxSockets: 5, freeSocketTimeout: 2000 };
+        expect(() => createAgents({ baseUrl: BASE_URL, proxyUrl: 'http://proxy.example.com:8000', agentOptions }))
+            .toThrow('Agent options freeSocketTimeout are not supported with HTTP proxies.');
+        expect(() => createAgents({ baseUrl: BASE_URL, proxyUrl: 'socks5://proxy.example.com:1080', agentOptions }))
+            .toThrow('Agent options maxSockets, freeSocketTimeout are not supported with SOCKS proxies.');
+    });
+
+    test('throws on unsupported proxy protocols', () => {
+        expect(() => createAgents({ baseUrl: BASE_URL, proxyUrl: 'ftp://proxy.example.com' }))
+            .toThrow('Proxy URL protocol "ftp:" is not supported');
+    });
+
+    test('uses the proxy from the environment based on the API protocol', () => {
+        process.env.HTTPS_PROXY = 'http://https-proxy.example.com';
+        process.env.HTTP_PROXY = 'http://http-proxy.example.com';
+        expect(createAgents({ baseUrl: BASE_URL }).httpsAgent.proxy.hostname).toBe('https-proxy.example.com');
+        expect(createAgents({ baseUrl: 'http://localhost:3000/v2' }).httpsAgent.proxy.hostname).toBe('http-proxy.example.com');
+        expect(createAgents({ baseUrl: BASE_URL, proxyUrl: 'http://option.example.com' }).httpsAgent.proxy.hostname)
+            .toBe('option.example.com');
+    });
+
+    test.each([
+        ['apify.com', true],
+        ['.apify.com', true],
+        ['*.apify.com', true],
+        ['api.apify.com:443', true],
+        ['api.apify.com:8443', false],
+        ['example.com, api.apify.com', true],
+        ['*', true],
+        ['example.com', false],
+        ['pify.com', false],
+    ])('NO_PROXY=%s excludes the API: %s', (noProxy, isExcluded) => {
+        process.env.HTTPS_PROXY = 'http://proxy.example.com';
+        process.env.NO_PROXY = noProxy;
+        const { httpsAgent } = createAgents({ baseUrl: BASE_URL });
+        expect(httpsAgent instanceof KeepAliveAgent.HttpsAgent).toBe(isExcluded);
+    });
+});
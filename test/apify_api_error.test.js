@@ -20,12 +20,11 @@ describe('ApifyApiError', () => {
             await actorCollectionClient[method]();
             throw new Error('wrong error');
         } catch (err) {
+            expect(err).toBeInstanceOf(ApifyClient.AuthenticationError);
+            expect(err).toBeInstanceOf(ApifyClient.ApifyApiError);
             expect(err.name).toEqual('ApifyApiError');
-            // This does not work in v10 and lower, but we want to be able to run tests for v10,
-            // because some people might still use it. They will just see clientMethod: undefined.
-            if (!process.version.startsWith('v10')) {
-                expect(err.clientMethod).toBe(`${actorCollectionClient.constructor.name}.${method}`);
-            }
+            expect(err.className).toEqual('AuthenticationError');
+            expect(err.clientMethod).toBe(`ActorCollectionClient.${method}`);
             expect(err.type).toEqual('token-not-provided');
             expect(err.message).toEqual('Authentication token was not provided');
             expect(err.statusCode).toEqual(401);
@@ -54,6 +53,7 @@ describe('ApifyApiError', () => {
             }
         }, method);
         expect(error.name).toEqual('ApifyApiError');
+        expect(error.className).toEqual('AuthenticationError');
         expect(error.clientMethod).toBe(`ActorCollectionClient.${method}`);
         expect(error.type).toEqual('token-not-provided');
         expect(error.message).toEqual('Authentication token was not provided');
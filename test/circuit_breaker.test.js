@@ -0,0 +1,104 @@
+const { CircuitBreaker } = require('../src/circuit_breaker');
+const Statistics = require('../src/statistics');
+
+describe('CircuitBreaker', () => {
+    const originalDateNow = Date.now;
+    let now;
+    let stats;
+    let breaker;
+    beforeEach(() => {
+        now = 0;
+        Date.now = () => now;
+        stats = new Statistics();
+        breaker = new CircuitBreaker({
+            failureRatio: 0.5,
+            minimumRequests: 4,
+            windowMillis: 1000,
+            openDurationMillis: 500,
+        }, stats);
+    });
+    afterEach(() => {
+        Date.now = originalDateNow;
+    });
+
+    const recordResults = (results) => results.forEach((isFailure) => {
+        const permit = breaker.requestPermit();
+        expect(permit).not.toBeNull();
+        breaker.recordResult(permit, isFailure);
+    });
+
+    test('stays closed until minimumRequests is reached', () => {
+        recordResults([true, true, true]);
+        expect(stats.circuitBreaker.state).toBe('closed');
+        recordResults([true]);
+        expect(stats.circuitBreaker.state).toBe('open');
+        expect(stats.circuitBreaker.timesOpened).toBe(1);
+    });
+
+    test('stays closed under the failure ratio', () => {
+        recordResults([false, false, true, false, true, false]);
+        expect(stats.circuitBreaker.state).toBe('closed');
+    });
+
+    test('forgets results outside of the window', () => {
+        recordResults([true, true, true]);
+        now = 1500;
+        recordResults([true, false, false]);
+        expect(stats.circuitBreaker.state).toBe('closed');
+    });
+
+    test('rejects requests while open and lets one probe through when half-open', () => {
+        recordResults([true, true, true, true]);
+        expect(breaker.requestPermit()).toBeNull();
+        expect(breaker.getRemainingOpenMillis()).toBe(500);
+
+        now = 500;
+        expect(breaker.requestPermit()).toMatchObject({ isProbe: true });
+        expect(stats.circuitBreaker.state).toBe('half-open');
+        expect(breaker.requestPermit()).toBeNull();
+        expect(stats.circuitBreaker.rejectedRequests).toBe(2);
+    });
+
+    test('closes after a successful probe', () => {
+        recordResults([true, true, true, true]);
+        now = 500;
+        recordResults([false]);
+        expect(stats.circuitBreaker.state).toBe('closed');
+        recordResults([true, true, true]);
+        expect(stats.circuitBreaker.state).toBe('closed');
+    });
+
+    test('opens again after a failed probe', () => {
+        recordResults([true, true, true, true]);
+        now = 500;
+        recordResults([true]);
+        expect(stats.circuitBreaker.state).toBe('open');
+        expect(stats.circuitBreaker.timesOpened).toBe(2);
+        expect(breaker.getRemainingOpenMillis()).toBe(500);
+    });
+
+    test('cancelled probe lets another probe through', () => {
+        recordResults([true, true, true, true]);
+        now = 500;
+        breaker.recordCancellation(breaker.requestPermit());
+        expect(breaker.requestPermit()).toMatchObject({ isProbe: true });
+    });
+
+    test('results of requests sent before the circuit opened are ignored', () => {
+        const longRequests = [breaker.requestPermit(), breaker.requestPermit(), breaker.requestPermit()];
+        recordResults([true, true, true, true]);
+        now = 500;
+        const probe = breaker.requestPermit();
+
+        breaker.recordResult(longRequests[0], false);
+        breaker.recordCancellation(longRequests[1]);
+        expect(stats.circuitBreaker.state).toBe('half-open');
+        expect(breaker.requestPermit()).toBeNull();
+
+        breaker.recordResult(probe, false);
+        expect(stats.circuitBreaker.state).toBe('closed');
+        recordResults([true, true, true]);
+        breaker.recordResult(longRequests[2], true);
+        expect(stats.circuitBreaker.state).toBe('closed');
+    });
+});
@@ -0,0 +1,64 @@
+const ConcurrencyLimiter = require('../src/concurrency_limiter');
+const Statistics = require('../src/statistics');
+const { createAbortController } = require('./_helper');
+
+describe('ConcurrencyLimiter', () => {
+    let stats;
+    let limiter;
+    beforeEach(() => {
+        stats = new Statistics();
+        limiter = new ConcurrencyLimiter(2, stats);
+    });
+
+    const acquireAll = (calls, order) => calls.map(({ name, priority }) => {
+        return limiter.acquire({ priority }).then(() => order.push(name));
+    });
+
+    test('queues requests over the limit and hands over the released slots', async () => {
+        const order = [];
+        const promises = acquireAll([{ name: 'a' }, { name: 'b' }, { name: 'c' }], order);
+        await Promise.all(promises.slice(0, 2));
+        expect(order).toEqual(['a', 'b']);
+        expect(stats.concurrency).toMatchObject({ activeRequests: 2, queueLength: 1, queuedRequests: 1 });
+
+        limiter.release();
+        await promises[2];
+        expect(order).toEqual(['a', 'b', 'c']);
+        expect(stats.concurrency).toMatchObject({ activeRequests: 2, queueLength: 0, maxQueueLength: 1 });
+        expect(stats.concurrency.queueWait.count).toBe(1);
+
+        limiter.release();
+        limiter.release();
+        expect(stats.concurrency.activeRequests).toBe(0);
+    });
+
+    test('sends requests with a higher priority first', async () => {
+        await Promise.all(acquireAll([{ name: 'first' }, { name: 'second' }], []));
+        const order = [];
+        const promises = acquireAll([
+            { name: 'bulk-1', priority: -1 },
+            { name: 'normal-1' },
+            { name: 'bulk-2', priority: -1 },
+            { name: 'interactive', priority: 10 },
+            { name: 'normal-2' },
+        ], order);
+
+        for (let i = 0; i < promises.length; i++) limiter.release();
+        await Promise.all(promises);
+        expect(order).toEqual(['interactive', 'normal-1', 'normal-2', 'bulk-1', 'bulk-2']);
+    });
+
+    test('aborted requests leave the queue', async () => {
+        await Promise.all(acquireAll([{ name: 'first' }, { name: 'second' }], []));
+        const controller = createAbortController();
+        const aborted = limiter.acquire({ signal: controller.signal });
+        const waiting = limiter.acquire();
+        controller.abort();
+        await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+        expect(stats.concurrency.queueLength).toBe(1);
+
+        limiter.release();
+        await waiting;
+        expect(stats.concurrency).toMatchObject({ activeRequests: 2, queueLength: 0 });
+    });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApifyClient = require('../src/index');
+const mockServer = require('./mock_server/server');
+const { DEFAULT_QUERY } = require('./_helper');
+
+describe('HAR recording and replay', () => {
+    let baseUrl;
+    let harPath;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+        harPath = path.join(os.tmpdir(), `apify-client-${process.pid}-${Date.now()}.har`);
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+        if (fs.existsSync(harPath)) fs.unlinkSync(harPath);
+    });
+
+    afterEach(async () => {
+        mockServer.setResponse(null);
+    });
+
+    const createClient = (mode, options) => new ApifyClient({
+        baseUrl,
+        maxRetries: 0,
+        har: { mode, path: harPath },
+        ...DEFAULT_QUERY,
+        ...options,
+    });
+
+    const readStream = async (stream) => {
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+        return Buffer.concat(chunks);
+    };
+
+    // All bytes, so that the buffer is not valid UTF-8.
+    const binaryBody = Buffer.from([...Array(256).keys()]);
+
+    const makeCalls = async (client) => {
+        const actor = await client.actor('some-id').get();
+        const run = await client.actor('some-id').start({ foo: 'bar' }, { idempotencyKey: 'some-key' });
+        const log = await readStream(await client.log('some-id').stream());
+        mockServer.setResponse({ body: binaryBody, headers: { 'content-type': 'application/octet-stream' } });
+        const items = await client.dataset('some-id').downloadItems('xlsx');
+        return { actor, run, log, items };
+    };
+
+    test('records the traffic and replays it without sending requests', async () => {
+        const recordingClient = createClient('record');
+        const recorded = await makeCalls(recordingClient);
+        expect(recorded.log.toString()).toBe('get-log');
+        expect(recorded.items.equals(binaryBody)).toBe(true);
+
+        const har = JSON.parse(fs.readFileSync(harPath, 'utf8'));
+        expect(har.log.entries.map(({ request }) => request.method)).toEqual(['GET', 'POST', 'GET', 'GET']);
+        expect(har.log.entries[1].request.postData.text).toBe(JSON.stringify({ foo: 'bar' }));
+        expect(JSON.stringify(har)).not.toContain(DEFAULT_QUERY.token);
+
+        mockServer.setResponse(null);
+        mockServer.requests = [];
+        const replayed = await makeCalls(createClient('replay'));
+        expect(mockServer.requests).toHaveLength(0);
+        expect(replayed).toEqual(recorded);
+        expect(Buffer.isBuffer(replayed.items)).toBe(true);
+    });
+
+    test('fails on requests without a recorded response', async () => {
+        const recordingClient = createClient('record');
+        await recordingClient.actor('some-id').get();
+
+        const client = createClient('replay');
+        await client.actor('some-id').get();
+        await expect(client.actor('some-id').get()).rejects.toMatchObject({
+            name: 'UnmatchedRequestError',
+            method: 'GET',
+            url: `${baseUrl}/v2/acts/some-id`,
+        });
+        await expect(client.actor('other-id').get()).rejects.toThrow(/No recorded response .* matches the request GET/);
+    });
+
+    test('replays the recorded responses in order', async () => {
+        const recordingClient = createClient('record');
+        mockServer.setResponse({ body: { data: { id: 'run', status: 'RUNNING' } } });
+        await recordingClient.run('some-id').get();
+        mockServer.setResponse({ body: { data: { id: 'run', status: 'SUCCEEDED' } } });
+        await recordingClient.run('some-id').get();
+
+        const client = createClient('replay');
+        await expect(client.run('some-id').get()).resolves.toMatchObject({ status: 'RUNNING' });
+        await expect(client.run('some-id').get()).resolves.toMatchObject({ status: 'SUCCEEDED' });
+    });
+
+    test('har option is validated', () => {
+        expect(() => new ApifyClient({ har: { mode: 'unknown', path: harPath } })).toThrow();
+        expect(() => new ApifyClient({ har: { mode: 'record' } })).toThrow();
+    });
+});
@@ -1,6 +1,20 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const util = require('util');
 const ApifyClient = require('../src/index');
 const mockServer = require('./mock_server/server');
-const { Browser } = require('./_helper');
+const {
+    Browser,
+    createAbortController,
+    exposeNodeGlobals,
+    validateRequest,
+    DEFAULT_QUERY,
+} = require('./_helper');
+
+const { fetch } = exposeNodeGlobals(['fetch', 'AbortController']);
+const describeWithFetch = fetch ? describe : describe.skip;
+const TRANSPORTS = fetch ? ['axios', 'fetch'] : ['axios'];
 
 describe('HttpClient', () => {
     let baseUrl;
@@ -52,3 +66,1068 @@ describe('HttpClient', () => {
         }
     });
 });
+
+describeWithFetch('HttpClient with fetch transport', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    let client;
+    beforeEach(async () => {
+        client = new ApifyClient({
+            baseUrl,
+            timeoutSecs: 1,
+            maxRetries: 0,
+            transport: 'fetch',
+            ...DEFAULT_QUERY,
+        });
+    });
+    afterEach(async () => {
+        client = null;
+    });
+
+    test('parses JSON responses and sends query params', async () => {
+        const runId = 'some-run-id';
+        const res = await client.run(runId).get({ waitForFinish: 10 });
+        expect(res.id).toEqual('get-run');
+        validateRequest({ waitForFinish: 10 }, { runId });
+        expect(client.stats.calls).toBe(1);
+        expect(client.stats.requests).toBe(1);
+    });
+
+    test('returns undefined on 404', async () => {
+        const res = await client.actor('404').get();
+        expect(res).toBeUndefined();
+    });
+
+    test('sends and receives buffers', async () => {
+        const storeId = 'some-id';
+        const key = 'some-key';
+        const value = Buffer.from('special chars 🤖✅');
+        await client.keyValueStore(storeId).setRecord({ key, value });
+        validateRequest({}, { storeId, key }, value, { 'content-type': 'application/octet-stream' });
+
+        const body = JSON.stringify({ a: 'foo' });
+        mockServer.setResponse({ body, headers: { 'content-type': 'application/json; charset=utf-8' } });
+        const res = await client.dataset('some-id').downloadItems('json');
+        mockServer.setResponse(null);
+        expect(res).toBeInstanceOf(Buffer);
+        expect(res.toString()).toBe(body);
+    });
+
+    test('returns a Readable stream', async () => {
+        const res = await client.log('some-id').stream();
+        const chunks = [];
+        for await (const chunk of res) {
+            chunks.push(chunk);
+        }
+        expect(Buffer.concat(chunks).toString()).toBe('get-log');
+    });
+
+    test('runs user provided request interceptors', async () => {
+        client = new ApifyClient({
+            baseUrl,
+            maxRetries: 0,
+            transport: 'fetch',
+            requestInterceptors: [(config) => {
+                config.headers['x-custom'] = 'value';
+                return config;
+            }],
+            ...DEFAULT_QUERY,
+        });
+        await client.user('some-id').get();
+        validateRequest(false, false, false, { 'x-custom': 'value' });
+    });
+
+    test('requests timeout after timeoutSecs', async () => {
+        const context = { delayMillis: 3000 };
+        const resourceId = Buffer.from(JSON.stringify(context)).toString('hex');
+
+        expect.assertions(2);
+        try {
+            await client.actor(resourceId).get();
+        } catch (err) {
+            expect(err.message).toMatch('timeout of 1000ms exceeded');
+            expect(err.code).toBe('ECONNABORTED');
+        }
+    });
+});
+
+describe('HttpClient with AbortSignal', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    const delayedResourceId = Buffer.from(JSON.stringify({ delayMillis: 3000 })).toString('hex');
+
+    let client;
+    beforeEach(async () => {
+        client = new ApifyClient({
+            baseUrl,
+            maxRetries: 0,
+            ...DEFAULT_QUERY,
+        });
+    });
+    afterEach(async () => {
+        client = null;
+    });
+
+    test('already aborted signal rejects without sending a request', async () => {
+        const controller = createAbortController();
+        controller.abort();
+
+        await expect(client.actor('some-id').get({ signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(client.stats.requests).toBe(0);
+    });
+
+    test.each(TRANSPORTS)('aborts in-flight request with %s transport', async (transport) => {
+        client = new ApifyClient({ baseUrl, maxRetries: 0, transport });
+        const controller = createAbortController();
+        setTimeout(() => controller.abort(), 100);
+
+        const startedAt = Date.now();
+        await expect(client.actor(delayedResourceId).get({ signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(Date.now() - startedAt).toBeLessThan(1000);
+    });
+
+    test('stops retrying once aborted', async () => {
+        client = new ApifyClient({ baseUrl, maxRetries: 5, minDelayBetweenRetriesMillis: 1000 });
+        const controller = createAbortController();
+        setTimeout(() => controller.abort(), 200);
+
+        const startedAt = Date.now();
+        await expect(client.actor('500').get({ signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(Date.now() - startedAt).toBeLessThan(1000);
+        // Wait for the retry timer to make sure no more requests are sent.
+        await new Promise((resolve) => setTimeout(resolve, 1500));
+        expect(client.stats.requests).toBe(1);
+    });
+
+    test('stops waitForFinish() polling', async () => {
+        const controller = createAbortController();
+        setTimeout(() => controller.abort(), 100);
+
+        await expect(client.run(delayedResourceId).waitForFinish({ signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(client.stats.calls).toBe(1);
+    });
+
+    test('passes the signal from call() to start() and waitForFinish()', async () => {
+        const controller = createAbortController();
+        mockServer.setResponse({ body: { data: { id: delayedResourceId } } });
+        setTimeout(() => controller.abort(), 100);
+
+        await expect(client.actor('some-id').call(undefined, { signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        mockServer.setResponse(null);
+        expect(client.stats.calls).toBe(2);
+    });
+
+    test('removes the abort listener once a stream ends', async () => {
+        const listeners = new Set();
+        const signal = {
+            aborted: false,
+            addEventListener: (type, listener) => listeners.add(listener),
+            removeEventListener: (type, listener) => listeners.delete(listener),
+        };
+
+        const stream = await client.log('some-id').stream({ signal });
+        expect(listeners.size).toBe(1);
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+        expect(Buffer.concat(chunks).toString()).toBe('get-log');
+        expect(listeners.size).toBe(0);
+    });
+
+    test('validates the signal', async () => {
+        await expect(client.actor('some-id').get({ signal: {} }))
+            .rejects.toThrow('to be an AbortSignal');
+    });
+});
+
+describe('HttpClient with per-call options', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    let client;
+    beforeEach(async () => {
+        client = new ApifyClient({
+            baseUrl,
+            timeoutSecs: 10,
+            maxRetries: 0,
+            minDelayBetweenRetriesMillis: 10,
+            ...DEFAULT_QUERY,
+        });
+    });
+    afterEach(async () => {
+        client = null;
+    });
+
+    test('timeoutSecs overrides the client timeout', async () => {
+        const context = { delayMillis: 3000 };
+        const resourceId = Buffer.from(JSON.stringify(context)).toString('hex');
+
+        await expect(client.actor(resourceId).get({ timeoutSecs: 1 }))
+            .rejects.toThrow('timeout of 1000ms exceeded');
+    });
+
+    test('maxRetries and minDelayBetweenRetriesMillis override the client settings', async () => {
+        await expect(client.actor('500').get({ maxRetries: 2, minDelayBetweenRetriesMillis: 1 }))
+            .rejects.toMatchObject({ statusCode: 500, attempt: 3 });
+        expect(client.stats.requests).toBe(3);
+
+        await expect(client.actor('500').get()).rejects.toMatchObject({ attempt: 1 });
+        expect(client.stats.requests).toBe(4);
+    });
+
+    test('overrides are not sent as query parameters', async () => {
+        const options = { limit: 5, timeoutSecs: 5, maxRetries: 1, minDelayBetweenRetriesMillis: 100 };
+        await client.dataset('some-id').listItems(options);
+        validateRequest({ limit: 5 }, { datasetId: 'some-id' });
+    });
+});
+
+describe('HttpClient rate limiting', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    afterEach(async () => {
+        mockServer.setResponse(null);
+    });
+
+    test('retries are delayed by the Retry-After header', async () => {
+        const client = new ApifyClient({
+            baseUrl,
+            maxRetries: 1,
+            minDelayBetweenRetriesMillis: 10,
+            ...DEFAULT_QUERY,
+        });
+        mockServer.setResponse({ statusCode: 429, headers: { 'retry-after': '1' } });
+
+        const startedAt = Date.now();
+        await expect(client.run('some-id').get()).rejects.toMatchObject({ statusCode: 429, attempt: 2 });
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(1000);
+        expect(client.stats.rateLimitErrors).toEqual([1, 1]);
+    });
+
+    test('waiting for the Retry-After header is cancelled by the signal', async () => {
+        const client = new ApifyClient({ baseUrl, maxRetries: 1, ...DEFAULT_QUERY });
+        mockServer.setResponse({ statusCode: 429, headers: { 'retry-after': '5' } });
+        const controller = createAbortController();
+        setTimeout(() => controller.abort(), 200);
+
+        const startedAt = Date.now();
+        await expect(client.run('some-id').get({ signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(Date.now() - startedAt).toBeLessThan(1000);
+        expect(client.stats.requests).toBe(1);
+    });
+
+    test('rateLimit throttles requests shared by all resource clients', async () => {
+        const client = new ApifyClient({
+            baseUrl,
+            rateLimit: { requestsPerSecond: 10, burst: 2 },
+            ...DEFAULT_QUERY,
+        });
+
+        const startedAt = Date.now();
+        await Promise.all([
+            client.actor('some-id').get(),
+            client.task('some-id').get(),
+            client.dataset('some-id').get(),
+            client.keyValueStore('some-id').get(),
+        ]);
+        // Two requests go out immediately, the other two wait 100 ms each.
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(190);
+    });
+
+    test('rateLimit option is validated', () => {
+        expect(() => new ApifyClient({ rateLimit: { requestsPerSecond: 0 } })).toThrow();
+        expect(() => new ApifyClient({ rateLimit: { requestsPerSecond: 1, unknown: true } })).toThrow();
+    });
+});
+
+describe('HttpClient token authentication', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    const token = 'secret-token';
+
+    test('sends the token in the Authorization header', async () => {
+        const client = new ApifyClient({ baseUrl, token });
+        await client.actor('some-id').get();
+
+        const request = mockServer.getLastRequest();
+        expect(request.headers.authorization).toBe(`Bearer ${token}`);
+        expect(request.query).toEqual({});
+    });
+
+    test('sends the token as a query parameter with sendTokenAsQueryParam', async () => {
+        const client = new ApifyClient({ baseUrl, token, sendTokenAsQueryParam: true });
+        await client.actor('some-id').get();
+
+        const request = mockServer.getLastRequest();
+        expect(request.headers.authorization).toBeUndefined();
+        expect(request.query).toEqual({ token });
+    });
+
+    test('does not send the Authorization header without a token', async () => {
+        const client = new ApifyClient({ baseUrl });
+        await client.actor('some-id').get();
+        expect(mockServer.getLastRequest().headers.authorization).toBeUndefined();
+    });
+
+    test.each([false, true])('errors do not contain the token (sendTokenAsQueryParam: %s)', async (sendTokenAsQueryParam) => {
+        const client = new ApifyClient({ baseUrl, token, sendTokenAsQueryParam, maxRetries: 0 });
+        const apiError = await client.actor('500').get().catch((err) => err);
+        expect(apiError.statusCode).toBe(500);
+
+        const timeoutId = Buffer.from(JSON.stringify({ delayMillis: 3000 })).toString('hex');
+        const timeoutError = await client.actor(timeoutId).get({ timeoutSecs: 1 }).catch((err) => err);
+        expect(timeoutError.message).toMatch('timeout');
+        expect(timeoutError.config).toBeDefined();
+        expect(timeoutError.request).toBeDefined();
+
+        mockServer.setResponse({ body: '{"invalid', headers: { 'content-type': 'application/json' } });
+        const invalidBodyError = await client.dataset('some-id').listItems().catch((err) => err);
+        mockServer.setResponse(null);
+        expect(invalidBodyError.code).toBe('invalid-response-body');
+
+        const closedPortClient = new ApifyClient({ baseUrl: 'http://localhost:1', token, sendTokenAsQueryParam, maxRetries: 0 });
+        const networkError = await closedPortClient.actor('some-id').get().catch((err) => err);
+        expect(networkError).toBeInstanceOf(ApifyClient.NetworkError);
+
+        [apiError, timeoutError, invalidBodyError, networkError].forEach((err) => {
+            expect(err.stack).not.toContain(token);
+            expect(util.inspect(err, { depth: 10 })).not.toContain(token);
+        });
+    });
+});
+
+describe('HttpClient with token provider', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    // The API rejects the expired tokens.
+    const rejectExpiredTokens = (response) => {
+        if (response.config.headers.Authorization === 'Bearer expired-token') response.status = 401;
+        return response;
+    };
+
+    const createClient = (tokens, options) => {
+        const providedTokens = [];
+        const tokenProvider = async () => {
+            const token = tokens[Math.min(providedTokens.length, tokens.length - 1)];
+            providedTokens.push(token);
+            return token;
+        };
+        const client = new ApifyClient({
+            baseUrl,
+            maxRetries: 0,
+            tokenProvider,
+            responseInterceptors: [rejectExpiredTokens],
+            ...options,
+        });
+        return { client, providedTokens };
+    };
+
+    test('caches the provided token', async () => {
+        const { client, providedTokens } = createClient(['token-1', 'token-2']);
+        await Promise.all([client.actor('some-id').get(), client.task('some-id').get()]);
+        await client.dataset('some-id').get();
+
+        expect(providedTokens).toEqual(['token-1']);
+        expect(mockServer.getLastRequest().headers.authorization).toBe('Bearer token-1');
+    });
+
+    test('gets a new token and sends the request once more on 401', async () => {
+        const { client, providedTokens } = createClient(['expired-token', 'fresh-token']);
+        await expect(client.actor('some-id').get()).resolves.toMatchObject({ id: 'get-actor' });
+
+        expect(providedTokens).toEqual(['expired-token', 'fresh-token']);
+        expect(client.stats.requests).toBe(2);
+        expect(mockServer.getLastRequest().headers.authorization).toBe('Bearer fresh-token');
+    });
+
+    test('gets a new token only once per call', async () => {
+        const { client, providedTokens } = createClient(['expired-token']);
+        const error = await client.actor('some-id').get().catch((err) => err);
+
+        expect(error.statusCode).toBe(401);
+        expect(error.stack).not.toContain('expired-token');
+        expect(providedTokens).toHaveLength(2);
+        expect(client.stats.requests).toBe(2);
+    });
+
+    test('rejects the call when the provider fails and calls it again next time', async () => {
+        let shouldFail = true;
+        const client = new ApifyClient({
+            baseUrl,
+            maxRetries: 2,
+            tokenProvider: async () => {
+                if (shouldFail) {
+                    shouldFail = false;
+                    throw new Error('Secrets manager is not available');
+                }
+                return 'some-token';
+            },
+        });
+
+        await expect(client.actor('some-id').get()).rejects.toThrow('Secrets manager is not available');
+        expect(client.stats.requests).toBe(0);
+        await client.actor('some-id').get();
+        expect(mockServer.getLastRequest().headers.authorization).toBe('Bearer some-token');
+    });
+
+    test('sends the provided token as a query parameter with sendTokenAsQueryParam', async () => {
+        const { client } = createClient(['some-token'], { sendTokenAsQueryParam: true });
+        await client.actor('some-id').get();
+
+        const request = mockServer.getLastRequest();
+        expect(request.query).toEqual({ token: 'some-token' });
+        expect(request.headers.authorization).toBeUndefined();
+    });
+
+    test('validates the options and the provided token', async () => {
+        expect(() => new ApifyClient({ token: 'some-token', tokenProvider: async () => 'some-token' })).toThrow();
+        const client = new ApifyClient({ baseUrl, tokenProvider: async () => undefined });
+        await expect(client.actor('some-id').get()).rejects.toThrow('tokenProvider');
+    });
+});
+
+describe('HttpClient statistics', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    test('records requests, errors, retries and bytes by client method', async () => {
+        const client = new ApifyClient({
+            baseUrl,
+            maxRetries: 1,
+            minDelayBetweenRetriesMillis: 1,
+            ...DEFAULT_QUERY,
+        });
+
+        await client.actor('some-id').get();
+        await client.dataset('some-id').pushItems({ foo: 'bar' });
+        await expect(client.actor('500').get()).rejects.toMatchObject({ statusCode: 500 });
+
+        const snapshot = client.stats.snapshot();
+        expect(snapshot).toMatchObject({
+            calls: 3,
+            requests: 4,
+            bytesSent: JSON.stringify({ foo: 'bar' }).length,
+            retriesByCause: { 'server-error': 1 },
+            latency: { count: 4 },
+            endpoints: {
+                'ActorClient.get': { requests: 3, errors: 2, latency: { count: 3 } },
+                'DatasetClient.pushItems': { requests: 1, errors: 0 },
+            },
+        });
+        expect(snapshot.bytesReceived).toBeGreaterThan(0);
+        expect(Object.values(snapshot.errorsByType)).toEqual([2]);
+    });
+
+    test('names the endpoints by the resource client methods that make the calls', async () => {
+        const client = new ApifyClient({ baseUrl, maxRetries: 0, ...DEFAULT_QUERY });
+        await client.actors().list();
+        await client.actor('some-id').start();
+        await client.run('some-id').waitForFinish({ waitSecs: 0 });
+        await client.httpClient.call({ url: `${baseUrl}/v2/acts/some-id`, method: 'GET' });
+
+        expect(Object.keys(client.stats.snapshot().endpoints)).toEqual([
+            'ActorCollectionClient.list',
+            'ActorClient.start',
+            'RunClient.waitForFinish',
+            'HTTP GET',
+        ]);
+    });
+
+    test('API errors carry the resource client methods that make the calls', async () => {
+        const client = new ApifyClient({ baseUrl, maxRetries: 0, ...DEFAULT_QUERY });
+        await expect(client.actor('500').get()).rejects.toMatchObject({ clientMethod: 'ActorClient.get' });
+        await expect(client.actor('500').delete()).rejects.toMatchObject({ clientMethod: 'ActorClient.delete' });
+        const error = await client.httpClient.call({ url: `${baseUrl}/v2/acts/500`, method: 'GET' }).catch((err) => err);
+        expect(error).toBeInstanceOf(ApifyClient.ServerError);
+        expect(error.clientMethod).toBeUndefined();
+    });
+
+    test('records timeouts', async () => {
+        const client = new ApifyClient({ baseUrl, maxRetries: 0, ...DEFAULT_QUERY });
+        const resourceId = Buffer.from(JSON.stringify({ delayMillis: 3000 })).toString('hex');
+
+        await expect(client.actor(resourceId).get({ timeoutSecs: 1 })).rejects.toThrow();
+        expect(client.stats.snapshot()).toMatchObject({
+            timeouts: 1,
+            endpoints: { 'ActorClient.get': { requests: 1, errors: 1 } },
+        });
+    });
+});
+
+describe('HttpClient with retry policy', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    const createClient = (retryPolicy, options) => new ApifyClient({
+        baseUrl,
+        maxRetries: 2,
+        minDelayBetweenRetriesMillis: 1,
+        retryPolicy,
+        ...DEFAULT_QUERY,
+        ...options,
+    });
+
+    test('shouldRetry can retry responses that are not retried by default', async () => {
+        const contexts = [];
+        const client = createClient({
+            shouldRetry: (context) => {
+                contexts.push(context);
+                return context.response.status === 409;
+            },
+        });
+
+        await expect(client.actor('409').get()).rejects.toMatchObject({ statusCode: 409, attempt: 3 });
+        expect(client.stats.requests).toBe(3);
+        expect(contexts).toHaveLength(2);
+        expect(contexts[0]).toMatchObject({
+            method: 'GET',
+            url: `${baseUrl}/v2/acts/409`,
+            attempt: 1,
+            error: { statusCode: 409 },
+            isRetryable: false,
+        });
+    });
+
+    test('shouldRetry can prevent retries', async () => {
+        const client = createClient({
+            shouldRetry: ({ method, isRetryable }) => isRetryable && method !== 'DELETE',
+        });
+
+        await expect(client.actor('500').delete()).rejects.toMatchObject({ statusCode: 500, attempt: 1 });
+        await expect(client.actor('500').get()).rejects.toMatchObject({ statusCode: 500, attempt: 3 });
+    });
+
+    test('maxDelayMillis caps the delays between retries', async () => {
+        const client = createClient({ maxDelayMillis: 10 }, { maxRetries: 3, minDelayBetweenRetriesMillis: 1000 });
+
+        const startedAt = Date.now();
+        await expect(client.actor('500').get()).rejects.toMatchObject({ attempt: 4 });
+        expect(Date.now() - startedAt).toBeLessThan(1000);
+    });
+
+    test('no retries are sent after the deadline', async () => {
+        const client = createClient({ deadlineSecs: 1 }, { maxRetries: 10, minDelayBetweenRetriesMillis: 200 });
+
+        const startedAt = Date.now();
+        await expect(client.actor('500').get()).rejects.toMatchObject({ statusCode: 500 });
+        expect(Date.now() - startedAt).toBeLessThan(1000);
+        expect(client.stats.requests).toBeGreaterThan(1);
+        expect(client.stats.requests).toBeLessThan(5);
+    });
+
+    test('the last attempt times out at the deadline', async () => {
+        const client = createClient({ deadlineSecs: 1 });
+        const resourceId = Buffer.from(JSON.stringify({ delayMillis: 3000 })).toString('hex');
+
+        const startedAt = Date.now();
+        await expect(client.actor(resourceId).get()).rejects.toThrow(/^timeout of \d+ms exceeded/);
+        expect(Date.now() - startedAt).toBeLessThan(2000);
+    });
+
+    test('retryPolicy option is validated', () => {
+        expect(() => new ApifyClient({ retryPolicy: { deadlineSecs: 0 } })).toThrow();
+        expect(() => new ApifyClient({ retryPolicy: { shouldRetry: true } })).toThrow();
+        expect(() => new ApifyClient({ retryPolicy: { unknown: true } })).toThrow();
+    });
+});
+
+describe('HttpClient with circuit breaker', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    test('fails fast while the API is failing and recovers after a probe', async () => {
+        const client = new ApifyClient({
+            baseUrl,
+            maxRetries: 5,
+            minDelayBetweenRetriesMillis: 1,
+            circuitBreaker: { minimumRequests: 3, openDurationMillis: 300 },
+            ...DEFAULT_QUERY,
+        });
+
+        // The circuit opens after the third attempt and stops the retries.
+        await expect(client.actor('500').get()).rejects.toMatchObject({ name: 'CircuitOpenError' });
+        expect(client.stats.requests).toBe(3);
+        expect(client.stats.circuitBreaker).toEqual({ state: 'open', timesOpened: 1, rejectedRequests: 1 });
+
+        await expect(client.actor('some-id').get()).rejects.toThrow('The circuit breaker is open');
+        expect(client.stats.requests).toBe(3);
+
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        await expect(client.actor('some-id').get()).resolves.toEqual({ id: 'get-actor' });
+        expect(client.stats.circuitBreaker.state).toBe('closed');
+    });
+
+    test('is disabled by default', async () => {
+        const client = new ApifyClient({ baseUrl, ...DEFAULT_QUERY });
+        expect(client.stats.circuitBreaker).toBeNull();
+    });
+});
+
+describe('HttpClient events and response interceptors', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    afterEach(async () => {
+        mockServer.setResponse(null);
+    });
+
+    const recordEvents = (client) => {
+        const events = [];
+        ['request', 'response', 'retry', 'rateLimited', 'error'].forEach((eventName) => {
+            client.events.on(eventName, (payload) => events.push({ eventName, ...payload }));
+        });
+        return events;
+    };
+
+    test('emits request and response events with the token redacted', async () => {
+        const client = new ApifyClient({ baseUrl, token: 'secret-token', sendTokenAsQueryParam: true });
+        const events = recordEvents(client);
+        await client.actor('some-id').get();
+
+        const url = `${baseUrl}/v2/acts/some-id?token=***`;
+        expect(events).toEqual([
+            { eventName: 'request', method: 'GET', url, attempt: 1 },
+            { eventName: 'response', method: 'GET', url, attempt: 1, statusCode: 200, durationMillis: expect.any(Number) },
+        ]);
+        expect(JSON.stringify(events)).not.toContain('secret-token');
+    });
+
+    test('emits retry, rateLimited and error events', async () => {
+        const client = new ApifyClient({ baseUrl, maxRetries: 1, minDelayBetweenRetriesMillis: 1 });
+        const events = recordEvents(client);
+        mockServer.setResponse({ statusCode: 429 });
+        await expect(client.run('some-id').get()).rejects.toMatchObject({ statusCode: 429 });
+
+        expect(events.map((e) => [e.eventName, e.attempt])).toEqual([
+            ['request', 1],
+            ['response', 1],
+            ['rateLimited', 1],
+            ['retry', 1],
+            ['request', 2],
+            ['response', 2],
+            ['rateLimited', 2],
+            ['error', 2],
+        ]);
+        const errorEvent = events[events.length - 1];
+        expect(errorEvent).toMatchObject({ method: 'GET', statusCode: 429, durationMillis: expect.any(Number) });
+        expect(errorEvent.error.statusCode).toBe(429);
+    });
+
+    test('errors thrown by listeners do not break requests', async () => {
+        const client = new ApifyClient({ baseUrl });
+        client.events.on('request', () => {
+            throw new Error('listener error');
+        });
+        await expect(client.actor('some-id').get()).resolves.toEqual({ id: 'get-actor' });
+    });
+
+    test('calls response interceptors with parsed responses', async () => {
+        const statusCodes = [];
+        const client = new ApifyClient({
+            baseUrl,
+            maxRetries: 0,
+            responseInterceptors: [(response) => {
+                statusCodes.push(response.status);
+                if (response.status === 200) response.data.data.intercepted = true;
+                return response;
+            }],
+        });
+        await expect(client.actor('some-id').get()).resolves.toEqual({ id: 'get-actor', intercepted: true });
+        await expect(client.actor('500').get()).rejects.toMatchObject({ statusCode: 500 });
+        expect(statusCodes).toEqual([200, 500]);
+    });
+});
+
+describe('HttpClient with proxy and custom agents', () => {
+    let baseUrl;
+    let proxyServer;
+    let proxyUrl;
+    let connectRequests;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+
+        // A minimal proxy that tunnels CONNECT requests to the mock server.
+        proxyServer = http.createServer();
+        proxyServer.on('connect', (req, socket, head) => {
+            connectRequests.push(req.url);
+            const [host, port] = req.url.split(':');
+            const upstream = net.connect(port, host, () => {
+                socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+                upstream.write(head);
+                upstream.pipe(socket);
+                socket.pipe(upstream);
+            });
+            upstream.on('error', () => socket.destroy());
+            socket.on('error', () => upstream.destroy());
+        });
+        await new Promise((resolve) => proxyServer.listen(0, resolve));
+        proxyUrl = `http://localhost:${proxyServer.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => proxyServer.close(resolve));
+        await mockServer.close();
+    });
+
+    beforeEach(() => {
+        connectRequests = [];
+    });
+
+    test('sends requests through proxyUrl', async () => {
+        const client = new ApifyClient({ baseUrl, proxyUrl, ...DEFAULT_QUERY });
+        await expect(client.actor('some-id').get()).resolves.toEqual({ id: 'get-actor' });
+        expect(connectRequests).toEqual([`localhost:${new URL(baseUrl).port}`]);
+        client.httpClient.httpAgent.destroy();
+    });
+
+    test('uses custom agents', async () => {
+        const httpAgent = new http.Agent();
+        let connections = 0;
+        const { createConnection } = httpAgent;
+        httpAgent.createConnection = (...args) => {
+            connections++;
+            return createConnection.apply(httpAgent, args);
+        };
+        const client = new ApifyClient({ baseUrl, httpAgent, httpsAgent: new https.Agent(), proxyUrl, ...DEFAULT_QUERY });
+        await client.actor('some-id').get();
+        expect(connections).toBe(1);
+        expect(connectRequests).toEqual([]);
+    });
+
+    test('rejects proxies with the fetch transport', () => {
+        expect(() => new ApifyClient({ baseUrl, proxyUrl, transport: 'fetch' }))
+            .toThrow('only supported by the axios transport');
+    });
+});
+
+describe('HttpClient with concurrency limit', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    const delayedResourceId = Buffer.from(JSON.stringify({ delayMillis: 100 })).toString('hex');
+
+    test('maxConcurrentRequests limits the requests in flight', async () => {
+        const client = new ApifyClient({ baseUrl, maxConcurrentRequests: 2, ...DEFAULT_QUERY });
+        let maxActiveRequests = 0;
+        client.events.on('request', () => {
+            maxActiveRequests = Math.max(maxActiveRequests, client.stats.concurrency.activeRequests);
+        });
+
+        await Promise.all([...Array(5).keys()].map(() => client.actor(delayedResourceId).get()));
+        expect(maxActiveRequests).toBe(2);
+        expect(client.stats.concurrency).toMatchObject({ activeRequests: 0, queueLength: 0, maxQueueLength: 3, queuedRequests: 3 });
+        expect(client.stats.toPrometheus()).toContain('apify_client_queued_requests_total 3\n');
+    });
+
+    test('calls with a higher priority overtake the queued calls', async () => {
+        const client = new ApifyClient({ baseUrl, maxConcurrentRequests: 1, ...DEFAULT_QUERY });
+        const finished = [];
+        const track = (name, promise) => promise.then(() => finished.push(name));
+
+        await Promise.all([
+            track('bulk-1', client.dataset(delayedResourceId).pushItems({ foo: 'bar' }, { priority: -1 })),
+            track('bulk-2', client.dataset(delayedResourceId).pushItems({ foo: 'bar' }, { priority: -1 })),
+            track('interactive', client.run(delayedResourceId).get({ priority: 1 })),
+        ]);
+        expect(finished).toEqual(['bulk-1', 'interactive', 'bulk-2']);
+    });
+
+    test('is disabled by default', async () => {
+        const client = new ApifyClient({ baseUrl, ...DEFAULT_QUERY });
+        await client.actor('some-id').get();
+        expect(client.stats.concurrency).toBeNull();
+        expect(() => new ApifyClient({ maxConcurrentRequests: 0 })).toThrow();
+    });
+});
+
+describe('HttpClient with request coalescing', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    const delayedResourceId = Buffer.from(JSON.stringify({ delayMillis: 200 })).toString('hex');
+
+    let client;
+    beforeEach(async () => {
+        client = new ApifyClient({ baseUrl, coalesceRequests: true, ...DEFAULT_QUERY });
+    });
+
+    test('identical concurrent GET requests share one request', async () => {
+        const results = await Promise.all([
+            client.actor(delayedResourceId).get(),
+            client.actor(delayedResourceId).get(),
+            client.actor(delayedResourceId).get(),
+        ]);
+        results.forEach((result) => expect(result).toEqual({ id: 'get-actor' }));
+        expect(client.stats).toMatchObject({ calls: 3, requests: 1, coalescedCalls: 2 });
+
+        // Finished requests are not reused.
+        await client.actor(delayedResourceId).get();
+        expect(client.stats).toMatchObject({ calls: 4, requests: 2, coalescedCalls: 2 });
+    });
+
+    test('different requests are not coalesced', async () => {
+        const otherClient = client.withOptions({ token: 'other-token' });
+        otherClient.httpClient.inFlightRequests = client.httpClient.inFlightRequests;
+        await Promise.all([
+            client.actor(delayedResourceId).get(),
+            client.task(delayedResourceId).get(),
+            client.dataset(delayedResourceId).listItems({ limit: 1 }),
+            client.dataset(delayedResourceId).listItems({ limit: 2 }),
+            otherClient.actor(delayedResourceId).get(),
+            client.actor(delayedResourceId).update({ name: 'some-name' }),
+            client.actor(delayedResourceId).update({ name: 'some-name' }),
+        ]);
+        expect(client.stats).toMatchObject({ requests: 7, coalescedCalls: 0 });
+    });
+
+    test('aborting one caller does not cancel the shared request', async () => {
+        const controller = createAbortController();
+        const abortedCall = client.actor(delayedResourceId).get({ signal: controller.signal });
+        const call = client.actor(delayedResourceId).get();
+        controller.abort();
+        await expect(abortedCall).rejects.toMatchObject({ name: 'AbortError' });
+        await expect(call).resolves.toEqual({ id: 'get-actor' });
+        expect(client.stats.requests).toBe(1);
+    });
+
+    test('is disabled by default', async () => {
+        client = new ApifyClient({ baseUrl, ...DEFAULT_QUERY });
+        await Promise.all([
+            client.actor(delayedResourceId).get(),
+            client.actor(delayedResourceId).get(),
+        ]);
+        expect(client.stats).toMatchObject({ requests: 2, coalescedCalls: 0 });
+    });
+});
+
+describe('HttpClient typed errors', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    let client;
+    beforeEach(async () => {
+        client = new ApifyClient({ baseUrl, maxRetries: 0, ...DEFAULT_QUERY });
+    });
+
+    test('API errors are subclasses of ApifyApiError by the status code', async () => {
+        const expectedClasses = {
+            400: ApifyClient.ValidationError,
+            401: ApifyClient.AuthenticationError,
+            403: ApifyClient.ForbiddenError,
+            404: ApifyClient.NotFoundError,
+            429: ApifyClient.RateLimitError,
+            503: ApifyClient.ServerError,
+        };
+        for (const [statusCode, ErrorClass] of Object.entries(expectedClasses)) {
+            const err = await client.actor(statusCode).update({ name: 'some-name' }).catch((e) => e);
+            expect(err).toBeInstanceOf(ErrorClass);
+            expect(err).toBeInstanceOf(ApifyClient.ApifyApiError);
+            expect(err).toMatchObject({ name: 'ApifyApiError', className: ErrorClass.name, statusCode: Number(statusCode) });
+        }
+
+        const err = await client.actor('409').update({ name: 'some-name' }).catch((e) => e);
+        expect(err.constructor).toBe(ApifyClient.ApifyApiError);
+        expect(err).toMatchObject({ name: 'ApifyApiError', className: 'ApifyApiError' });
+    });
+
+    test('API errors carry the retry history and the request metadata', async () => {
+        client = new ApifyClient({ baseUrl, maxRetries: 2, minDelayBetweenRetriesMillis: 1, ...DEFAULT_QUERY });
+        mockServer.setResponse({
+            statusCode: 503,
+            headers: { 'x-request-id': 'some-request-id', 'x-other': 'foo' },
+            body: { error: { type: 'server-overloaded', message: 'Try again later' } },
+        });
+        const startedAt = Date.now();
+        const err = await client.run('some-id').get().catch((e) => e);
+        mockServer.setResponse(null);
+
+        expect(err).toMatchObject({ statusCode: 503, attempt: 3, requestId: 'some-request-id' });
+        expect(err.headers).toEqual({
+            'content-type': 'application/json; charset=utf-8',
+            date: expect.any(String),
+            'x-request-id': 'some-request-id',
+        });
+        expect(err.stack).toMatch('requestId: some-request-id');
+        expect(err.elapsedMillis).toBeGreaterThanOrEqual(0);
+        expect(err.elapsedMillis).toBeLessThanOrEqual(Date.now() - startedAt);
+        expect(err.retryHistory).toHaveLength(2);
+        err.retryHistory.forEach((entry, index) => {
+            expect(entry).toEqual({
+                attempt: index + 1,
+                failedAt: expect.any(Date),
+                statusCode: 503,
+                type: 'server-overloaded',
+                message: 'Try again later',
+                delayMillis: expect.any(Number),
+            });
+        });
+
+        const json = JSON.parse(JSON.stringify(err));
+        expect(json).toMatchObject({
+            name: 'ApifyApiError',
+            className: 'ServerError',
+            message: 'Try again later',
+            statusCode: 503,
+            attempt: 3,
+            requestId: 'some-request-id',
+            elapsedMillis: err.elapsedMillis,
+        });
+        expect(json.retryHistory[0].failedAt).toBe(err.retryHistory[0].failedAt.toISOString());
+        expect(json).not.toHaveProperty('stack');
+        expect(json).not.toHaveProperty('originalStack');
+    });
+
+    test('errors of the first attempt have an empty retry history', async () => {
+        const err = await client.actor('404').update({ name: 'some-name' }).catch((e) => e);
+        expect(err.retryHistory).toEqual([]);
+        expect(err.requestId).toBeUndefined();
+        expect(err.toJSON()).toMatchObject({ attempt: 1, retryHistory: [] });
+    });
+
+    test('timeouts throw a TimeoutError', async () => {
+        client = new ApifyClient({ baseUrl, maxRetries: 0, timeoutSecs: 0.2, ...DEFAULT_QUERY });
+        const resourceId = Buffer.from(JSON.stringify({ delayMillis: 1000 })).toString('hex');
+
+        const err = await client.actor(resourceId).get().catch((e) => e);
+        expect(err).toBeInstanceOf(ApifyClient.TimeoutError);
+        expect(err).toBeInstanceOf(ApifyClient.NetworkError);
+        expect(err).toMatchObject({
+            name: 'TimeoutError',
+            message: 'timeout of 200ms exceeded',
+            code: 'ECONNABORTED',
+            timeoutMillis: 200,
+            attempt: 1,
+        });
+        expect(err.cause.isAxiosError).toBe(true);
+    });
+
+    test('network errors throw a NetworkError and are retried', async () => {
+        const server = net.createServer();
+        await new Promise((resolve) => server.listen(0, resolve));
+        const { port } = server.address();
+        await new Promise((resolve) => server.close(resolve));
+
+        client = new ApifyClient({ baseUrl: `http://localhost:${port}`, maxRetries: 1, minDelayBetweenRetriesMillis: 1 });
+        const err = await client.actor('some-id').get().catch((e) => e);
+        expect(err).toBeInstanceOf(ApifyClient.NetworkError);
+        expect(err).not.toBeInstanceOf(ApifyClient.TimeoutError);
+        expect(err).toMatchObject({ name: 'NetworkError', code: 'ECONNREFUSED', attempt: 2 });
+        expect(client.stats.requests).toBe(2);
+    });
+});
@@ -1,4 +1,8 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const ApifyClient = require('../src/index');
+const mockServer = require('./mock_server/server');
 
 describe('ApifyClient', () => {
     test('default baseUrl is correctly set', () => {
@@ -13,3 +17,132 @@ describe('ApifyClient', () => {
         expect(client.baseUrl).toBe(`${exampleUrl}/v2`);
     });
 });
+
+describe('ApifyClient.fromEnv()', () => {
+    let configPath;
+
+    beforeAll(() => {
+        configPath = path.join(os.tmpdir(), `apify-client-${process.pid}-${Date.now()}.json`);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
+    });
+
+    const writeConfig = (config) => fs.writeFileSync(configPath, JSON.stringify(config));
+
+    test('options take precedence over the environment and the environment over the config file', () => {
+        writeConfig({
+            token: 'file-token',
+            baseUrl: 'https://file.example.com',
+            maxRetries: 1,
+            // Fields of the Apify CLI credentials that are not options are ignored.
+            username: 'some-user',
+        });
+        const env = {
+            APIFY_TOKEN: 'env-token',
+            APIFY_API_BASE_URL: 'https://env.example.com',
+            APIFY_CLIENT_TIMEOUT_SECS: '30',
+        };
+
+        const client = ApifyClient.fromEnv({ token: 'options-token' }, { env, configPath });
+        expect(client.token).toBe('options-token');
+        expect(client.baseUrl).toBe('https://env.example.com/v2');
+        expect(client.httpClient.timeoutMillis).toBe(30000);
+        expect(client.httpClient.maxRetries).toBe(1);
+        expect(client.configSources).toEqual({
+            token: 'options',
+            baseUrl: 'env:APIFY_API_BASE_URL',
+            timeoutSecs: 'env:APIFY_CLIENT_TIMEOUT_SECS',
+            maxRetries: `file:${configPath}`,
+        });
+    });
+
+    test('config file path can be set by an environment variable', () => {
+        writeConfig({ token: 'file-token' });
+        const client = ApifyClient.fromEnv({}, { env: { APIFY_CLIENT_CONFIG_PATH: configPath } });
+        expect(client.token).toBe('file-token');
+        expect(client.configSources).toEqual({ token: `file:${configPath}` });
+        expect(new ApifyClient().configSources).toBeNull();
+    });
+
+    test('invalid values are reported with their source', () => {
+        writeConfig({});
+        expect(() => ApifyClient.fromEnv({}, { env: { APIFY_CLIENT_MAX_RETRIES: 'many' }, configPath }))
+            .toThrow('Expected property `maxRetries` to be of type `number` but received type `string` in object `environment variables`');
+
+        writeConfig({ timeoutSecs: '30' });
+        expect(() => ApifyClient.fromEnv({}, { env: {}, configPath })).toThrow(`in object \`config file ${configPath}\``);
+
+        writeConfig({ token: 'file-token', httpsAgent: {}, cache: { store: {} } });
+        expect(() => ApifyClient.fromEnv({}, { env: {}, configPath }))
+            .toThrow("contains options that can't be set by config files: cache, httpsAgent.");
+
+        fs.writeFileSync(configPath, '{"token":');
+        expect(() => ApifyClient.fromEnv({}, { env: {}, configPath })).toThrow('is not valid JSON');
+        expect(() => ApifyClient.fromEnv({}, { env: {}, configPath: `${configPath}.missing` })).toThrow('could not be read');
+    });
+});
+
+describe('ApifyClient.withOptions()', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    test('derived clients override the token and headers', async () => {
+        const client = new ApifyClient({ baseUrl, token: 'base-token' });
+        const derived = client.withOptions({ token: 'tenant-token', headers: { 'X-Tenant': 'tenant-1' } });
+
+        await derived.actor('some-id').get();
+        let request = mockServer.getLastRequest();
+        expect(request.headers.authorization).toBe('Bearer tenant-token');
+        expect(request.headers['x-tenant']).toBe('tenant-1');
+
+        await derived.withOptions({ headers: { 'X-Other': 'foo' } }).actor('some-id').get();
+        request = mockServer.getLastRequest();
+        expect(request.headers.authorization).toBe('Bearer tenant-token');
+        expect(request.headers).toMatchObject({ 'x-tenant': 'tenant-1', 'x-other': 'foo' });
+
+        await client.actor('some-id').get();
+        request = mockServer.getLastRequest();
+        expect(request.headers.authorization).toBe('Bearer base-token');
+        expect(request.headers['x-tenant']).toBeUndefined();
+    });
+
+    test('derived clients share the agents, statistics and events', async () => {
+        const client = new ApifyClient({ baseUrl, maxRetries: 0, minDelayBetweenRetriesMillis: 1 });
+        const derived = client.withOptions({ maxRetries: 1, timeoutSecs: 10 });
+        const requests = [];
+        client.events.on('request', (event) => requests.push(event));
+
+        await expect(derived.actor('500').get()).rejects.toMatchObject({ attempt: 2 });
+        await expect(client.actor('500').get()).rejects.toMatchObject({ attempt: 1 });
+        expect(requests).toHaveLength(3);
+        expect(client.stats.requests).toBe(3);
+        expect(derived.stats).toBe(client.stats);
+        expect(derived.httpClient.httpsAgent).toBe(client.httpClient.httpsAgent);
+        expect(derived.httpClient.axios).toBe(client.httpClient.axios);
+        expect(derived.httpClient.timeoutMillis).toBe(10000);
+        expect(client.httpClient.timeoutMillis).toBe(360000);
+    });
+
+    test('the response cache is not shared by clients with another token', () => {
+        const client = new ApifyClient({ baseUrl, token: 'base-token', cache: {} });
+        expect(client.withOptions({ maxRetries: 1 }).responseCache).toBe(client.responseCache);
+        expect(client.withOptions({ token: 'tenant-token' }).responseCache).toBeNull();
+    });
+
+    test('options are validated', () => {
+        const client = new ApifyClient({ baseUrl });
+        expect(() => client.withOptions({ baseUrl })).toThrow();
+        expect(() => client.withOptions({ headers: { 'X-Number': 1 } })).toThrow();
+        expect(() => client.withOptions({ token: 'token', tokenProvider: async () => 'token' })).toThrow();
+    });
+});
@@ -84,7 +84,7 @@ const HANDLERS = {
                         message: 'Record with this name was not found',
                     },
                 };
-            }
+            } else if (mockServer.response) payload = body;
 
             const context = maybeParseContextFromResourceId(resourceId);
             const delayMillis = context && context.delayMillis;
@@ -0,0 +1,240 @@
+const ApifyClient = require('../src/index');
+const { iterateOffsetPages } = require('../src/pagination');
+const { FakeApifyApi } = require('../testing');
+
+const collect = async (iterator) => {
+    const items = [];
+    for await (const item of iterator) items.push(item);
+    return items;
+};
+
+describe('iterateOffsetPages()', () => {
+    const allItems = Array.from({ length: 10 }, (_, i) => ({ id: i }));
+
+    const createFetchPage = (requests) => async (offset, limit) => {
+        requests.push({ offset, limit });
+        return { total: allItems.length, offset, limit, items: allItems.slice(offset, offset + limit) };
+    };
+
+    test('yields the items of all the pages', async () => {
+        const requests = [];
+        expect(await collect(iterateOffsetPages(createFetchPage(requests), { pageSize: 4 }))).toEqual(allItems);
+        expect(requests).toEqual([
+            { offset: 0, limit: 4 },
+            { offset: 4, limit: 4 },
+            { offset: 8, limit: 4 },
+        ]);
+    });
+
+    test('respects the offset and limit of all the items', async () => {
+        const requests = [];
+        const items = await collect(iterateOffsetPages(createFetchPage(requests), { offset: 1, limit: 5, pageSize: 3 }));
+        expect(items).toEqual(allItems.slice(1, 6));
+        expect(requests).toEqual([{ offset: 1, limit: 3 }, { offset: 4, limit: 2 }]);
+    });
+
+    test('fetches the pages lazily, except for the prefetched ones', async () => {
+        let requests = [];
+        let iterator = iterateOffsetPages(createFetchPage(requests), { pageSize: 2 });
+        await iterator.next();
+        await iterator.next();
+        expect(requests).toHaveLength(2);
+        await iterator.return();
+
+        requests = [];
+        iterator = iterateOffsetPages(createFetchPage(requests), { pageSize: 2, prefetch: 2 });
+        await iterator.next();
+        expect(requests).toHaveLength(4);
+        await iterator.return();
+    });
+
+    test('errors of the prefetched pages are thrown when the page is reached', async () => {
+        const fetchPage = async (offset, limit) => {
+            if (offset > 0) throw new Error('Page failed');
+            return { total: 10, items: allItems.slice(offset, offset + limit) };
+        };
+        const iterator = iterateOffsetPages(fetchPage, { pageSize: 2, prefetch: 1 });
+        expect(await iterator.next()).toEqual({ value: allItems[0], done: false });
+        expect(await iterator.next()).toEqual({ value: allItems[1], done: false });
+        await expect(iterator.next()).rejects.toThrow('Page failed');
+    });
+});
+
+describe('iterateOffsetPages() with driftFree', () => {
+    // Simulates a list ordered from the newest items, which changes after the first page is fetched.
+    const createChangingList = (change) => {
+        let items = Array.from({ length: 10 }, (_, i) => ({ id: `item-${9 - i}` }));
+        let requestCount = 0;
+        const fetchPage = async (offset, limit) => {
+            if (requestCount++ === 1) items = change(items);
+            return { total: items.length, offset, limit, items: items.slice(offset, offset + limit) };
+        };
+        return fetchPage;
+    };
+    const originalIds = Array.from({ length: 10 }, (_, i) => `item-${9 - i}`);
+    const prependItems = (items) => [{ id: 'new-1' }, { id: 'new-2' }, ...items];
+    const removeFirstItems = (items) => items.slice(2);
+
+    test('added items are not repeated', async () => {
+        const plainItems = await collect(iterateOffsetPages(createChangingList(prependItems), { pageSize: 3 }));
+        expect(plainItems).toHaveLength(12);
+
+        const items = await collect(iterateOffsetPages(createChangingList(prependItems), { pageSize: 3, driftFree: true }));
+        expect(items.map(({ id }) => id)).toEqual(originalIds);
+    });
+
+    test('removed items do not cause other items to be skipped', async () => {
+        const plainItems = await collect(iterateOffsetPages(createChangingList(removeFirstItems), { pageSize: 3 }));
+        expect(plainItems.map(({ id }) => id)).not.toContain('item-6');
+
+        const items = await collect(iterateOffsetPages(createChangingList(removeFirstItems), { pageSize: 3, driftFree: true }));
+        expect(items.map(({ id }) => id)).toEqual(originalIds);
+    });
+
+    test('limit is respected when the list changes', async () => {
+        const fetchPage = createChangingList(prependItems);
+        const items = await collect(iterateOffsetPages(fetchPage, { limit: 5, pageSize: 2, prefetch: 1, driftFree: true }));
+        expect(items.map(({ id }) => id)).toEqual(originalIds.slice(0, 5));
+    });
+});
+
+describe('iterate() of collection clients', () => {
+    const api = new FakeApifyApi();
+    let client;
+
+    beforeAll(async () => {
+        const baseUrl = await api.start();
+        client = new ApifyClient({ baseUrl, maxRetries: 0 });
+    });
+
+    afterAll(async () => {
+        await api.close();
+    });
+
+    afterEach(() => {
+        api.reset();
+    });
+
+    test('iterates over all the resources with the options of list()', async () => {
+        const names = ['a', 'b', 'c', 'd', 'e'];
+        names.forEach((name) => api.addActor({ name }));
+
+        const actors = await collect(client.actors().iterate({ pageSize: 2 }));
+        expect(actors.map(({ name }) => name)).toEqual(names);
+        expect(client.stats.snapshot().endpoints['ActorCollectionClient.iterate'].requests).toBe(3);
+        const lastActors = await collect(client.actors().iterate({ desc: true, limit: 3, pageSize: 2, prefetch: 1 }));
+        expect(lastActors.map(({ name }) => name)).toEqual(['e', 'd', 'c']);
+        expect(actors[0].createdAt).toBeInstanceOf(Date);
+
+        await client.datasets().getOrCreate();
+        await client.datasets().getOrCreate('named');
+        expect(await collect(client.datasets().iterate({ unnamed: true, pageSize: 1 }))).toHaveLength(2);
+    });
+
+    test('iterates over runs and webhook dispatches', async () => {
+        const actor = api.addActor({ name: 'my-actor' });
+        await client.webhooks().create({
+            eventTypes: ['ACTOR.RUN.SUCCEEDED'],
+            condition: { actorId: actor.id },
+            requestUrl: 'https://example.com/webhook',
+        });
+        for (let i = 0; i < 3; i++) await client.actor(actor.id).call();
+
+        const runs = await collect(client.actor(actor.id).runs().iterate({ status: 'SUCCEEDED', pageSize: 2 }));
+        expect(runs).toHaveLength(3);
+        expect(await collect(client.webhookDispatches().iterate({ pageSize: 2 }))).toHaveLength(3);
+    });
+
+    test('driftFree iteration yields each run once while new runs are started', async () => {
+        const actor = api.addActor({ name: 'my-actor' });
+        for (let i = 0; i < 5; i++) await client.actor(actor.id).start();
+        const runIds = (await client.actor(actor.id).runs().list({ desc: true })).items.map(({ id }) => id);
+
+        const iteratedIds = [];
+        for await (const run of client.actor(actor.id).runs().iterate({ desc: true, pageSize: 2, driftFree: true })) {
+            if (!iteratedIds.length) await client.actor(actor.id).start();
+            iteratedIds.push(run.id);
+        }
+        expect(iteratedIds).toEqual(runIds);
+    });
+
+    test('driftFree iteration identifies actor versions by their numbers', async () => {
+        const versions = ['0.1', '0.2', '0.3'].map((versionNumber) => ({ versionNumber }));
+        const versionsClient = client.actor('some-id').versions();
+        versionsClient.httpClient = {
+            call: async ({ params: { offset, limit } }) => {
+                return { data: { data: { total: versions.length, items: versions.slice(offset, offset + limit) } } };
+            },
+        };
+        expect(await collect(versionsClient.iterate({ pageSize: 2, driftFree: true }))).toEqual(versions);
+    });
+
+    test('options are validated', () => {
+        expect(() => client.actors().iterate({ pageSize: 0 })).toThrow();
+        expect(() => client.actors().iterate({ unknown: true })).toThrow();
+        expect(() => client.actor('some-id').builds().iterate({ prefetch: -1 })).toThrow();
+    });
+});
+
+describe('KeyValueStoreClient.iterateKeys()', () => {
+    const api = new FakeApifyApi();
+    let storeClient;
+
+    beforeAll(async () => {
+        const baseUrl = await api.start();
+        const client = new ApifyClient({ baseUrl, maxRetries: 0 });
+        const store = await client.keyValueStores().getOrCreate('my-store');
+        storeClient = client.keyValueStore(store.id);
+        const keys = ['a-1', 'a-2', 'b-1', 'b-22', 'c-1'];
+        await Promise.all(keys.map((key) => storeClient.setRecord({ key, value: key, contentType: 'text/plain' })));
+    });
+
+    afterAll(async () => {
+        await api.close();
+    });
+
+    test('walks all the keys page by page', async () => {
+        api.requests = [];
+        const items = await collect(storeClient.iterateKeys({ pageSize: 2 }));
+        expect(items).toEqual([
+            { key: 'a-1', size: 3 },
+            { key: 'a-2', size: 3 },
+            { key: 'b-1', size: 3 },
+            { key: 'b-22', size: 4 },
+            { key: 'c-1', size: 3 },
+        ]);
+        const keyRequests = api.requests.filter(({ path }) => path.endsWith('/keys'));
+        expect(keyRequests.map(({ query }) => query.exclusiveStartKey)).toEqual([undefined, 'a-2', 'b-22']);
+    });
+
+    test('filters the keys by a prefix or a regular expression', async () => {
+        api.requests = [];
+        const byPrefix = await collect(storeClient.iterateKeys({ prefix: 'b-', pageSize: 2 }));
+        expect(byPrefix.map(({ key }) => key)).toEqual(['b-1', 'b-22']);
+        // The listing starts right before the prefix and stops after it.
+        const keyRequests = api.requests.filter(({ path }) => path.endsWith('/keys'));
+        expect(keyRequests.map(({ query }) => query.exclusiveStartKey)).toEqual(['b,', 'b-22']);
+
+        const byPattern = await collect(storeClient.iterateKeys({ pattern: /-1$/g, pageSize: 2 }));
+        expect(byPattern.map(({ key }) => key)).toEqual(['a-1', 'b-1', 'c-1']);
+
+        const fromKey = await collect(storeClient.iterateKeys({ prefix: 'b-', exclusiveStartKey: 'b-1' }));
+        expect(fromKey.map(({ key }) => key)).toEqual(['b-22']);
+    });
+
+    test('stops when a truncated page does not provide the next key', async () => {
+        const client = new ApifyClient().keyValueStore('some-id');
+        let requestCount = 0;
+        client.listKeys = async () => {
+            requestCount++;
+            return { items: [{ key: 'a', size: 1 }], isTruncated: true };
+        };
+        expect(await collect(client.iterateKeys())).toEqual([{ key: 'a', size: 1 }]);
+        expect(requestCount).toBe(1);
+    });
+
+    test('options are validated', () => {
+        expect(() => storeClient.iterateKeys({ pattern: '-1$' })).toThrow();
+        expect(() => storeClient.iterateKeys({ limit: 10 })).toThrow();
+    });
+});
@@ -0,0 +1,71 @@
+const RateLimiter = require('../src/rate_limiter');
+const { createAbortController } = require('./_helper');
+
+describe('RateLimiter', () => {
+    const DATASET_URL = 'https://api.apify.com/v2/datasets/some-id/items';
+    const RUN_URL = 'https://api.apify.com/v2/actor-runs/some-id';
+
+    const measure = async (fn) => {
+        const startedAt = Date.now();
+        await fn();
+        return Date.now() - startedAt;
+    };
+
+    test('allows bursts and then spaces out requests', async () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 2 });
+        const burstMillis = await measure(() => Promise.all([
+            limiter.acquire(DATASET_URL),
+            limiter.acquire(DATASET_URL),
+        ]));
+        expect(burstMillis).toBeLessThan(50);
+
+        const throttledMillis = await measure(() => Promise.all([
+            limiter.acquire(DATASET_URL),
+            limiter.acquire(DATASET_URL),
+        ]));
+        expect(throttledMillis).toBeGreaterThanOrEqual(190);
+    });
+
+    test('shares one limit by default', async () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 1 });
+        const millis = await measure(async () => {
+            await limiter.acquire(DATASET_URL);
+            await limiter.acquire(RUN_URL);
+        });
+        expect(millis).toBeGreaterThanOrEqual(90);
+    });
+
+    test('perEndpointGroup limits endpoint groups separately', async () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 1, perEndpointGroup: true });
+        const millis = await measure(async () => {
+            await limiter.acquire(DATASET_URL);
+            await limiter.acquire(RUN_URL);
+        });
+        expect(millis).toBeLessThan(50);
+    });
+
+    test('endpointGroups have their own rate', async () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 1, endpointGroups: { datasets: 100 } });
+        await limiter.acquire(RUN_URL);
+        const millis = await measure(() => Promise.all([
+            limiter.acquire(DATASET_URL),
+            limiter.acquire(DATASET_URL),
+            limiter.acquire(DATASET_URL),
+        ]));
+        expect(millis).toBeLessThan(50);
+    });
+
+    test('aborted waits reject and return their token', async () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 2, burst: 1 });
+        await limiter.acquire(DATASET_URL);
+        const controller = createAbortController();
+        const aborted = limiter.acquire(DATASET_URL, { signal: controller.signal });
+        setTimeout(() => controller.abort(), 50);
+
+        const abortedMillis = await measure(() => expect(aborted).rejects.toMatchObject({ name: 'AbortError' }));
+        expect(abortedMillis).toBeLessThan(200);
+        // The next request waits only for the remaining 450 ms of the first token.
+        const millis = await measure(() => limiter.acquire(DATASET_URL));
+        expect(millis).toBeLessThan(700);
+    });
+});
@@ -0,0 +1,162 @@
+const ApifyClient = require('../src/index');
+const MemoryCacheStore = require('../src/memory_cache_store');
+const mockServer = require('./mock_server/server');
+const { DEFAULT_QUERY } = require('./_helper');
+
+describe('MemoryCacheStore', () => {
+    test('evicts the least recently used entries', () => {
+        const store = new MemoryCacheStore({ maxEntries: 2 });
+        store.set('a', '1');
+        store.set('b', '2');
+        expect(store.get('a')).toBe('1');
+        store.set('c', '3');
+        expect(store.get('b')).toBeUndefined();
+        expect(store.get('a')).toBe('1');
+        expect(store.get('c')).toBe('3');
+        store.delete('a');
+        expect(store.get('a')).toBeUndefined();
+    });
+
+    test('notifies about the evicted entries', () => {
+        const store = new MemoryCacheStore({ maxEntries: 1 });
+        const evictedKeys = [];
+        store.onEvict((key) => evictedKeys.push(key));
+        store.set('a', '1');
+        store.set('b', '2');
+        store.delete('b');
+        expect(evictedKeys).toEqual(['a']);
+    });
+});
+
+describe('Response cache', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await mockServer.close();
+    });
+
+    const createClient = (cache) => new ApifyClient({ baseUrl, cache, ...DEFAULT_QUERY });
+
+    test('returns fresh responses from the cache', async () => {
+        const client = createClient({});
+        expect(await client.actor('some-id').get()).toEqual({ id: 'get-actor' });
+        const actor = await client.actor('some-id').get();
+        expect(actor).toEqual({ id: 'get-actor' });
+        expect(client.stats.requests).toBe(1);
+
+        // Cached responses can't be modified by the callers.
+        actor.id = 'modified';
+        expect(await client.actor('some-id').get()).toEqual({ id: 'get-actor' });
+
+        await client.actor('other-id').get();
+        await client.actor('some-id').get({ timeoutSecs: 5 });
+        expect(client.stats.requests).toBe(2);
+    });
+
+    test('revalidates stale responses with ETag', async () => {
+        const client = createClient({ ttlSecs: 0 });
+        const statusCodes = [];
+        client.events.on('response', ({ statusCode }) => statusCodes.push(statusCode));
+        await client.actor('some-id').get();
+        expect(mockServer.getLastRequest().headers['if-none-match']).toBeUndefined();
+
+        expect(await client.actor('some-id').get()).toEqual({ id: 'get-actor' });
+        expect(mockServer.getLastRequest().headers['if-none-match']).toMatch(/^W\/"/);
+        expect(statusCodes).toEqual([200, 304]);
+    });
+
+    test('uses TTLs of individual resources', async () => {
+        const client = createClient({ ttlSecs: 60, resourceTtlSecs: { 'actor-tasks': 0 } });
+        await client.actor('some-id').get();
+        await client.actor('some-id').get();
+        await client.task('some-id').get();
+        await client.task('some-id').get();
+        expect(client.stats.requests).toBe(3);
+    });
+
+    test('invalidates the resource on update and delete', async () => {
+        const client = createClient({});
+        await client.actor('some-id').get();
+        await client.actor('other-id').get();
+        await client.actor('some-id').update({ name: 'new-name' });
+        await client.actor('some-id').get();
+        await client.actor('other-id').get();
+        expect(client.stats.requests).toBe(4);
+
+        await client.actor('some-id').delete();
+        await client.actor('some-id').get();
+        expect(client.stats.requests).toBe(6);
+    });
+
+    test('forgets the keys of the evicted and missing entries', async () => {
+        const client = createClient({ maxEntries: 2 });
+        const { urlsByKey } = client.responseCache;
+        await client.actor('id-1').get();
+        await client.actor('id-2').get();
+        await client.actor('id-3').get();
+        expect(urlsByKey.size).toBe(2);
+
+        const [key] = urlsByKey.keys();
+        client.responseCache.store.entries.delete(key);
+        await client.responseCache.get(key);
+        expect(urlsByKey.size).toBe(1);
+    });
+
+    test('works with custom stores', async () => {
+        const entries = new Map();
+        const store = {
+            get: async (key) => entries.get(key),
+            set: async (key, value) => entries.set(key, value),
+            delete: async (key) => entries.delete(key),
+        };
+        const client = createClient({ store });
+        await client.actor('some-id').get();
+        await client.actor('some-id').get();
+        expect(client.stats.requests).toBe(1);
+        expect(entries.size).toBe(1);
+        expect(JSON.parse([...entries.values()][0])).toMatchObject({ data: { data: { id: 'get-actor' } } });
+    });
+
+    test('does not write the token to the store', async () => {
+        const entries = new Map();
+        const store = {
+            get: (key) => entries.get(key),
+            set: (key, value) => entries.set(key, value),
+            delete: (key) => entries.delete(key),
+        };
+        const client = new ApifyClient({ baseUrl, cache: { store }, sendTokenAsQueryParam: true, ...DEFAULT_QUERY });
+        await client.actor('some-id').get();
+        expect(entries.size).toBe(1);
+        expect(JSON.stringify([...entries])).not.toContain(DEFAULT_QUERY.token);
+    });
+
+    test('does not share the responses of different tokens in a store', async () => {
+        const entries = new Map();
+        const store = {
+            get: (key) => entries.get(key),
+            set: (key, value) => entries.set(key, value),
+            delete: (key) => entries.delete(key),
+        };
+        const client = createClient({ store });
+        const otherClient = new ApifyClient({ baseUrl, cache: { store }, token: 'other-token' });
+        await client.actor('some-id').get();
+        await otherClient.actor('some-id').get();
+        await otherClient.actor('some-id').get();
+        expect(client.stats.requests).toBe(1);
+        expect(otherClient.stats.requests).toBe(1);
+        expect(entries.size).toBe(2);
+        expect(JSON.stringify([...entries])).not.toContain('other-token');
+    });
+
+    test('is disabled by default', async () => {
+        const client = createClient();
+        await client.actor('some-id').get();
+        await client.actor('some-id').get();
+        expect(client.stats.requests).toBe(2);
+    });
+});
@@ -0,0 +1,30 @@
+const { getRetryDelayMillis } = require('../src/retry_policy');
+
+describe('getRetryDelayMillis()', () => {
+    const originalRandom = Math.random;
+    afterEach(() => {
+        Math.random = originalRandom;
+    });
+
+    test('grows exponentially and is randomized between 1x and 2x by default', () => {
+        const options = { minDelayBetweenRetriesMillis: 100 };
+        Math.random = () => 0;
+        expect([1, 2, 3, 4].map((attempt) => getRetryDelayMillis(attempt, options))).toEqual([100, 200, 400, 800]);
+        Math.random = () => 0.5;
+        expect([1, 2, 3, 4].map((attempt) => getRetryDelayMillis(attempt, options))).toEqual([150, 300, 600, 1200]);
+    });
+
+    test('randomizes the delay between zero and the exponential delay with full jitter', () => {
+        const options = { minDelayBetweenRetriesMillis: 100, fullJitter: true };
+        Math.random = () => 0;
+        expect(getRetryDelayMillis(3, options)).toBe(0);
+        Math.random = () => 0.5;
+        expect(getRetryDelayMillis(3, options)).toBe(200);
+    });
+
+    test('caps the delay at maxDelayMillis', () => {
+        Math.random = () => 0.99;
+        expect(getRetryDelayMillis(10, { minDelayBetweenRetriesMillis: 100, maxDelayMillis: 1000 })).toBe(1000);
+        expect(getRetryDelayMillis(10, { minDelayBetweenRetriesMillis: 100, maxDelayMillis: 1000, fullJitter: true })).toBe(990);
+    });
+});
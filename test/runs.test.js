@@ -116,6 +116,62 @@ describe('Run methods', () => {
         validateRequest(actualQuery, { runId }, { some: 'body' }, { 'content-type': contentType });
     });
 
+    test('metamorph() does not metamorph twice when retrying', async () => {
+        const runId = 'some-run-id';
+        let metamorphRequests = 0;
+        const interceptedClient = new ApifyClient({
+            baseUrl,
+            maxRetries: 1,
+            minDelayBetweenRetriesMillis: 1,
+            ...DEFAULT_QUERY,
+            responseInterceptors: [(response) => {
+                if (response.config.method === 'post') {
+                    metamorphRequests++;
+                    const err = new Error('socket hang up');
+                    err.config = response.config;
+                    err.request = response.request;
+                    throw err;
+                }
+                const metamorphs = [{ createdAt: new Date().toISOString(), actorId: 'some-target-id' }];
+                response.data = { data: { id: runId, metamorphs } };
+                return response;
+            }],
+        });
+
+        const run = await interceptedClient.run(runId).metamorph('some-target-id', undefined, { idempotencyKey: 'some-key' });
+        expect(run.id).toBe(runId);
+        expect(metamorphRequests).toBe(1);
+        expect(mockServer.getLastRequest().method).toBe('GET');
+    });
+
+    test('metamorph() retries when only an earlier metamorph exists', async () => {
+        const runId = 'some-run-id';
+        let metamorphRequests = 0;
+        const interceptedClient = new ApifyClient({
+            baseUrl,
+            maxRetries: 1,
+            minDelayBetweenRetriesMillis: 1,
+            ...DEFAULT_QUERY,
+            responseInterceptors: [(response) => {
+                if (response.config.method === 'post') {
+                    metamorphRequests++;
+                    if (metamorphRequests > 1) return response;
+                    const err = new Error('socket hang up');
+                    err.config = response.config;
+                    err.request = response.request;
+                    throw err;
+                }
+                const createdAt = new Date(Date.now() - 1000).toISOString();
+                response.data = { data: { id: runId, metamorphs: [{ createdAt, actorId: 'other-target-id' }] } };
+                return response;
+            }],
+        });
+
+        await interceptedClient.run(runId).metamorph('some-target-id', undefined, { idempotencyKey: 'some-key' });
+        expect(metamorphRequests).toBe(2);
+        expect(mockServer.getLastRequest().method).toBe('POST');
+    });
+
     test('metamorph() works with pre-stringified JSON input', async () => {
         const runId = 'some-run-id';
         const targetActorId = 'some-target-id';
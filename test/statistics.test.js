@@ -1,4 +1,5 @@
 const Statistics = require('../src/statistics');
+const LatencyHistogram = require('../src/latency_histogram');
 
 describe('Statistics', () => {
     test.each([
@@ -18,4 +19,118 @@ describe('Statistics', () => {
         const stats = new Statistics();
         expect(() => stats.addRateLimitError(0)).toThrow();
     });
+
+    describe('with recorded requests', () => {
+        let stats;
+        beforeEach(() => {
+            stats = new Statistics();
+            stats.calls = 2;
+            stats.addRequest('ActorClient.get');
+            stats.addResponse('ActorClient.get', 20);
+            stats.addRequest('ActorClient.get');
+            stats.addResponse('ActorClient.get', 600);
+            stats.addApiError('ActorClient.get', 'internal-error');
+            stats.addRequest('DatasetClient.listItems');
+            stats.addRequestError('DatasetClient.listItems', true);
+            stats.addRetry('server-error');
+            stats.addRetry('timeout');
+            stats.addRateLimitError(2);
+            stats.bytesSent = 10;
+            stats.bytesReceived = 2048;
+        });
+
+        test('snapshot() returns a serializable copy', () => {
+            const snapshot = stats.snapshot();
+            expect(snapshot).toMatchObject({
+                calls: 2,
+                requests: 3,
+                rateLimitErrors: [0, 1],
+                bytesSent: 10,
+                bytesReceived: 2048,
+                timeouts: 1,
+                networkErrors: 0,
+                errorsByType: { 'internal-error': 1 },
+                retriesByCause: { 'server-error': 1, timeout: 1 },
+                latency: { count: 2, sumMillis: 620 },
+                endpoints: {
+                    'ActorClient.get': { requests: 2, errors: 1, latency: { count: 2 } },
+                    'DatasetClient.listItems': { requests: 1, errors: 1, latency: { count: 0 } },
+                },
+                circuitBreaker: null,
+                concurrency: null,
+            });
+            expect(JSON.parse(JSON.stringify(snapshot)).endpoints['ActorClient.get'].latency.percentiles.p50).toBe(25);
+
+            stats.addRetry('timeout');
+            expect(snapshot.retriesByCause.timeout).toBe(1);
+        });
+
+        test('reset() sets the counters to zero and keeps the circuit breaker state', () => {
+            stats.circuitBreaker = { state: 'open', timesOpened: 1, rejectedRequests: 5 };
+            stats.reset();
+            expect(stats.snapshot()).toMatchObject({
+                calls: 0,
+                requests: 0,
+                rateLimitErrors: [],
+                bytesReceived: 0,
+                timeouts: 0,
+                errorsByType: {},
+                retriesByCause: {},
+                latency: { count: 0 },
+                endpoints: {},
+                circuitBreaker: { state: 'open', timesOpened: 0, rejectedRequests: 0 },
+            });
+        });
+
+        test('toPrometheus() formats the metrics', () => {
+            const metrics = stats.toPrometheus();
+            expect(metrics).toContain('# TYPE apify_client_requests_total counter\n');
+            expect(metrics).toContain('apify_client_requests_total{endpoint="ActorClient.get"} 2\n');
+            expect(metrics).toContain('apify_client_api_errors_total{type="internal-error"} 1\n');
+            expect(metrics).toContain('apify_client_retries_total{cause="timeout"} 1\n');
+            expect(metrics).toContain('apify_client_rate_limit_errors_total 1\n');
+            expect(metrics).toContain('apify_client_received_bytes_total 2048\n');
+            expect(metrics).toContain('# TYPE apify_client_request_duration_seconds histogram\n');
+            expect(metrics).toContain('apify_client_request_duration_seconds_bucket{endpoint="ActorClient.get",le="0.025"} 1\n');
+            expect(metrics).toContain('apify_client_request_duration_seconds_bucket{endpoint="ActorClient.get",le="+Inf"} 2\n');
+            expect(metrics).toContain('apify_client_request_duration_seconds_sum{endpoint="ActorClient.get"} 0.62\n');
+            expect(metrics).toContain('apify_client_request_duration_seconds_count{endpoint="ActorClient.get"} 2\n');
+            expect(metrics).not.toContain('circuit_breaker');
+            expect(metrics.endsWith('\n')).toBe(true);
+        });
+
+        test('toPrometheus() uses a custom prefix', () => {
+            expect(stats.toPrometheus({ prefix: 'my_app' })).toContain('my_app_calls_total 2\n');
+            expect(() => stats.toPrometheus({ prefix: 'invalid-prefix' })).toThrow();
+        });
+    });
+});
+
+describe('LatencyHistogram', () => {
+    test('estimates percentiles within the buckets', () => {
+        const histogram = new LatencyHistogram();
+        expect(histogram.getPercentile(50)).toBeNull();
+
+        for (let i = 0; i < 100; i++) histogram.observe(i < 90 ? 60 : 400);
+        expect(histogram.getPercentile(50)).toBeCloseTo(50 + (50 * 50) / 90);
+        expect(histogram.getPercentile(90)).toBe(100);
+        expect(histogram.getPercentile(99)).toBeCloseTo(250 + (250 * 9) / 10);
+    });
+
+    test('estimates values above the last bound by the bound', () => {
+        const histogram = new LatencyHistogram();
+        histogram.observe(120000);
+        expect(histogram.getPercentile(99)).toBe(60000);
+    });
+
+    test('serializes cumulative buckets', () => {
+        const histogram = new LatencyHistogram();
+        [3, 7, 7, 2000].forEach((millis) => histogram.observe(millis));
+        const { count, sumMillis, buckets, percentiles } = histogram.toJSON();
+        expect(count).toBe(4);
+        expect(sumMillis).toBe(2017);
+        expect(buckets.slice(0, 2)).toEqual([{ leMillis: 5, count: 1 }, { leMillis: 10, count: 3 }]);
+        expect(buckets[buckets.length - 1]).toEqual({ leMillis: Infinity, count: 4 });
+        expect(Object.keys(percentiles)).toEqual(['p50', 'p90', 'p95', 'p99']);
+    });
 });
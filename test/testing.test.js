@@ -0,0 +1,200 @@
+const ApifyClient = require('../src/index');
+const { FakeApifyApi } = require('../testing');
+
+describe('FakeApifyApi', () => {
+    const api = new FakeApifyApi({ token: 'fake-token' });
+    let client;
+
+    beforeAll(async () => {
+        const baseUrl = await api.start();
+        client = new ApifyClient({ baseUrl, token: 'fake-token', maxRetries: 0 });
+    });
+
+    afterAll(async () => {
+        await api.close();
+    });
+
+    afterEach(() => {
+        api.reset();
+    });
+
+    describe('actors and runs', () => {
+        test('call() runs the handler and waits for the run to finish', async () => {
+            const actor = api.addActor({
+                name: 'my-actor',
+                handler: async ({ input, pushData, log }) => {
+                    log('Pushing the items');
+                    pushData([{ url: input.url }, { url: `${input.url}/page-2` }]);
+                    return { pages: 2 };
+                },
+            });
+
+            const run = await client.actor('fake-user/my-actor').call({ url: 'https://example.com' });
+            expect(run.actId).toBe(actor.id);
+            expect(run.status).toBe('SUCCEEDED');
+            expect(run.finishedAt).toBeInstanceOf(Date);
+
+            const { items, total } = await client.dataset(run.defaultDatasetId).listItems({ offset: 1 });
+            expect(items).toEqual([{ url: 'https://example.com/page-2' }]);
+            expect(total).toBe(2);
+
+            const output = await client.run(run.id).keyValueStore().getRecord('OUTPUT');
+            expect(output.value).toEqual({ pages: 2 });
+            const input = await client.actor(actor.id).lastRun().keyValueStore().getRecord('INPUT');
+            expect(input.value).toEqual({ url: 'https://example.com' });
+            expect(await client.run(run.id).log().get()).toMatch('Pushing the items');
+        });
+
+        test('simulates the status transitions of runs', async () => {
+            api.addActor({
+                name: 'failing',
+                handler: async () => {
+                    await new Promise((resolve) => setTimeout(resolve, 100));
+                    throw new Error('Failed');
+                },
+            });
+
+            const startedRun = await client.actor('failing').start();
+            expect(startedRun.status).toBe('READY');
+            await new Promise((resolve) => setImmediate(resolve));
+            expect((await client.run(startedRun.id).get()).status).toBe('RUNNING');
+
+            const run = await client.run(startedRun.id).waitForFinish();
+            expect(run.status).toBe('FAILED');
+            expect(run.exitCode).toBe(1);
+
+            const resurrectedRun = await client.run(run.id).resurrect();
+            expect(resurrectedRun.status).toBe('READY');
+            expect((await client.run(run.id).waitForFinish()).status).toBe('FAILED');
+        });
+
+        test('aborts and times out runs', async () => {
+            api.addActor({ name: 'endless', handler: () => new Promise(() => {}) });
+
+            const run = await client.actor('endless').start();
+            const abortedRun = await client.run(run.id).abort();
+            expect(abortedRun.status).toBe('ABORTED');
+
+            const timedOutRun = await client.actor('endless').call(undefined, { timeout: 0.05 });
+            expect(timedOutRun.status).toBe('TIMED-OUT');
+        });
+
+        test('waits for long runs with a short timeoutSecs', async () => {
+            api.addActor({ name: 'slow', handler: () => new Promise((resolve) => setTimeout(resolve, 4000)) });
+
+            const run = await client.actor('slow').call(undefined, { timeoutSecs: 3 });
+            expect(run.status).toBe('SUCCEEDED');
+
+            const startedRun = await client.actor('slow').start();
+            const finishedRun = await client.run(startedRun.id).waitForFinish({ timeoutSecs: 1 });
+            expect(finishedRun.status).toBe('SUCCEEDED');
+            const waitParams = api.requests
+                .filter(({ method, path }) => method === 'GET' && path.endsWith(startedRun.id))
+                .map(({ query }) => query.waitForFinish);
+            expect(waitParams.length).toBeGreaterThan(1);
+            expect(waitParams.every((waitForFinish) => waitForFinish === '0')).toBe(true);
+        }, 20000);
+
+        test('metamorphs runs to another actor with the same storages', async () => {
+            let resolveFirst;
+            api.addActor({ name: 'first', handler: () => new Promise((resolve) => { resolveFirst = resolve; }) });
+            const second = api.addActor({ name: 'second', handler: ({ input, pushData }) => pushData(input) });
+
+            const run = await client.actor('first').start();
+            await new Promise((resolve) => setImmediate(resolve));
+            await client.run(run.id).metamorph(second.id, { from: 'first' });
+            resolveFirst();
+
+            const finishedRun = await client.run(run.id).waitForFinish();
+            expect(finishedRun.actId).toBe(second.id);
+            expect(finishedRun.metamorphs).toHaveLength(1);
+            expect((await client.dataset(run.defaultDatasetId).listItems()).items).toEqual([{ from: 'first' }]);
+        });
+
+        test('records the idempotency key of runs', async () => {
+            api.addActor({ name: 'my-actor' });
+            const run = await client.actor('my-actor').start(undefined, { idempotencyKey: 'some-key' });
+            expect(run.meta.userAgent).toMatch('idempotencyKey/some-key');
+        });
+    });
+
+    describe('storages', () => {
+        test('datasets', async () => {
+            const dataset = await client.datasets().getOrCreate('my-dataset');
+            expect(await client.datasets().getOrCreate('my-dataset')).toEqual(dataset);
+            await client.dataset(dataset.id).pushItems([{ a: 1, '#debug': true }, { a: 2 }]);
+
+            const { items } = await client.dataset('fake-user~my-dataset').listItems({ desc: true, clean: true });
+            expect(items).toEqual([{ a: 2 }, { a: 1 }]);
+            expect((await client.dataset(dataset.id).get()).itemCount).toBe(2);
+
+            await client.dataset(dataset.id).delete();
+            expect(await client.dataset(dataset.id).get()).toBeUndefined();
+        });
+
+        test('key-value stores', async () => {
+            const store = await client.keyValueStores().getOrCreate();
+            const storeClient = client.keyValueStore(store.id);
+            await storeClient.setRecord({ key: 'json', value: { foo: 'bar' } });
+            await storeClient.setRecord({ key: 'buffer', value: Buffer.from([1, 2, 3]) });
+
+            expect((await storeClient.getRecord('json')).value).toEqual({ foo: 'bar' });
+            expect((await storeClient.getRecord('buffer', { buffer: true })).value).toEqual(Buffer.from([1, 2, 3]));
+            const { items, isTruncated, nextExclusiveStartKey } = await storeClient.listKeys({ limit: 1 });
+            expect(items).toEqual([{ key: 'buffer', size: 3 }]);
+            expect(isTruncated).toBe(true);
+            expect(nextExclusiveStartKey).toBe('buffer');
+
+            await storeClient.deleteRecord('json');
+            expect(await storeClient.getRecord('json')).toBeUndefined();
+        });
+
+        test('request queues', async () => {
+            const queue = await client.requestQueues().getOrCreate('my-queue');
+            const queueClient = client.requestQueue(queue.id);
+            const { requestId } = await queueClient.addRequest({ url: 'https://example.com/1' });
+            await queueClient.addRequest({ url: 'https://example.com/2' }, { forefront: true });
+            const duplicate = await queueClient.addRequest({ url: 'https://example.com/1' });
+            expect(duplicate).toEqual({ requestId, wasAlreadyPresent: true, wasAlreadyHandled: false });
+
+            const request = await queueClient.getRequest(requestId);
+            await queueClient.updateRequest({ ...request, handledAt: new Date().toISOString() });
+            const { items } = await queueClient.listHead();
+            expect(items.map(({ url }) => url)).toEqual(['https://example.com/2']);
+            expect(await queueClient.get()).toMatchObject({ totalRequestCount: 2, handledRequestCount: 1, pendingRequestCount: 1 });
+        });
+    });
+
+    test('records dispatches of webhooks', async () => {
+        const actor = api.addActor({ name: 'my-actor' });
+        const webhook = await client.webhooks().create({
+            eventTypes: ['ACTOR.RUN.SUCCEEDED'],
+            condition: { actorId: actor.id },
+            requestUrl: 'https://example.com/webhook',
+        });
+        const run = await client.actor(actor.id).call();
+
+        const { items } = await client.webhook(webhook.id).dispatches().list();
+        expect(items).toHaveLength(1);
+        expect(items[0].eventData).toEqual({ actorId: actor.id, actorRunId: run.id });
+        expect((await client.actor(actor.id).webhooks().list()).items).toHaveLength(1);
+    });
+
+    test('schedules', async () => {
+        const schedule = await client.schedules().create({ name: 'my-schedule', cronExpression: '0 * * * *' });
+        const updatedSchedule = await client.schedule(schedule.id).update({ isEnabled: true });
+        expect(updatedSchedule).toMatchObject({ name: 'my-schedule', isEnabled: true });
+        expect((await client.schedules().list()).items).toHaveLength(1);
+    });
+
+    test('rejects requests with a wrong token', async () => {
+        const otherClient = new ApifyClient({ baseUrl: api.baseUrl, token: 'wrong-token', maxRetries: 0 });
+        await expect(otherClient.user().get()).rejects.toMatchObject({ statusCode: 401, type: 'token-not-valid' });
+        expect((await client.user().get()).username).toBe('fake-user');
+    });
+
+    test('responds with 404 to unsupported endpoints', async () => {
+        await expect(client.build('some-id').get()).rejects.toMatchObject({ statusCode: 404 });
+        await expect(client.actor('missing').start()).rejects.toMatchObject({ statusCode: 404, type: 'record-not-found' });
+    });
+});
@@ -0,0 +1,133 @@
+const otel = require('@opentelemetry/api');
+const ApifyClient = require('../src/index');
+const mockServer = require('./mock_server/server');
+const { DEFAULT_QUERY } = require('./_helper');
+
+/**
+ * Minimal tracer that records the spans, so that we
+ * don't need the whole OpenTelemetry SDK in tests.
+ */
+class RecordingTracer {
+    constructor() {
+        this.spans = [];
+    }
+
+    startSpan(name, options = {}, context) {
+        const parent = otel.trace.getSpan(context);
+        const id = `${this.spans.length + 1}`;
+        const spanContext = {
+            traceId: parent ? parent.spanContext().traceId : id.padStart(32, '0'),
+            spanId: id.padStart(16, '0'),
+            traceFlags: otel.TraceFlags.SAMPLED,
+        };
+        const span = {
+            name,
+            kind: options.kind,
+            attributes: { ...options.attributes },
+            parentSpanId: parent && parent.spanContext().spanId,
+            status: { code: otel.SpanStatusCode.UNSET },
+            exceptions: [],
+            ended: false,
+            spanContext: () => spanContext,
+            setAttribute(key, value) { span.attributes[key] = value; },
+            setAttributes(attributes) { Object.assign(span.attributes, attributes); },
+            setStatus(status) { span.status = status; },
+            recordException(exception) { span.exceptions.push(exception); },
+            end() { span.ended = true; },
+            isRecording: () => true,
+        };
+        this.spans.push(span);
+        return span;
+    }
+}
+
+const w3cPropagator = {
+    inject(context, carrier, setter) {
+        const { traceId, spanId } = otel.trace.getSpan(context).spanContext();
+        setter.set(carrier, 'traceparent', `00-${traceId}-${spanId}-01`);
+    },
+    extract: (context) => context,
+    fields: () => ['traceparent'],
+};
+
+describe('OpenTelemetry tracing', () => {
+    let baseUrl;
+    const tracer = new RecordingTracer();
+
+    beforeAll(async () => {
+        otel.trace.setGlobalTracerProvider({ getTracer: () => tracer });
+        otel.propagation.setGlobalPropagator(w3cPropagator);
+        const server = await mockServer.start();
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        otel.trace.disable();
+        otel.propagation.disable();
+        await mockServer.close();
+    });
+
+    let client;
+    beforeEach(async () => {
+        tracer.spans = [];
+        client = new ApifyClient({
+            baseUrl,
+            maxRetries: 2,
+            minDelayBetweenRetriesMillis: 1,
+            ...DEFAULT_QUERY,
+        });
+    });
+
+    test('creates a span for the call and a child span for the attempt', async () => {
+        await client.actor('some-id').get();
+
+        const [callSpan, attemptSpan] = tracer.spans;
+        expect(tracer.spans).toHaveLength(2);
+        expect(callSpan).toMatchObject({
+            name: 'ActorClient.get',
+            ended: true,
+            attributes: {
+                'apify.resource_client': 'ActorClient',
+                'apify.client_method': 'get',
+                'apify.retry_count': 0,
+                'http.method': 'GET',
+                'http.url': `${baseUrl}/v2/acts/some-id`,
+                'http.status_code': 200,
+                'http.response_content_length': expect.any(Number),
+            },
+        });
+        expect(attemptSpan).toMatchObject({
+            name: 'HTTP GET',
+            kind: otel.SpanKind.CLIENT,
+            ended: true,
+            parentSpanId: callSpan.spanContext().spanId,
+            attributes: {
+                'http.resend_count': 0,
+                'http.status_code': 200,
+            },
+        });
+    });
+
+    test('propagates the trace context of the attempt span', async () => {
+        await client.actor('some-id').get();
+
+        const attemptSpan = tracer.spans[1];
+        const { traceId, spanId } = attemptSpan.spanContext();
+        expect(mockServer.getLastRequest().headers.traceparent).toBe(`00-${traceId}-${spanId}-01`);
+    });
+
+    test('creates a span for every retry and marks failures', async () => {
+        await expect(client.actor('500').get()).rejects.toMatchObject({ statusCode: 500 });
+
+        const [callSpan, ...attemptSpans] = tracer.spans;
+        expect(attemptSpans).toHaveLength(3);
+        expect(attemptSpans.map((span) => span.attributes['http.resend_count'])).toEqual([0, 1, 2]);
+        attemptSpans.forEach((span) => {
+            expect(span.parentSpanId).toBe(callSpan.spanContext().spanId);
+            expect(span.status.code).toBe(otel.SpanStatusCode.ERROR);
+        });
+        expect(callSpan.attributes).toMatchObject({ 'apify.retry_count': 2, 'http.status_code': 500 });
+        expect(callSpan.status.code).toBe(otel.SpanStatusCode.ERROR);
+        expect(callSpan.exceptions[0].statusCode).toBe(500);
+    });
+});
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const ApifyApiError = require('../src/apify_api_error');
 const utils = require('../src/utils');
 
@@ -87,3 +88,38 @@ describe('utils.stringifyWebhooksToBase64()', () => {
         expect(JSON.parse(Buffer.from(base64String, 'base64').toString('utf8'))).toStrictEqual(webhooks);
     });
 });
+
+describe('utils.hashToken()', () => {
+    const originalVersions = process.versions;
+    const originalCrypto = global.crypto;
+    const setVersions = (versions) => Object.defineProperty(process, 'versions', {
+        value: versions,
+        configurable: true,
+        writable: true,
+    });
+    beforeEach(() => {
+        // Pretends a runtime other than Node.js.
+        setVersions({ ...originalVersions, node: undefined });
+    });
+    afterEach(() => {
+        setVersions(originalVersions);
+        global.crypto = originalCrypto;
+    });
+
+    const nodeHash = crypto.createHash('sha256').update('some-token').digest('hex').slice(0, 16);
+
+    test('uses SubtleCrypto outside of Node.js', async () => {
+        global.crypto = crypto.webcrypto;
+        if (!global.crypto) return;
+        expect(await utils.hashToken('some-token')).toBe(nodeHash);
+    });
+
+    test('uses random keys without SubtleCrypto', async () => {
+        global.crypto = {};
+        const key = await utils.hashToken('some-token');
+        expect(key).toMatch(/^[0-9a-f]{16}$/);
+        expect(key).not.toBe(nodeHash);
+        expect(await utils.hashToken('some-token')).toBe(key);
+        expect(await utils.hashToken('other-token')).not.toBe(key);
+    });
+});
@@ -0,0 +1,2 @@
+// Entry point of `require('apify-client/testing')`.
+module.exports = require('./src/testing');
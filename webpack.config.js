@@ -4,6 +4,9 @@ module.exports = {
     entry: './src/index.js',
     target: 'web',
     module: {
+        // Optional dependencies are loaded by optionalRequire() from utils, which can't
+        // resolve them in browsers. It returns null instead, so the warning is not needed.
+        exprContextCritical: false,
         rules: [
             {
                 test: /\.(js)$/,